@@ -0,0 +1,153 @@
+/*
+ * Addresses tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { mount } from 'enzyme';
+import { AddressForm } from '../src/components';
+import { getDefaultLocalization } from '../src/localization';
+import addressesReducer from '../src/reducers/cart/addresses';
+import {
+  setShippingAddress,
+  setBillingAddress,
+  setBillingSameAsShipping,
+} from '../src/actions';
+import {
+  emptyAddress,
+  getAddressFields,
+  getAddressLines,
+  isPostcodeValid,
+  validateAddress,
+} from '../src/addresses';
+
+const getLocalization = getDefaultLocalization('addressForm', 'en');
+
+const address = {
+  ...emptyAddress,
+  name: 'Oleg Nosov',
+  line1: '1600 Pennsylvania Ave NW',
+  city: 'Washington',
+  region: 'DC',
+  postcode: '20500',
+  country: 'US',
+};
+
+describe('addresses', () => {
+  it('validates postcodes by country', () => {
+    expect(isPostcodeValid('GB', ' sw1a 1aa ')).toBe(true);
+    expect(isPostcodeValid('GB', '12345')).toBe(false);
+    expect(isPostcodeValid('US', '20500-0003')).toBe(true);
+    expect(isPostcodeValid('US', '2050')).toBe(false);
+    expect(isPostcodeValid('CA', 'K1A 0B1')).toBe(true);
+    expect(isPostcodeValid('JP', '100-0001')).toBe(true);
+    expect(isPostcodeValid('XX', 'anything')).toBe(true);
+  });
+
+  it('validates addresses', () => {
+    expect(validateAddress(address)).toEqual({});
+    expect(validateAddress({ ...address, region: ' ', postcode: '2050' }))
+      .toEqual({ region: 'requiredField', postcode: 'invalidPostcode' });
+    // Region is optional in United Kingdom
+    expect(
+      validateAddress({
+        ...address,
+        region: '',
+        postcode: 'SW1A 1AA',
+        country: 'GB',
+      }),
+    ).toEqual({});
+    expect(validateAddress(address, ['GB']))
+      .toEqual({ country: 'unsupportedCountry' });
+    expect(validateAddress(emptyAddress)).toEqual({
+      country: 'requiredField',
+      name: 'requiredField',
+      line1: 'requiredField',
+      city: 'requiredField',
+    });
+  });
+
+  it('lists fields and lines by country', () => {
+    expect(
+      getAddressFields('US').map(({ labelId }) => labelId),
+    ).toEqual([
+      'countryLabel',
+      'nameLabel',
+      'line1Label',
+      'line2Label',
+      'cityLabel',
+      'stateLabel',
+      'zipCodeLabel',
+    ]);
+    expect(getAddressLines({ ...address, country: 'JP' })).toEqual([
+      'Oleg Nosov',
+      '20500',
+      'DC',
+      'Washington',
+      '1600 Pennsylvania Ave NW',
+    ]);
+  });
+
+  it('keeps addresses in cart', () => {
+    const state = [
+      setShippingAddress({ city: 'London' }),
+      setShippingAddress({ country: 'GB' }),
+      setBillingAddress({ city: 'Paris' }),
+      setBillingSameAsShipping(false),
+    ].reduce(addressesReducer, undefined);
+    expect(state).toEqual({
+      shipping: { ...emptyAddress, city: 'London', country: 'GB' },
+      billing: { ...emptyAddress, city: 'Paris' },
+      billingSameAsShipping: false,
+    });
+  });
+});
+
+describe('AddressForm', () => {
+  it('shows fields and errors of country', () => {
+    const changes = [];
+    const renderAddressForm = props => mount(
+      <AddressForm
+        address={address}
+        onChange={changedFields => void changes.push(changedFields)}
+        getLocalization={getLocalization}
+        {...props}
+      />,
+    );
+
+    const renderedAddressForm = renderAddressForm();
+    expect(renderedAddressForm.find('label').map(label => label.text()))
+      .toEqual([
+        'Country:',
+        'Full name:',
+        'Address:',
+        'Address line 2 (optional):',
+        'City:',
+        'State:',
+        'ZIP code:',
+      ]);
+    expect(renderedAddressForm.find('select').props().value).toBe('US');
+
+    renderedAddressForm
+      .find('[name="country"]')
+      .simulate('change', { target: { name: 'country', value: 'GB' } });
+    expect(changes).toEqual([{ country: 'GB' }]);
+
+    // Error of field is shown after it was left
+    const invalidAddressForm =
+      renderAddressForm({ address: { ...address, postcode: '2050' } });
+    expect(invalidAddressForm.find('.form-control-feedback').length).toBe(0);
+    invalidAddressForm.find('[name="postcode"]').simulate('blur');
+    expect(invalidAddressForm.find('.form-control-feedback').text())
+      .toBe('Enter a valid postcode');
+
+    expect(
+      renderAddressForm({ address: emptyAddress, showErrors: true })
+        .find('.form-control-feedback').length,
+    ).toBe(4);
+  });
+});
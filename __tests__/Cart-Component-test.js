@@ -12,6 +12,7 @@ import renderer from 'react-test-renderer';
 import IntlMessageFormat from 'intl-messageformat';
 import { mount } from 'enzyme';
 import { Cart } from '../src/components';
+import { addFormattedPrices } from '../src/localization';
 
 const testCartLocalization = {
   colour: 'Colour',
@@ -29,11 +30,29 @@ const testCartLocalization = {
   remove: 'Remove',
   productPropertyLabel: '{localizedName}:',
   productPropertyValue: '{localizedValue}',
+  couponLabel: 'Coupon code:',
+  applyCoupon: 'Apply',
+  couponApplied: 'Coupon {code} applied',
+  couponNotFound: 'Coupon {code} not found',
+  couponMinimumSpendNotReached:
+    'Spend at least {localizedCurrency}{minimumSpend} to use coupon {code}',
+  appliedCoupon: '{code}: -{localizedCurrency}{discount}',
+  removeCoupon: 'Remove',
+  priceChanged:
+    'Price changed from {formattedPreviousPrice} to {formattedPrice}',
+  spendGetGiftPromotion: 'Free gift for spending {formattedMinimumSpend}',
+  noteLabel: 'Note:',
+  addNote: 'Add a note',
+  editNote: 'Edit note',
+  saveNote: 'Save',
+  cancelNote: 'Cancel',
+  noteCharactersLeft: '{charactersLeft, number} characters left',
   GBP: '£',
 };
 
 const getLocalization = (id, params = {}) =>
-  new IntlMessageFormat(testCartLocalization[id], 'en').format(params);
+  new IntlMessageFormat(testCartLocalization[id], 'en')
+    .format(addFormattedPrices(params, 'en'));
 
 const createCart = ({ products }, renderFunc = mount) =>
   renderFunc(
@@ -99,6 +118,12 @@ describe('Cart', () => {
     // Expect 10 iPad cases in cart
     expect(products['ipad-case_red'].quantity).toBe(10);
 
+    // Clear quantity input
+    renderedCart.find('input').simulate('change', { target: { value: '' } });
+
+    // Cleared input keeps 10 iPad cases in cart
+    expect(products['ipad-case_red'].quantity).toBe(10);
+
     // Remove our cases from cart
     renderedCart.find('button').simulate('click');
 
@@ -106,6 +131,134 @@ describe('Cart', () => {
     expect(Object.keys(products).length).toBe(0);
   });
 
+  it('applies coupons', () => {
+    const products = { 'ipad-case_red': iPadCaseInCart };
+    const appliedCoupons = {};
+    const coupons = [
+      { code: 'IPAD10', percentage: 10, productIds: ['ipad-case'] },
+      { code: 'BIGSPENDER', amounts: { GBP: 20 }, minimumSpend: { GBP: 500 } },
+    ];
+
+    const renderedCart = mount(
+      <Cart
+        products={products}
+        onUpdateProduct={() => {}}
+        onRemoveProduct={() => {}}
+        onApplyCoupon={
+          coupon => void (appliedCoupons[coupon.code] = coupon)
+        }
+        onRemoveCoupon={() => {}}
+        coupons={coupons}
+        checkoutButton={<a />}
+        isCartEmpty={false}
+        getLocalization={getLocalization}
+        currency="GBP"
+      />,
+    );
+
+    const applyCode = (code) => {
+      renderedCart
+        .find('CouponForm input')
+        .simulate('change', { target: { value: code } });
+      renderedCart.find('CouponForm form').simulate('submit');
+    };
+
+    applyCode('nosuchcode');
+    expect(renderedCart.find('.alert').text())
+      .toBe('Coupon nosuchcode not found');
+
+    // Cart total is £70 only
+    applyCode('bigspender');
+    expect(renderedCart.find('.alert').text())
+      .toBe('Spend at least £500 to use coupon BIGSPENDER');
+    expect(Object.keys(appliedCoupons)).toEqual([]);
+
+    applyCode('ipad10');
+    expect(renderedCart.find('.alert').text())
+      .toBe('Coupon IPAD10 applied');
+    expect(Object.keys(appliedCoupons)).toEqual(['IPAD10']);
+  });
+
+  it('shows price changes', () => {
+    const products = {
+      'ipad-case_red': {
+        ...iPadCaseInCart,
+        priceChange: {
+          previousPrices: { GBP: 65 },
+          currentPrices: { GBP: 70 },
+        },
+      },
+    };
+
+    expect(createCart({ products }).find('.alert-info').text())
+      .toBe('Price changed from £65.00 to £70.00');
+  });
+
+  it("doesn't let customer edit gift lines", () => {
+    const gift = {
+      ...iPadCaseInCart,
+      productInfo: { ...iPadCaseInCart.productInfo, prices: { GBP: 0 } },
+      gift: true,
+    };
+    const renderedCart = mount(
+      <Cart
+        products={{ 'promotion/gift': gift }}
+        promotionAdjustments={[{
+          promotion: {
+            id: 'gift',
+            type: 'spendGetGift',
+            minimumSpend: { GBP: 100 },
+          },
+          key: 'promotion/gift',
+          discount: 0,
+          quantity: 1,
+        }]}
+        onUpdateProduct={() => {}}
+        onRemoveProduct={() => {}}
+        onSaveProductForLater={() => {}}
+        checkoutButton={<a />}
+        isCartEmpty={false}
+        getLocalization={getLocalization}
+        currency="GBP"
+      />,
+    );
+
+    expect(renderedCart.find('input').length).toBe(0);
+    expect(renderedCart.find('button').length).toBe(0);
+    expect(renderedCart.find('.text-success').text())
+      .toBe('Free gift for spending £100.00');
+  });
+
+  it('edits notes of lines', () => {
+    const notes = {};
+    const renderedCart = mount(
+      <Cart
+        products={{ 'ipad-case_red': iPadCaseInCart }}
+        onUpdateProduct={() => {}}
+        onRemoveProduct={() => {}}
+        onSetLineNote={(key, note) => void (notes[key] = note)}
+        noteMaxLength={20}
+        checkoutButton={<a />}
+        isCartEmpty={false}
+        getLocalization={getLocalization}
+        currency="GBP"
+      />,
+    );
+
+    renderedCart.find('LineNoteEditor button').simulate('click');
+    renderedCart
+      .find('LineNoteEditor textarea')
+      .simulate('change', { target: { value: 'Happy birthday, Oleg!!!' } });
+
+    // Note is cut to noteMaxLength
+    expect(renderedCart.find('LineNoteEditor small').text())
+      .toBe('0 characters left');
+
+    renderedCart.find('LineNoteEditor form').simulate('submit');
+    expect(notes).toEqual({ 'ipad-case_red': 'Happy birthday, Oleg' });
+    expect(renderedCart.find('LineNoteEditor textarea').length).toBe(0);
+  });
+
   it('takes snapshot', () => {
     const products = { 'ipad-case_red': iPadCaseInCart };
     const renderedCart = createCart({ products }, renderer.create);
@@ -0,0 +1,163 @@
+/*
+ * Cart persistence tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import { createStore, combineReducers } from 'redux';
+import cartReducer from '../src/reducers/cart';
+import {
+  addToCart,
+  setCartCurrency,
+  moveToSavedForLater,
+} from '../src/actions';
+import {
+  persistCart,
+  createMemoryStorage,
+  migrateProductKeys,
+} from '../src/persistence';
+
+const iPadCase = {
+  id: 'ipad-case',
+  properties: {
+    colour: 'red',
+  },
+  quantity: 1,
+  productInfo: {
+    name: 'iPadCase',
+    prices: {
+      GBP: 70,
+    },
+    imagePath: 'ipad-case1-483x321.jpeg',
+    propertiesToShowInCart: ['colour'],
+    path: '/shop/ipad-case',
+  },
+};
+
+const createCartStore = options =>
+  createStore(
+    combineReducers({ cart: cartReducer }),
+    persistCart(options),
+  );
+
+describe('persistCart', () => {
+  it('saves and rehydrates cart', () => {
+    const storage = createMemoryStorage();
+    const store = createCartStore({ storage });
+
+    store.dispatch(setCartCurrency('GBP'));
+    store.dispatch(addToCart('ipad-case/_colour-red', iPadCase, 'GBP'));
+
+    // Imitate page reload
+    const reloadedStore = createCartStore({ storage });
+
+    expect(reloadedStore.getState().cart).toEqual(store.getState().cart);
+  });
+
+  it('saves and rehydrates products saved for later', () => {
+    const storage = createMemoryStorage();
+    const store = createCartStore({ storage });
+    const key = 'ipad-case/_colour-red';
+
+    store.dispatch(addToCart(key, iPadCase, 'USD'));
+    store.dispatch(
+      moveToSavedForLater(key, store.getState().cart.products[key]),
+    );
+
+    const { products, savedForLater } = createCartStore({ storage })
+      .getState().cart;
+    expect(products).toEqual({});
+    expect(savedForLater).toEqual({ [key]: iPadCase });
+  });
+
+  it('migrates saved cart to the current version', () => {
+    const storage = createMemoryStorage({
+      'react-shopping-cart': JSON.stringify({
+        version: 1,
+        cart: { products: { 'ipad-case': iPadCase }, currency: 'GBP' },
+      }),
+    });
+
+    const store = createCartStore({
+      storage,
+      version: 3,
+      migrations: {
+        2: ({ products, currency }) => ({ products, currency: 'EUR' }),
+        3: ({ currency }) => ({ products: {}, currency }),
+      },
+    });
+
+    const { products, currency } = store.getState().cart;
+    expect({ products, currency }).toEqual({ products: {}, currency: 'EUR' });
+    // Migrated cart is saved with the new version
+    expect(JSON.parse(storage.getItem('react-shopping-cart')).version).toBe(3);
+  });
+
+  it('migrates product keys and merges same lines', () => {
+    const redCase = { ...iPadCase, properties: { colour: 'red', size: 10 } };
+    const lastCases = {
+      ...redCase,
+      productInfo: { ...redCase.productInfo, maxQuantity: 2 },
+    };
+    const storage = createMemoryStorage({
+      'react-shopping-cart': JSON.stringify({
+        version: 1,
+        cart: {
+          products: {
+            'ipad-case/_colour-red_size-10': redCase,
+            'ipad-case/_size-10_colour-red': { ...redCase, quantity: 2 },
+          },
+          savedForLater: {
+            'ipad-case/_colour-red_size-10': { ...lastCases, quantity: 2 },
+            'ipad-case/_size-10_colour-red': lastCases,
+          },
+          currency: 'GBP',
+        },
+      }),
+    });
+
+    const store = createCartStore({
+      storage,
+      version: 2,
+      migrations: { 2: migrateProductKeys },
+    });
+
+    expect(store.getState().cart.products).toEqual({
+      'ipad-case/_colour-red_size=10': { ...redCase, quantity: 3 },
+    });
+    // Merged lines are limited to stock
+    expect(store.getState().cart.savedForLater).toEqual({
+      'ipad-case/_colour-red_size=10': {
+        ...lastCases,
+        quantity: 2,
+        stockWarning: { requestedQuantity: 3, maxQuantity: 2 },
+      },
+    });
+  });
+
+  it('ignores carts which can not be migrated', () => {
+    const storage = createMemoryStorage({
+      'react-shopping-cart': JSON.stringify({
+        version: 1,
+        cart: { products: { 'ipad-case': iPadCase }, currency: 'GBP' },
+      }),
+    });
+    const errors = [];
+
+    const store = createCartStore({
+      storage,
+      version: 2,
+      onError: error => void errors.push(error.message),
+    });
+
+    expect(errors).toEqual([
+      "Can't migrate cart from version 1 to version 2, " +
+      'key: react-shopping-cart',
+    ]);
+    const { products, currency } = store.getState().cart;
+    expect({ products, currency }).toEqual({ products: {}, currency: 'USD' });
+  });
+});
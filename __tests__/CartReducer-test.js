@@ -0,0 +1,84 @@
+/*
+ * Cart reducer tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import cartReducer from '../src/reducers/cart';
+import {
+  addToCart,
+  setCartCurrency,
+  moveToSavedForLater,
+  moveToCart,
+  updateCart,
+  setLineNote,
+} from '../src/actions';
+import { totalSelector, savedForLaterSelector } from '../src/selectors';
+
+const key = 'ipad-case/_colour-red';
+
+const iPadCase = {
+  id: 'ipad-case',
+  properties: {
+    colour: 'red',
+  },
+  quantity: 2,
+  productInfo: {
+    name: 'iPadCase',
+    prices: {
+      GBP: 70,
+    },
+    imagePath: 'ipad-case1-483x321.jpeg',
+    propertiesToShowInCart: ['colour'],
+    path: '/shop/ipad-case',
+  },
+};
+
+describe('cart reducer', () => {
+  it('moves products between cart and saved for later', () => {
+    let cart = cartReducer(void 0, setCartCurrency('GBP'));
+
+    cart = cartReducer(cart, addToCart(key, iPadCase, 'GBP'));
+
+    cart = cartReducer(cart, moveToSavedForLater(key, cart.products[key]));
+
+    expect(cart.products).toEqual({});
+    expect(savedForLaterSelector({ cart })).toEqual({ [key]: iPadCase });
+    expect(totalSelector({ cart })).toBe(0);
+
+    cart = cartReducer(cart, addToCart(key, iPadCase, 'GBP'));
+    cart = cartReducer(cart, moveToCart(key, cart.savedForLater[key]));
+
+    expect(cart.savedForLater).toEqual({});
+    expect(cart.products[key]).toEqual({ ...iPadCase, quantity: 4 });
+    expect(totalSelector({ cart })).toBe(280);
+
+    // Sold out product stays saved for later
+    const soldOutCase = {
+      ...iPadCase,
+      productInfo: { ...iPadCase.productInfo, maxQuantity: 0 },
+    };
+    cart = cartReducer(cart, moveToSavedForLater(key, soldOutCase));
+    cart = cartReducer(cart, moveToCart(key, cart.savedForLater[key]));
+
+    expect(cart.products).toEqual({});
+    expect(cart.savedForLater).toEqual({ [key]: soldOutCase });
+  });
+
+  it('keeps notes of lines', () => {
+    let cart = cartReducer(void 0, addToCart(key, iPadCase, 'GBP'));
+
+    cart = cartReducer(cart, setLineNote(key, 'Happy birthday!'));
+    cart = cartReducer(cart, updateCart(key, { ...iPadCase, quantity: 3 }));
+    cart = cartReducer(cart, addToCart(key, iPadCase, 'GBP'));
+
+    expect(cart.products[key])
+      .toEqual({ ...iPadCase, quantity: 5, note: 'Happy birthday!' });
+
+    cart = cartReducer(cart, setLineNote(key, ''));
+    expect(cart.products[key]).toEqual({ ...iPadCase, quantity: 5 });
+  });
+});
@@ -0,0 +1,120 @@
+/*
+ * Cart sync middleware tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import { createStore, combineReducers, applyMiddleware } from 'redux';
+import cartReducer from '../src/reducers/cart';
+import {
+  addToCart,
+  removeFromCart,
+  emptyCart,
+  fetchCart,
+  refreshProducts,
+} from '../src/actions';
+import { CART_SYNC_FAILED } from '../src/actionTypes';
+import {
+  createCartSyncMiddleware,
+  createMockCartAdapter,
+} from '../src/sync';
+
+const key = 'ipad-case/_colour-red';
+
+const iPadCase = {
+  id: 'ipad-case',
+  properties: {
+    colour: 'red',
+  },
+  quantity: 1,
+  productInfo: {
+    name: 'iPadCase',
+    prices: {
+      GBP: 70,
+    },
+    imagePath: 'ipad-case1-483x321.jpeg',
+    propertiesToShowInCart: ['colour'],
+    path: '/shop/ipad-case',
+  },
+};
+
+const flushPromises = () => new Promise(resolve => setTimeout(resolve));
+
+const createSyncedStore = (adapter, log = []) =>
+  createStore(
+    combineReducers({
+      cart: cartReducer,
+      log: (state = log, action) => [...state, action.type],
+    }),
+    applyMiddleware(createCartSyncMiddleware({ adapter })),
+  );
+
+describe('cart sync', () => {
+  it('mirrors cart changes to adapter', async () => {
+    const adapter = createMockCartAdapter();
+    const store = createSyncedStore(adapter);
+
+    store.dispatch(addToCart(key, iPadCase, 'GBP'));
+    store.dispatch(addToCart(key, iPadCase, 'GBP'));
+    await flushPromises();
+
+    expect(adapter.getProducts()[key].quantity).toBe(2);
+
+    store.dispatch(refreshProducts(() => ({ prices: { GBP: 75 } })));
+    await flushPromises();
+
+    expect(adapter.getProducts()[key].productInfo.prices).toEqual({ GBP: 75 });
+
+    store.dispatch(removeFromCart(key));
+    await flushPromises();
+
+    expect(adapter.getProducts()).toEqual({});
+  });
+
+  it('rolls back when adapter rejects', async () => {
+    const adapter = createMockCartAdapter({}, {
+      shouldFail: method => method === 'clear',
+    });
+    const store = createSyncedStore(adapter);
+
+    store.dispatch(addToCart(key, iPadCase, 'GBP'));
+    store.dispatch(emptyCart());
+
+    expect(store.getState().cart.products).toEqual({});
+
+    await flushPromises();
+
+    expect(store.getState().cart.products[key].quantity).toBe(1);
+    expect(store.getState().log).toContain(CART_SYNC_FAILED);
+  });
+
+  it('keeps lines changed while request is in flight', async () => {
+    const adapter = createMockCartAdapter({}, {
+      shouldFail: method => method === 'clear',
+    });
+    const store = createSyncedStore(adapter);
+
+    store.dispatch(addToCart(key, iPadCase, 'GBP'));
+    store.dispatch(emptyCart());
+    store.dispatch(addToCart(key, { ...iPadCase, quantity: 3 }, 'GBP'));
+
+    await flushPromises();
+
+    expect(store.getState().log).toContain(CART_SYNC_FAILED);
+    expect(store.getState().cart.products[key].quantity).toBe(3);
+  });
+
+  it('loads cart from adapter', async () => {
+    const store = createSyncedStore(
+      createMockCartAdapter({ [key]: iPadCase }),
+    );
+
+    store.dispatch(fetchCart());
+    await flushPromises();
+
+    expect(store.getState().cart.products).toEqual({ [key]: iPadCase });
+  });
+});
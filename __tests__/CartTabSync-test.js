@@ -0,0 +1,87 @@
+/*
+ * Cross-tab cart sync tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import { createStore, combineReducers } from 'redux';
+import cartReducer from '../src/reducers/cart';
+import { addToCart, updateCart, setCartCurrency } from '../src/actions';
+import { syncCartTabs, createMemoryTransportHub } from '../src/tabSync';
+
+const key = 'ipad-case/_colour-red';
+
+const iPadCase = {
+  id: 'ipad-case',
+  properties: {
+    colour: 'red',
+  },
+  quantity: 1,
+  productInfo: {
+    name: 'iPadCase',
+    prices: {
+      GBP: 70,
+    },
+    imagePath: 'ipad-case1-483x321.jpeg',
+    propertiesToShowInCart: ['colour'],
+    path: '/shop/ipad-case',
+  },
+};
+
+const createTab = (hub, getTime) =>
+  createStore(
+    combineReducers({ cart: cartReducer }),
+    syncCartTabs({ transport: hub.createTransport(), getTime }),
+  );
+
+describe('cross-tab cart sync', () => {
+  it('replays changes of other tabs without echo', () => {
+    const hub = createMemoryTransportHub();
+    const firstTab = createTab(hub);
+    const secondTab = createTab(hub);
+    const listener = jest.fn();
+    firstTab.subscribe(listener);
+
+    firstTab.dispatch(addToCart(key, iPadCase, 'GBP'));
+    secondTab.dispatch(setCartCurrency('GBP'));
+
+    expect(secondTab.getState().cart.products[key].quantity).toBe(1);
+    expect(firstTab.getState().cart.currency).toBe('GBP');
+    // Own change and the change of the second tab, nothing echoed back
+    expect(listener).toHaveBeenCalledTimes(2);
+  });
+
+  it('ignores edits older than the last one', () => {
+    const hub = createMemoryTransportHub();
+    const transport = hub.createTransport();
+    let time = 100;
+    const tab = createTab(hub, () => time);
+
+    tab.dispatch(addToCart(key, iPadCase, 'GBP'));
+    // Concurrent edit made earlier in another tab
+    transport.post({
+      revision: { time: 50, tabId: 'other' },
+      cart: { products: {}, currency: 'GBP' },
+    });
+
+    expect(tab.getState().cart.products[key].quantity).toBe(1);
+
+    time = 200;
+    transport.post({
+      revision: { time: 150, tabId: 'other' },
+      cart: {
+        products: { [key]: { ...iPadCase, quantity: 3 } },
+        currency: 'GBP',
+      },
+    });
+
+    expect(tab.getState().cart.products[key].quantity).toBe(3);
+
+    tab.dispatch(updateCart(key, { ...iPadCase, quantity: 2 }));
+
+    expect(tab.getState().cart.products[key].quantity).toBe(2);
+  });
+});
@@ -0,0 +1,191 @@
+/*
+ * Checkout tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { mount } from 'enzyme';
+import { createStore, combineReducers } from 'redux';
+import { Provider } from 'react-redux';
+import cartReducer from '../src/reducers/cart';
+import checkoutReducer from '../src/reducers/checkout';
+import {
+  addToCart,
+  setCartCurrency,
+  setLineNote,
+  setShippingMethods,
+} from '../src/actions';
+import { Checkout } from '../src/containers';
+import { getDefaultLocalization } from '../src/localization';
+import {
+  validateCheckoutStep,
+  getNextCheckoutStep,
+  getPreviousCheckoutStep,
+} from '../src/checkout';
+
+const key = 'ipad-case/_colour-red';
+
+const iPadCase = {
+  id: 'ipad-case',
+  properties: {
+    colour: 'red',
+  },
+  quantity: 2,
+  productInfo: {
+    name: 'iPadCase',
+    prices: {
+      GBP: 70,
+    },
+    imagePath: 'ipad-case1-483x321.jpeg',
+    propertiesToShowInCart: ['colour'],
+    path: '/shop/ipad-case',
+  },
+};
+
+const getLocalization = getDefaultLocalization('checkout', 'en', {
+  iPadCase: 'iPad case',
+  express: 'Express',
+  GBP: '£',
+});
+
+const address = {
+  name: 'Oleg Nosov',
+  line1: '1 Baker Street',
+  city: 'London',
+  region: '',
+  postcode: 'NW1 6XE',
+  country: 'GB',
+};
+
+describe('checkout steps', () => {
+  it('validates steps', () => {
+    expect(validateCheckoutStep('contact', { contact: { email: 'oleg' } }))
+      .toEqual({ email: 'invalidEmail' });
+    expect(
+      validateCheckoutStep('contact', {
+        contact: { email: 'oleg@example.com', phone: '+44 20 7946 0000' },
+      }),
+    ).toEqual({});
+    expect(
+      validateCheckoutStep('shippingAddress', {
+        addresses: {
+          shipping: address,
+          billing: { ...address, postcode: '1234' },
+          billingSameAsShipping: false,
+        },
+      }),
+    ).toEqual({ billingAddress: 'invalidAddress' });
+    expect(
+      validateCheckoutStep('shippingAddress', {
+        addresses: {
+          shipping: address,
+          billing: address,
+          billingSameAsShipping: true,
+        },
+        countries: ['US'],
+      }),
+    ).toEqual({ shippingAddress: 'invalidAddress' });
+    expect(
+      validateCheckoutStep('shippingMethod', {
+        shippingMethods: [{ id: 'express', name: 'express', cost: {} }],
+        shippingCosts: { express: null },
+        selectedShippingMethod: 'express',
+      }),
+    ).toEqual({ shippingMethod: 'shippingMethodRequired' });
+    expect(validateCheckoutStep('shippingMethod', {})).toEqual({});
+  });
+
+  it('goes through steps in order', () => {
+    expect(getNextCheckoutStep('contact')).toBe('shippingAddress');
+    expect(getNextCheckoutStep('review')).toBe('review');
+    expect(getPreviousCheckoutStep('shippingMethod')).toBe('shippingAddress');
+    expect(getPreviousCheckoutStep('contact')).toBe('contact');
+  });
+});
+
+describe('Checkout', () => {
+  it('places order', () => {
+    const store = createStore(
+      combineReducers({ cart: cartReducer, checkout: checkoutReducer }),
+    );
+    store.dispatch(setCartCurrency('GBP'));
+    store.dispatch(addToCart(key, iPadCase, 'GBP'));
+    store.dispatch(setLineNote(key, 'Happy birthday!'));
+    store.dispatch(setShippingMethods([
+      { id: 'express', name: 'express', cost: { GBP: 10 } },
+    ]));
+
+    const orders = [];
+    const renderedCheckout = mount(
+      <Provider store={store}>
+        <Checkout
+          onPlaceOrder={order => void orders.push(order)}
+          getLocalization={getLocalization}
+        />
+      </Provider>,
+    );
+
+    const submit = () =>
+      renderedCheckout.find('Checkout form').simulate('submit');
+    const change = (name, value) =>
+      renderedCheckout
+        .find(`[name="${name}"]`)
+        .simulate('change', { target: { name, value } });
+
+    // Email is required
+    submit();
+    expect(store.getState().checkout.step).toBe('contact');
+    expect(renderedCheckout.find('.form-control-feedback').text())
+      .toBe('This field is required');
+
+    change('email', 'oleg@example.com');
+    submit();
+    expect(store.getState().checkout.step).toBe('shippingAddress');
+
+    change('name', address.name);
+    submit();
+    expect(store.getState().checkout.step).toBe('shippingAddress');
+    expect(renderedCheckout.find('.form-control-feedback').length).toBe(3);
+
+    Object.entries(address).forEach(([name, value]) => change(name, value));
+    submit();
+    expect(store.getState().checkout.step).toBe('shippingMethod');
+
+    // Shipping method must be chosen
+    submit();
+    expect(store.getState().checkout.step).toBe('shippingMethod');
+    renderedCheckout
+      .find('input[name="shipping-method"]')
+      .simulate('change', { target: { value: 'express' } });
+    submit();
+    expect(store.getState().checkout.step).toBe('review');
+
+    expect(renderedCheckout.find('li').text())
+      .toBe('iPad case × 2: £140.00Note: Happy birthday!');
+
+    renderedCheckout.find('button.btn-primary').last().simulate('click');
+
+    expect(orders.length).toBe(1);
+    const [{
+      lines,
+      contact,
+      shippingAddress,
+      billingAddress,
+      grandTotal,
+    }] = orders;
+    expect(lines.map(({ key: lineKey, note }) => ({ lineKey, note })))
+      .toEqual([{ lineKey: key, note: 'Happy birthday!' }]);
+    expect(contact.email).toBe('oleg@example.com');
+    expect(shippingAddress.city).toBe('London');
+    expect(billingAddress).toEqual(shippingAddress);
+    expect(grandTotal).toBe(150);
+
+    expect(store.getState().checkout.step).toBe('complete');
+    expect(store.getState().checkout.order).toEqual(orders[0]);
+    expect(store.getState().cart.products).toEqual({});
+  });
+});
@@ -17,6 +17,8 @@ const testCheckoutButtonLocalization = {
     'Checkout (Grand total {localizedCurrency}{total, plural, ' +
     '=0 {0}' +
     'other {#}})',
+  checkoutTotalWithTax:
+    'Checkout ({localizedCurrency}{total} + tax {localizedCurrency}{tax})',
   GBP: '£',
 };
 
@@ -40,4 +42,25 @@ describe('CheckoutButton', () => {
     );
     expect(renderedCheckoutButton.toJSON()).toMatchSnapshot();
   });
+
+  it('shows total without tax', () => {
+    const renderedCheckoutButton = renderer.create(
+      <CheckoutButton
+        getLocalization={
+          (id, params) => getLocalization(
+            id === 'checkoutTotal' ? 'checkoutTotalWithTax' : id, params,
+          )
+        }
+        grandTotal={120}
+        tax={20}
+        taxDisplay="exclusive"
+        hidden={false}
+        checkoutURL="/to/checkout/"
+        currency="GBP"
+      />,
+    );
+    expect(renderedCheckoutButton.toJSON().children).toContain(
+      'Checkout (£100 + tax £20)',
+    );
+  });
 });
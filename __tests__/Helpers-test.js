@@ -0,0 +1,56 @@
+/*
+ * Helpers tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import { generateProductKey, parseProductKey } from '../src/helpers';
+
+describe('generateProductKey', () => {
+  it("doesn't depend on order of properties", () => {
+    expect(generateProductKey('macbook-case', { size: 13, colour: 'red' }))
+      .toBe(generateProductKey('macbook-case', { colour: 'red', size: 13 }));
+  });
+
+  it('distinguishes numbers from strings', () => {
+    expect(generateProductKey('macbook-case', { size: 13 }))
+      .not.toBe(generateProductKey('macbook-case', { size: '13' }));
+  });
+
+  it('escapes delimiters', () => {
+    expect(generateProductKey('cases/macbook', { colour: 'dark_red' }))
+      .toBe('cases%2Fmacbook/_colour-dark%5Fred');
+    expect(generateProductKey('case', { a_b: 'c' }))
+      .not.toBe(generateProductKey('case', { a: 'b_c' }));
+  });
+});
+
+describe('parseProductKey', () => {
+  it('parses key made by generateProductKey', () => {
+    const product = {
+      id: 'cases/macbook-case',
+      properties: {
+        colour: 'dark_red',
+        'gift-wrap': 'yes',
+        engraving: 'size=13 100%',
+        size: 13,
+      },
+    };
+    expect(
+      parseProductKey(generateProductKey(product.id, product.properties)),
+    ).toEqual(product);
+  });
+
+  it('parses key of product without properties', () => {
+    expect(parseProductKey('macbook-case/'))
+      .toEqual({ id: 'macbook-case', properties: {} });
+  });
+
+  it('throws on malformed keys', () => {
+    expect(() => parseProductKey('macbook-case')).toThrow();
+    expect(() => parseProductKey('macbook-case/_colour')).toThrow();
+  });
+});
@@ -0,0 +1,54 @@
+/*
+ * Localization tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import {
+  defaultLocalization,
+  getLocalization,
+  getDefaultLocalization,
+  addFormattedPrices,
+} from '../src/localization';
+
+test('formats prices for language and currency', () => {
+  expect(
+    getDefaultLocalization('cart', 'en')(
+      'totalValue', { total: 1234.5, currency: 'USD' },
+    ),
+  ).toBe('$1,234.50');
+  expect(
+    getLocalization(
+      defaultLocalization.en.cart,
+      'de',
+      'priceValue',
+      { price: 1234.5, currency: 'EUR' },
+    ),
+  ).toBe(
+    new Intl.NumberFormat(
+      'de', { style: 'currency', currency: 'EUR' },
+    ).format(1234.5),
+  );
+});
+
+test('formatted params are lazy and keep getters', () => {
+  let calls = 0;
+  const params = addFormattedPrices({
+    price: 5,
+    originalPrice: 600,
+    currency: 'USD',
+    originalCurrency: 'JPY',
+    get localizedCurrency() {
+      calls += 1;
+      return '$';
+    },
+  }, 'en');
+  expect(calls).toBe(0);
+  expect(params.formattedPrice).toBe('$5.00');
+  expect(params.formattedOriginalPrice).toBe('¥600');
+  expect(params.localizedCurrency).toBe('$');
+  expect(params.formattedTotal).toBeUndefined();
+});
@@ -0,0 +1,54 @@
+/*
+ * Money module tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import {
+  toMinorUnits,
+  fromMinorUnits,
+  sumMoney,
+  multiplyMoney,
+} from '../src/money';
+import Product from '../src/components/Product/Product';
+
+test('uses minor units of currency', () => {
+  expect(toMinorUnits(3.5, 'USD')).toBe(350);
+  expect(toMinorUnits(3.5, 'KWD')).toBe(3500);
+  expect(toMinorUnits(3.5, 'JPY')).toBe(4);
+  expect(toMinorUnits(1.005, 'USD')).toBe(101);
+  expect(fromMinorUnits(7349, 'USD')).toBe(73.49);
+});
+
+test('calculates amounts without float errors', () => {
+  expect(sumMoney([0.1, 0.2], 'USD')).toBe(0.3);
+  expect(multiplyMoney(24.49, 3, 'USD')).toBe(73.47);
+  expect(multiplyMoney(1.1, 3, 'USD')).toBe(3.3);
+});
+
+test('product price with additional cost is exact', () => {
+  const {
+    productInfo: { prices },
+  } = Product.generateCartProduct(
+    {
+      id: 'ipad-case',
+      name: 'iPadCase',
+      path: '/shop/ipad-case/',
+      imagePath: '1-483x321.jpeg',
+      propertiesToShowInCart: ['colour'],
+      prices: { USD: 70.2, KWD: 21.105 },
+      properties: {
+        colour: [{
+          value: 'yellow',
+          additionalCost: { USD: 0.1, KWD: 0.002 },
+        }],
+      },
+    },
+    1,
+    { colour: 0 },
+  );
+  expect(prices).toEqual({ USD: 70.3, KWD: 21.107 });
+});
@@ -0,0 +1,101 @@
+/*
+ * OrderSummary tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { renderToStaticMarkup } from 'react-dom/server';
+import { OrderSummary } from '../src/components';
+import { getDefaultLocalization } from '../src/localization';
+
+const products = {
+  'ipad-case/_colour-red': {
+    id: 'ipad-case',
+    properties: {
+      colour: 'red',
+      engraving: 'Oleg',
+    },
+    quantity: 2,
+    note: 'Happy birthday!',
+    productInfo: {
+      name: 'iPadCase',
+      prices: {
+        GBP: 70,
+      },
+      imagePath: 'ipad-case1-483x321.jpeg',
+      propertiesToShowInCart: ['colour'],
+      path: '/shop/ipad-case',
+    },
+  },
+  'macbook-case': {
+    id: 'macbook-case',
+    quantity: 1,
+    productInfo: {
+      name: 'macbookCase',
+      prices: {
+        USD: 80,
+      },
+      imagePath: 'macbook-case1-483x321.jpeg',
+      path: '/shop/macbook-case',
+    },
+  },
+};
+
+const getLocalization = getDefaultLocalization('orderSummary', 'en', {
+  iPadCase: 'iPad case',
+  colour: 'Colour',
+  red: 'Red',
+  GBP: '£',
+});
+
+describe('OrderSummary', () => {
+  it('renders static markup', () => {
+    const markup = renderToStaticMarkup(
+      <OrderSummary
+        products={products}
+        currency="GBP"
+        discount={14}
+        shipping={10}
+        tax={21.2}
+        getLocalization={getLocalization}
+      />,
+    );
+
+    expect(markup).not.toMatch(/<input|<button|data-react/);
+    expect(markup).toMatch('<div><h4>Order summary</h4></div>');
+    // Product without price in currency is skipped
+    expect(markup).not.toMatch('macbookCase');
+    expect(markup).toMatch(
+      '<td>iPad case<small class="d-block text-muted">Colour: Red</small>' +
+      '<small class="d-block">Note: Happy birthday!</small></td>' +
+      '<td class="text-right">2</td>' +
+      '<td class="text-right">£70.00</td>' +
+      '<td class="text-right">£140.00</td>',
+    );
+    expect(markup).not.toMatch('Oleg');
+    expect(markup).toMatch('Discount</th><td class="text-right">-£14.00');
+    expect(markup).toMatch('Tax</th><td class="text-right">£21.20');
+    expect(markup).toMatch('Total</th><td class="text-right">£157.20');
+  });
+
+  it('hides empty rows and keeps included tax out of total', () => {
+    const markup = renderToStaticMarkup(
+      <OrderSummary
+        products={products}
+        currency="GBP"
+        tax={23.33}
+        pricesIncludeTax
+        showHeader={false}
+        getLocalization={getLocalization}
+      />,
+    );
+
+    expect(markup).not.toMatch(/Order summary|Discount|Shipping/);
+    expect(markup).toMatch('Including tax</th><td class="text-right">£23.33');
+    expect(markup).toMatch('Total</th><td class="text-right">£140.00');
+  });
+});
@@ -20,10 +20,24 @@ const testProductLocalization = {
   red: 'Red',
   green: 'Green',
   price: 'Price: {localizedCurrency}{price}',
+  priceUnavailable: 'Price unavailable',
   GBP: '£',
   quantityLabel: 'Quantity:',
   propertyLabel: '{localizedName}:',
   addToCart: 'Add to my cart :)',
+  outOfStock: 'Out of stock',
+  onlyNLeft: 'Only {maxQuantity} left',
+  size: 'Size',
+  S: 'S',
+  M: 'M',
+  L: 'L',
+  giftWrap: 'Gift wrap',
+  engraving: 'Engraving',
+  yes: 'Yes (+{cost})',
+  no: 'No',
+  propertyCharactersLeft: '{charactersLeft} characters left',
+  priceTier: '{tierMinQuantity}+ items',
+  nextPriceTier: 'Add {missingQuantity} more to pay {price} → {nextTierPrice}',
 };
 
 const getLocalization = (id, params = {}) =>
@@ -109,6 +123,303 @@ describe('Product', () => {
     expect(Object.keys(cartState).length).toBe(2);
   });
 
+  it('respects stock', () => {
+    const cartState = {};
+    const renderedProduct = createProduct({
+      cartState,
+      props: {
+        ...iPadCaseProps,
+        maxQuantity: 3,
+        properties: {
+          colour: ['red', { value: 'green', stock: 0 }],
+        },
+      },
+    });
+
+    renderedProduct.find('input').simulate('change', { target: { value: 4 } });
+
+    expect(renderedProduct.find('.alert').text()).toBe('Only 3 left');
+    expect(renderedProduct.find('button').prop('disabled')).toBe(true);
+
+    renderedProduct.find('input').simulate('change', { target: { value: 3 } });
+    renderedProduct.find('form').simulate('submit');
+
+    const [redCase] = Object.values(cartState);
+    expect(redCase.quantity).toBe(3);
+    expect(redCase.productInfo.maxQuantity).toBe(3);
+
+    renderedProduct
+      .find('select')
+      .simulate('change', { target: { value: 'green' } });
+
+    expect(renderedProduct.find('.alert').text()).toBe('Out of stock');
+    expect(renderedProduct.find('button').prop('disabled')).toBe(true);
+  });
+
+  it('converts additional cost and disables unavailable price', () => {
+    const cartState = {};
+    const renderedProduct = createProduct({
+      cartState,
+      props: {
+        ...iPadCaseProps,
+        properties: {
+          colour: ['red', { value: 'green', additionalCost: { USD: 10 } }],
+        },
+        exchangeRates: {
+          base: 'USD',
+          rates: { GBP: 0.8 },
+          rounding: { decimals: 2, mode: 'round' },
+        },
+      },
+    });
+
+    renderedProduct
+      .find('select')
+      .simulate('change', { target: { value: 'green' } });
+    renderedProduct.find('form').simulate('submit');
+
+    const [greenCase] = Object.values(cartState);
+    expect(greenCase.productInfo.prices).toEqual({ GBP: 78 });
+
+    // Price can't be converted without exchange rates
+    const unpricedProduct = createProduct({
+      cartState,
+      props: { ...iPadCaseProps, prices: { USD: 10 } },
+    });
+
+    expect(unpricedProduct.find('p').first().text())
+      .toBe('Price unavailable');
+    expect(unpricedProduct.find('button').prop('disabled')).toBe(true);
+  });
+
+  it('previews price tiers', () => {
+    const cartState = {};
+    const renderedProduct = createProduct({
+      cartState,
+      props: {
+        ...iPadCaseProps,
+        properties: {
+          colour: ['red', { value: 'green', additionalCost: { GBP: 5 } }],
+        },
+        priceTiers: { GBP: [{ minQuantity: 10, price: 60 }] },
+      },
+    });
+
+    expect(renderedProduct.find('.text-success').length).toBe(0);
+    expect(renderedProduct.find('.text-muted').text())
+      .toBe('Add 9 more to pay 70 → 60');
+
+    renderedProduct.find('input').simulate('change', { target: { value: 10 } });
+    renderedProduct
+      .find('select')
+      .simulate('change', { target: { value: 'green' } });
+
+    expect(renderedProduct.find('.text-success').text()).toBe('10+ items');
+    expect(renderedProduct.find('.text-muted').length).toBe(0);
+
+    renderedProduct.find('form').simulate('submit');
+
+    const [greenCase] = Object.values(cartState);
+    expect(greenCase.productInfo.prices).toEqual({ GBP: 75 });
+    expect(greenCase.productInfo.priceTiers)
+      .toEqual({ GBP: [{ minQuantity: 10, price: 65 }] });
+  });
+
+  it('supports radio, swatch, checkbox and text properties', () => {
+    const cartState = {};
+    const renderedProduct = createProduct({
+      cartState,
+      props: {
+        ...iPadCaseProps,
+        properties: {
+          size: { type: 'radio', options: [10, 12] },
+          colour: {
+            type: 'swatch',
+            options: [
+              { value: 'red', colour: '#f00' },
+              { value: 'green', colour: '#0f0' },
+            ],
+          },
+          giftWrap: {
+            type: 'checkbox',
+            options: ['no', { value: 'yes', additionalCost: { GBP: 3 } }],
+          },
+          engraving: {
+            type: 'text',
+            maxLength: 5,
+            additionalCost: { GBP: 10 },
+          },
+        },
+      },
+    });
+
+    const addProduct = () => renderedProduct.find('form').simulate('submit');
+
+    // Empty engraving isn't added to properties
+    addProduct();
+    expect(
+      cartState['ipad-case/_colour-red_giftWrap-no_size=10'].properties,
+    ).toEqual({ size: 10, colour: 'red', giftWrap: 'no' });
+
+    renderedProduct
+      .find('input[type="radio"]')
+      .last()
+      .simulate('change', { currentTarget: { value: '1' } });
+    renderedProduct
+      .find('button[type="button"]')
+      .last()
+      .simulate('click', { currentTarget: { value: '1' } });
+    renderedProduct
+      .find('input[type="checkbox"]')
+      .simulate('change', { target: { checked: true } });
+    renderedProduct
+      .find('input[type="text"]')
+      .simulate('change', { target: { value: 'Olegus' } });
+    addProduct();
+
+    const key = 'ipad-case/_colour-green_engraving-Olegu_giftWrap-yes_size=12';
+    expect(cartState[key].properties).toEqual({
+      size: 12, colour: 'green', giftWrap: 'yes', engraving: 'Olegu',
+    });
+    // 70 + 3 + 10
+    expect(cartState[key].productInfo.prices).toEqual({ GBP: 83 });
+
+    renderedProduct
+      .find('input[type="text"]')
+      .simulate('change', { target: { value: 'Ann' } });
+    addProduct();
+
+    expect(Object.keys(cartState).length).toBe(3);
+  });
+
+  it('respects variants', () => {
+    const cartState = {};
+    const renderedProduct = createProduct({
+      cartState,
+      props: {
+        ...iPadCaseProps,
+        properties: {
+          colour: ['red', 'green'],
+          size: ['S', 'M', 'L'],
+        },
+        variants: [
+          { properties: { colour: 'red', size: 'S' } },
+          // Sold out variant is unavailable
+          { properties: { colour: 'red', size: 'M' }, stock: 0 },
+          { properties: { colour: 'green', size: 'M' }, stock: 2 },
+          { properties: { colour: 'green', size: 'L' }, prices: { GBP: 80 } },
+        ],
+      },
+    });
+
+    const getDisabledSizes = () =>
+      renderedProduct
+        .find('select')
+        .last()
+        .find('option')
+        .filterWhere(option => option.prop('disabled'))
+        .map(option => option.prop('value'));
+
+    expect(getDisabledSizes()).toEqual(['M', 'L']);
+
+    // S doesn't exist in green, so M is selected
+    renderedProduct
+      .find('select')
+      .first()
+      .simulate('change', { target: { value: 'green' } });
+    expect(getDisabledSizes()).toEqual(['S']);
+    expect(renderedProduct.find('select').last().prop('value')).toBe('M');
+
+    renderedProduct.find('input').simulate('change', { target: { value: 3 } });
+    expect(renderedProduct.find('.alert').text()).toBe('Only 2 left');
+
+    renderedProduct
+      .find('select')
+      .last()
+      .simulate('change', { target: { value: 'L' } });
+    renderedProduct.find('form').simulate('submit');
+
+    const [greenCase] = Object.values(cartState);
+    expect(greenCase.properties).toEqual({ colour: 'green', size: 'L' });
+    expect(greenCase.productInfo.prices).toEqual({ GBP: 80 });
+  });
+
+  it('applies price tiers to price of variant', () => {
+    const cartState = {};
+    const renderedProduct = createProduct({
+      cartState,
+      props: {
+        ...iPadCaseProps,
+        properties: { colour: ['red', 'green'] },
+        variants: [
+          { properties: { colour: 'red' } },
+          { properties: { colour: 'green' }, prices: { GBP: 80 } },
+        ],
+        priceTiers: { GBP: [{ minQuantity: 10, price: 60 }] },
+      },
+    });
+
+    renderedProduct
+      .find('select')
+      .simulate('change', { target: { value: 'green' } });
+
+    expect(renderedProduct.find('.text-muted').text())
+      .toBe('Add 9 more to pay 80 → 70');
+
+    renderedProduct.find('form').simulate('submit');
+
+    const [greenCase] = Object.values(cartState);
+    expect(greenCase.productInfo.prices).toEqual({ GBP: 80 });
+    expect(greenCase.productInfo.priceTiers)
+      .toEqual({ GBP: [{ minQuantity: 10, price: 70 }] });
+  });
+
+  it('shows and adds image of selected option', () => {
+    const cartState = {};
+    const renderedProduct = createProduct({
+      cartState,
+      props: {
+        ...iPadCaseProps,
+        showImage: true,
+        gallery: ['back.jpeg'],
+        properties: {
+          colour: [
+            'red',
+            {
+              value: 'green',
+              imagePath: 'green.jpeg',
+              gallery: ['green2.jpeg'],
+            },
+          ],
+        },
+      },
+    });
+
+    const getShownImage = () =>
+      renderedProduct.find('img').first().prop('src');
+
+    expect(getShownImage()).toBe('1-483x321.jpeg');
+
+    renderedProduct
+      .find('button[value="back.jpeg"]')
+      .simulate('click', { currentTarget: { value: 'back.jpeg' } });
+    expect(getShownImage()).toBe('back.jpeg');
+
+    renderedProduct
+      .find('select')
+      .simulate('change', { target: { value: 'green' } });
+    expect(getShownImage()).toBe('green.jpeg');
+    expect(
+      renderedProduct
+        .find('.btn-group button')
+        .map(button => button.prop('value')),
+    ).toEqual(['green.jpeg', 'green2.jpeg']);
+
+    renderedProduct.find('form').simulate('submit');
+    const [greenCase] = Object.values(cartState);
+    expect(greenCase.productInfo.imagePath).toBe('green.jpeg');
+  });
+
   it('takes snapshot', () => {
     const renderedProduct = createProduct(
       { props: iPadCaseProps },
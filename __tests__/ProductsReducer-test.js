@@ -0,0 +1,205 @@
+/*
+ * Products reducer tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import products from '../src/reducers/cart/products';
+import {
+  addToCart,
+  updateCart,
+  mergeCart,
+  clearMergeConflict,
+  refreshProducts,
+  dismissPriceChange,
+} from '../src/actions';
+
+const iPadCase = {
+  id: 'ipad-case',
+  properties: {
+    colour: 'red',
+  },
+  quantity: 4,
+  productInfo: {
+    name: 'iPadCase',
+    prices: {
+      GBP: 70,
+    },
+    imagePath: 'ipad-case1-483x321.jpeg',
+    propertiesToShowInCart: ['colour'],
+    path: '/shop/ipad-case',
+    maxQuantity: 5,
+  },
+};
+
+describe('products reducer', () => {
+  it('limits quantity to stock', () => {
+    const key = 'ipad-case/_colour-red';
+    let state = products(void 0, addToCart(key, iPadCase, 'GBP'));
+
+    expect(state[key].quantity).toBe(4);
+    expect(state[key].stockWarning).toBeUndefined();
+
+    state = products(state, addToCart(key, iPadCase, 'GBP'));
+
+    expect(state[key].quantity).toBe(5);
+    expect(state[key].stockWarning)
+      .toEqual({ requestedQuantity: 8, maxQuantity: 5 });
+
+    state = products(
+      state, updateCart(key, { ...state[key], quantity: 9999 }),
+    );
+
+    expect(state[key].quantity).toBe(5);
+    expect(state[key].stockWarning)
+      .toEqual({ requestedQuantity: 9999, maxQuantity: 5 });
+
+    // Warning is cleared when quantity fits in stock
+    state = products(state, updateCart(key, { ...state[key], quantity: 2 }));
+
+    expect(state[key].quantity).toBe(2);
+    expect(state[key].stockWarning).toBeUndefined();
+
+    // Zero quantity keeps line while product is in stock
+    state = products(state, updateCart(key, { ...state[key], quantity: 0 }));
+
+    expect(state[key].quantity).toBe(0);
+
+    // Line is removed when product runs out of stock
+    const soldOutCase = {
+      ...iPadCase,
+      productInfo: { ...iPadCase.productInfo, maxQuantity: 0 },
+    };
+    expect(products(state, updateCart(key, soldOutCase))).toEqual({});
+    expect(products(void 0, addToCart(key, soldOutCase, 'GBP'))).toEqual({});
+  });
+});
+
+describe('cart merge', () => {
+  const key = 'ipad-case/_colour-red';
+  const otherKey = 'ipad-case/_colour-green';
+  const local = { [key]: { ...iPadCase, quantity: 2 } };
+  const incoming = {
+    [key]: { ...iPadCase, quantity: 1 },
+    [otherKey]: {
+      ...iPadCase,
+      properties: { colour: 'green' },
+      quantity: 1,
+    },
+  };
+
+  it('merges quantities using strategy', () => {
+    expect(products(local, mergeCart(incoming))[key].quantity).toBe(3);
+    expect(products(local, mergeCart(incoming, 'max'))[key].quantity)
+      .toBe(2);
+    expect(products(local, mergeCart(incoming, 'incoming'))[key].quantity)
+      .toBe(1);
+    expect(products(local, mergeCart(incoming, 'local'))[key].quantity)
+      .toBe(2);
+    expect(products(local, mergeCart(incoming))[otherKey])
+      .toEqual(incoming[otherKey]);
+    // Merged quantity is limited to stock
+    expect(
+      products(
+        local, mergeCart({ [key]: { ...iPadCase, quantity: 4 } }),
+      )[key].quantity,
+    ).toBe(5);
+  });
+
+  it('keeps local note of incoming line', () => {
+    const notedLocal = { [key]: { ...local[key], note: 'Gift' } };
+
+    expect(products(notedLocal, mergeCart(incoming, 'incoming'))[key].note)
+      .toBe('Gift');
+    expect(
+      products(
+        notedLocal,
+        mergeCart({ [key]: { ...incoming[key], note: 'Wrap' } }, 'incoming'),
+      )[key].note,
+    ).toBe('Wrap');
+  });
+
+  it('rejects unknown strategy in action creator', () => {
+    expect(() => mergeCart(incoming, 'min')).toThrow();
+    // Reducer doesn't throw on such action
+    expect(
+      products(local, { ...mergeCart(incoming), strategy: 'min' })[key]
+        .quantity,
+    ).toBe(3);
+  });
+
+  it('reports conflicting prices', () => {
+    const state = products(local, mergeCart({
+      [key]: {
+        ...iPadCase,
+        productInfo: { ...iPadCase.productInfo, prices: { GBP: 60 } },
+      },
+    }, 'local'));
+
+    expect(state[key].productInfo.prices).toEqual({ GBP: 70 });
+    expect(state[key].mergeConflict).toEqual({
+      localPrices: { GBP: 70 },
+      incomingPrices: { GBP: 60 },
+    });
+    expect(products(state, mergeCart(local))[key].mergeConflict)
+      .toBeUndefined();
+    expect(products(state, clearMergeConflict(key))[key])
+      .toEqual(local[key]);
+    expect(products(local, clearMergeConflict(key))).toBe(local);
+  });
+});
+
+describe('products refresh', () => {
+  const key = 'ipad-case/_colour-red';
+  const state = { [key]: iPadCase };
+
+  it('records price changes', () => {
+    let refreshed =
+      products(state, refreshProducts(() => ({ prices: { GBP: 75 } })));
+
+    expect(refreshed[key].productInfo.prices).toEqual({ GBP: 75 });
+    expect(refreshed[key].priceChange).toEqual({
+      previousPrices: { GBP: 70 },
+      currentPrices: { GBP: 75 },
+    });
+    expect(products(refreshed, dismissPriceChange(key))[key])
+      .toEqual({ ...iPadCase, productInfo: refreshed[key].productInfo });
+
+    refreshed = products(
+      refreshed,
+      refreshProducts(() => ({ prices: { GBP: 70 } })),
+    );
+
+    expect(refreshed[key].priceChange).toBeUndefined();
+    expect(products(refreshed, dismissPriceChange(key))).toBe(refreshed);
+  });
+
+  it('flags or removes discontinued products', () => {
+    expect(
+      products(state, refreshProducts(() => null))[key].discontinued,
+    ).toBe(true);
+    expect(
+      products(
+        state,
+        refreshProducts(() => null, { removeDiscontinued: true }),
+      ),
+    ).toEqual({});
+  });
+
+  it('keeps sold out lines unless they are removed', () => {
+    const soldOut = () => ({ maxQuantity: 0 });
+
+    expect(products(state, refreshProducts(soldOut))[key]).toEqual({
+      ...iPadCase,
+      quantity: 0,
+      productInfo: { ...iPadCase.productInfo, maxQuantity: 0 },
+      stockWarning: { requestedQuantity: 4, maxQuantity: 0 },
+    });
+    expect(
+      products(state, refreshProducts(soldOut, { removeDiscontinued: true })),
+    ).toEqual({});
+  });
+});
@@ -0,0 +1,157 @@
+/*
+ * Promotions tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import { applyPromotions, getGiftKey } from '../src/promotions';
+import { createCartSelectors } from '../src/selectors';
+import { setPromotions } from '../src/actions';
+
+const createLine = (id, price, quantity) => ({
+  id,
+  quantity,
+  properties: {},
+  productInfo: {
+    name: id,
+    prices: { USD: price },
+    imagePath: `${id}.jpeg`,
+    path: `/shop/${id}`,
+  },
+});
+
+const products = {
+  'case/_colour-red': createLine('case', 20, 2),
+  'case/_colour-green': createLine('case', 15, 1),
+  cable: createLine('cable', 5, 1),
+};
+
+const sticker = {
+  id: 'sticker',
+  productInfo: {
+    name: 'Sticker',
+    prices: { USD: 2 },
+    imagePath: 'sticker.jpeg',
+    path: '/shop/sticker',
+  },
+};
+
+describe('promotions', () => {
+  it('discounts the cheapest items of buy X get Y', () => {
+    const { adjustments } = applyPromotions(
+      products,
+      [{ id: 'cases', type: 'buyXGetY', productIds: ['case'], buy: 2, get: 1 }],
+      'USD',
+    );
+
+    expect(adjustments.map(({ key, discount, quantity }) =>
+      ({ key, discount, quantity }),
+    )).toEqual([{ key: 'case/_colour-green', discount: 15, quantity: 1 }]);
+  });
+
+  it('discounts the cheapest item by percentage', () => {
+    const promotion = {
+      id: 'cheapest',
+      type: 'percentageOffCheapest',
+      percentage: 20,
+      minQuantity: 5,
+    };
+
+    expect(applyPromotions(products, [promotion], 'USD').adjustments)
+      .toEqual([]);
+    const [{ key, discount, quantity }] = applyPromotions(
+      products, [{ ...promotion, minQuantity: 4 }], 'USD',
+    ).adjustments;
+    expect({ key, discount, quantity })
+      .toEqual({ key: 'cable', discount: 1, quantity: 1 });
+  });
+
+  it('adds and removes gift lines', () => {
+    const promotion = {
+      id: 'sticker',
+      type: 'spendGetGift',
+      minimumSpend: { USD: 60 },
+      gift: sticker,
+    };
+
+    const { gifts } = applyPromotions(products, [promotion], 'USD');
+    const { id, quantity, gift, productInfo } = gifts[getGiftKey('sticker')];
+    expect({ id, quantity, gift })
+      .toEqual({ id: 'sticker', quantity: 1, gift: true });
+    expect(productInfo.prices).toEqual({ USD: 0 });
+
+    const cheaperProducts = {
+      'case/_colour-red': products['case/_colour-red'],
+      'case/_colour-green': products['case/_colour-green'],
+    };
+    expect(applyPromotions(cheaperProducts, [promotion], 'USD').gifts)
+      .toEqual({});
+    expect(applyPromotions(products, [promotion], 'EUR').gifts).toEqual({});
+  });
+
+  it('rejects unknown type in action creator', () => {
+    expect(() => setPromotions([{ id: 'x', type: 'x' }])).toThrow();
+    // Promotion which was stored anyway is ignored
+    expect(applyPromotions(products, [{ id: 'x', type: 'x' }], 'USD'))
+      .toEqual({ gifts: {}, adjustments: [] });
+  });
+
+  it('discounts line by no more than its cost', () => {
+    const { adjustments } = applyPromotions(
+      products,
+      [
+        { id: 'free-cases', type: 'buyXGetY', productIds: ['case'], buy: 0 },
+        { id: 'cheapest', type: 'percentageOffCheapest', percentage: 150 },
+        {
+          id: 'cheapest-case',
+          type: 'percentageOffCheapest',
+          productIds: ['case'],
+          percentage: 50,
+        },
+      ],
+      'USD',
+    );
+
+    expect(adjustments.map(({ key, discount }) => ({ key, discount })))
+      .toEqual([
+        { key: 'case/_colour-green', discount: 15 },
+        { key: 'case/_colour-red', discount: 40 },
+        { key: 'cable', discount: 5 },
+        { key: 'case/_colour-green', discount: 0 },
+      ]);
+  });
+
+  it('is respected by totals', () => {
+    const {
+      productsWithGiftsSelector,
+      subtotalSelector,
+      discountSelector,
+      totalSelector,
+    } = createCartSelectors();
+    const state = {
+      cart: {
+        products,
+        currency: 'USD',
+        discounts: { TEN: { code: 'ten', amounts: { USD: 10 } } },
+        promotions: [
+          { id: 'cases', type: 'buyXGetY', productIds: ['case'], buy: 2 },
+          {
+            id: 'sticker',
+            type: 'spendGetGift',
+            minimumSpend: { USD: 60 },
+            gift: sticker,
+          },
+        ],
+      },
+    };
+
+    expect(Object.keys(productsWithGiftsSelector(state)))
+      .toEqual([...Object.keys(products), getGiftKey('sticker')]);
+    expect(subtotalSelector(state)).toBe(60);
+    expect(discountSelector(state)).toBe(25);
+    expect(totalSelector(state)).toBe(35);
+  });
+});
@@ -0,0 +1,218 @@
+/*
+ * Selectors tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import {
+  createCartSelectors,
+  subtotalSelector,
+  discountSelector,
+  totalSelector,
+  taxSelector,
+  shippingCostsSelector,
+  grandTotalSelector,
+  isCartEmptySelector,
+} from '../src/selectors';
+
+const iPadCase = {
+  id: 'ipad-case',
+  properties: {
+    colour: 'red',
+  },
+  quantity: 2,
+  productInfo: {
+    name: 'iPadCase',
+    prices: {
+      GBP: 70,
+    },
+    imagePath: 'ipad-case1-483x321.jpeg',
+    propertiesToShowInCart: ['colour'],
+    path: '/shop/ipad-case',
+  },
+};
+
+const cart = {
+  products: { 'ipad-case/_colour-red': iPadCase },
+  currency: 'GBP',
+};
+
+describe('selectors', () => {
+  it('reads cart from state.cart by default', () => {
+    expect(totalSelector({ cart })).toBe(140);
+    expect(isCartEmptySelector({ cart })).toBe(false);
+  });
+
+  it('reads cart from the given slice', () => {
+    const {
+      totalSelector: shopTotalSelector,
+      isCartEmptySelector: isShopCartEmptySelector,
+    } = createCartSelectors(({ shop }) => shop.cart);
+
+    expect(shopTotalSelector({ shop: { cart } })).toBe(140);
+    expect(
+      isShopCartEmptySelector({ shop: { cart: { products: {} } } }),
+    ).toBe(true);
+  });
+
+  it('subtracts discounts of applied coupons', () => {
+    const discountedCart = {
+      ...cart,
+      discounts: {
+        TEN: { code: 'ten', percentage: 10 },
+        FIVE: { code: 'five', amounts: { GBP: 5, EUR: 6 } },
+        OTHER: { code: 'other', percentage: 50, productIds: ['other'] },
+        MIN: { code: 'min', amounts: { GBP: 10 }, minimumSpend: { GBP: 200 } },
+      },
+    };
+
+    expect(subtotalSelector({ cart: discountedCart })).toBe(140);
+    expect(discountSelector({ cart: discountedCart })).toBe(19);
+    expect(totalSelector({ cart: discountedCart })).toBe(121);
+  });
+
+  it('never discounts more than subtotal', () => {
+    const discountedCart = {
+      ...cart,
+      discounts: { HUGE: { code: 'huge', amounts: { GBP: 1000 } } },
+    };
+
+    expect(totalSelector({ cart: discountedCart })).toBe(0);
+  });
+
+  it('adds tax on top of prices which exclude it', () => {
+    const taxedCart = {
+      products: {
+        ...cart.products,
+        'book/': {
+          ...iPadCase,
+          id: 'book',
+          quantity: 1,
+          productInfo: { ...iPadCase.productInfo, taxClass: 'reduced' },
+        },
+      },
+      currency: 'GBP',
+      discounts: { HALF: { code: 'half', percentage: 50 } },
+      tax: {
+        rates: { GB: { standard: 20, reduced: 5 } },
+        region: 'GB',
+        pricesIncludeTax: false,
+      },
+    };
+
+    // 140 * 0.5 * 0.2 + 70 * 0.5 * 0.05
+    expect(taxSelector({ cart: taxedCart })).toBeCloseTo(15.75);
+    expect(grandTotalSelector({ cart: taxedCart })).toBeCloseTo(120.75);
+  });
+
+  it('extracts tax from prices which include it', () => {
+    const taxedCart = {
+      ...cart,
+      tax: { rates: { DE: 40 }, region: 'DE', pricesIncludeTax: true },
+    };
+
+    expect(taxSelector({ cart: taxedCart })).toBeCloseTo(40);
+    expect(grandTotalSelector({ cart: taxedCart })).toBe(140);
+  });
+
+  it('adds cost of selected shipping method', () => {
+    const shippedCart = {
+      products: {
+        ...cart.products,
+        'book/': {
+          ...iPadCase,
+          id: 'book',
+          quantity: 3,
+          productInfo: { ...iPadCase.productInfo, prices: { GBP: 10 } },
+        },
+      },
+      currency: 'GBP',
+      shipping: {
+        methods: [
+          { id: 'flat', name: 'flat', cost: { GBP: 5 } },
+          {
+            id: 'free',
+            name: 'free',
+            cost: { GBP: 5 },
+            freeOver: { GBP: 100 },
+          },
+          {
+            id: 'perItem',
+            name: 'perItem',
+            cost: { GBP: 1 },
+            costPerItem: { GBP: 2 },
+          },
+          { id: 'dollars', name: 'dollars', cost: { USD: 5 } },
+        ],
+        selectedMethod: 'perItem',
+      },
+    };
+
+    expect(shippingCostsSelector({ cart: shippedCart })).toEqual({
+      flat: 5,
+      free: 0,
+      perItem: 11,
+      dollars: null,
+    });
+    // 2 * 70 + 3 * 10 + 11
+    expect(grandTotalSelector({ cart: shippedCart })).toBe(181);
+  });
+
+  it('converts prices missing in current currency', () => {
+    const convertedCart = {
+      ...cart,
+      currency: 'JPY',
+      exchangeRates: {
+        base: 'USD',
+        rates: { GBP: 0.8, JPY: 110.37 },
+        rounding: { decimals: 0, mode: 'ceil' },
+      },
+    };
+
+    // 70 GBP = 87.5 USD = 9657.375 JPY, rounded up
+    expect(subtotalSelector({ cart: convertedCart })).toBe(2 * 9658);
+
+    // Line without price and exchange rate is left out of totals
+    const unpricedCart = {
+      ...convertedCart,
+      products: {
+        ...cart.products,
+        'ipad-mini-case': {
+          ...iPadCase,
+          id: 'ipad-mini-case',
+          productInfo: { ...iPadCase.productInfo, prices: { CHF: 60 } },
+        },
+      },
+    };
+    expect(subtotalSelector({ cart: unpricedCart })).toBe(2 * 9658);
+    expect(grandTotalSelector({ cart: unpricedCart })).toBe(2 * 9658);
+  });
+
+  it('uses price of tier which quantity reaches', () => {
+    const tieredCase = {
+      ...iPadCase,
+      productInfo: {
+        ...iPadCase.productInfo,
+        priceTiers: {
+          GBP: [
+            { minQuantity: 50, price: 55 },
+            { minQuantity: 10, price: 65 },
+          ],
+        },
+      },
+    };
+    const getTotal = quantity => totalSelector({
+      cart: {
+        ...cart,
+        products: { 'ipad-case/_colour-red': { ...tieredCase, quantity } },
+      },
+    });
+
+    expect(getTotal(2)).toBe(140);
+    expect(getTotal(10)).toBe(650);
+    expect(getTotal(60)).toBe(3300);
+  });
+});
@@ -0,0 +1,75 @@
+/*
+ * Wishlist tests for JEST
+ *
+ * Copyright © Oleg Nosov 2016
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE.txt file in the root directory of this source tree.
+ */
+
+import React from 'react';
+import { mount } from 'enzyme';
+import { Wishlist } from '../src/components';
+import wishlist from '../src/reducers/wishlist';
+import { addToWishlist, removeFromWishlist } from '../src/actions';
+import { getDefaultLocalization } from '../src/localization';
+import { defaultGetWishlistState } from '../src/selectors';
+
+const key = 'ipad-case/_colour-red';
+
+const iPadCase = {
+  id: 'ipad-case',
+  properties: {
+    colour: 'red',
+  },
+  quantity: 1,
+  productInfo: {
+    name: 'iPadCase',
+    prices: {
+      GBP: 70,
+    },
+    imagePath: 'ipad-case1-483x321.jpeg',
+    propertiesToShowInCart: ['colour'],
+    path: '/shop/ipad-case',
+  },
+};
+
+describe('Wishlist', () => {
+  it('stores products', () => {
+    const state = wishlist(void 0, addToWishlist(key, iPadCase));
+
+    expect(state).toEqual({ [key]: iPadCase });
+    expect(wishlist(state, removeFromWishlist(key))).toEqual({});
+    // State without wishlist reducer has the same empty wishlist
+    expect(defaultGetWishlistState({})).toEqual({});
+    expect(defaultGetWishlistState({})).toBe(defaultGetWishlistState({}));
+  });
+
+  it('adds products to cart with stored properties', () => {
+    const onAddProduct = jest.fn();
+    const wrapper = mount(
+      <Wishlist
+        products={{ [key]: iPadCase }}
+        currency="GBP"
+        onAddProduct={onAddProduct}
+        onRemoveProduct={() => {}}
+        getLocalization={
+          getDefaultLocalization('wishlist', 'en', {
+            iPadCase: 'iPad case',
+            colour: 'Colour',
+            red: 'Red',
+          })
+        }
+      />,
+    );
+
+    expect(wrapper.text()).toContain('£70.00');
+    wrapper.find('.btn-secondary').simulate('click');
+    expect(onAddProduct).toBeCalledWith(key, iPadCase, 'GBP');
+
+    // Product without price in currency can't be added
+    wrapper.setProps({ currency: 'USD' });
+    expect(wrapper.text()).toContain('Unavailable');
+    expect(wrapper.find('.btn-secondary').props().disabled).toBe(true);
+  });
+});
@@ -2,15 +2,39 @@ module.exports = {
   Cart: require('./dist/containers/Cart'),
   Product: require('./dist/containers/Product'),
   CheckoutButton: require('./dist/containers/CheckoutButton'),
+  Checkout: require('./dist/containers/Checkout'),
+  SavedForLater: require('./dist/containers/SavedForLater'),
+  Wishlist: require('./dist/containers/Wishlist'),
   CartComponent: require('./dist/components/Cart/Cart'),
   ProductComponent: require('./dist/components/Product/Product'),
   CheckoutButtonComponent:
     require('./dist/components/CheckoutButton/CheckoutButton'),
+  SavedForLaterComponent:
+    require('./dist/components/SavedForLater/SavedForLater'),
+  WishlistComponent: require('./dist/components/Wishlist/Wishlist'),
+  CheckoutComponent: require('./dist/components/Checkout/Checkout'),
+  AddressFormComponent: require('./dist/components/AddressForm/AddressForm'),
+  OrderSummaryComponent:
+    require('./dist/components/OrderSummary/OrderSummary'),
   cartActions: require('./dist/actions'),
   cartActionTypes: require('./dist/actionTypes'),
   cartReducer: require('./dist/reducers/cart'),
+  wishlistReducer: require('./dist/reducers/wishlist'),
+  checkoutReducer: require('./dist/reducers/checkout'),
   cartSelectors: require('./dist/selectors'),
   cartHelpers: require('./dist/helpers'),
   cartLocalization: require('./dist/localization'),
+  cartPersistence: require('./dist/persistence'),
+  cartMoney: require('./dist/money'),
+  cartMerge: require('./dist/merge'),
+  cartSync: require('./dist/sync'),
+  cartTabSync: require('./dist/tabSync'),
+  cartTiers: require('./dist/tiers'),
+  cartPromotions: require('./dist/promotions'),
+  cartVariants: require('./dist/variants'),
+  cartCheckout: require('./dist/checkout'),
+  cartAddresses: require('./dist/addresses'),
   setCartCurrency: require('./dist/actions').setCartCurrency,
+  createCartSelectors: require('./dist/selectors').createCartSelectors,
+  createCartContainers: require('./dist/containers').createCartContainers,
 };
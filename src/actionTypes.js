@@ -12,3 +12,34 @@ export const CART_REMOVE = 'cart/REMOVE';
 export const CART_UPDATE = 'cart/UPDATE';
 export const CART_EMPTY = 'cart/EMPTY';
 export const CART_SET_CURRENCY = 'cart/SET_CURRENCY';
+export const CART_REHYDRATE = 'cart/REHYDRATE';
+export const CART_APPLY_COUPON = 'cart/APPLY_COUPON';
+export const CART_REMOVE_COUPON = 'cart/REMOVE_COUPON';
+export const CART_SET_TAX_RATES = 'cart/SET_TAX_RATES';
+export const CART_SET_TAX_REGION = 'cart/SET_TAX_REGION';
+export const CART_SET_SHIPPING_METHODS = 'cart/SET_SHIPPING_METHODS';
+export const CART_SET_SHIPPING_METHOD = 'cart/SET_SHIPPING_METHOD';
+export const CART_SET_PROMOTIONS = 'cart/SET_PROMOTIONS';
+export const CART_SET_LINE_NOTE = 'cart/SET_LINE_NOTE';
+export const CART_SET_SHIPPING_ADDRESS = 'cart/SET_SHIPPING_ADDRESS';
+export const CART_SET_BILLING_ADDRESS = 'cart/SET_BILLING_ADDRESS';
+export const CART_SET_BILLING_SAME_AS_SHIPPING =
+  'cart/SET_BILLING_SAME_AS_SHIPPING';
+export const CART_SET_EXCHANGE_RATES = 'cart/SET_EXCHANGE_RATES';
+export const CART_MOVE_TO_SAVED_FOR_LATER = 'cart/MOVE_TO_SAVED_FOR_LATER';
+export const CART_MOVE_TO_CART = 'cart/MOVE_TO_CART';
+export const CART_UPDATE_SAVED_FOR_LATER = 'cart/UPDATE_SAVED_FOR_LATER';
+export const CART_REMOVE_FROM_SAVED_FOR_LATER =
+  'cart/REMOVE_FROM_SAVED_FOR_LATER';
+export const CART_MERGE = 'cart/MERGE';
+export const CART_CLEAR_MERGE_CONFLICT = 'cart/CLEAR_MERGE_CONFLICT';
+export const CART_REFRESH_PRODUCTS = 'cart/REFRESH_PRODUCTS';
+export const CART_DISMISS_PRICE_CHANGE = 'cart/DISMISS_PRICE_CHANGE';
+export const CART_FETCH = 'cart/FETCH';
+export const CART_SYNC_FAILED = 'cart/SYNC_FAILED';
+export const WISHLIST_ADD = 'wishlist/ADD';
+export const WISHLIST_REMOVE = 'wishlist/REMOVE';
+export const CHECKOUT_SET_STEP = 'checkout/SET_STEP';
+export const CHECKOUT_SET_CONTACT = 'checkout/SET_CONTACT';
+export const CHECKOUT_COMPLETE = 'checkout/COMPLETE';
+export const CHECKOUT_RESET = 'checkout/RESET';
@@ -9,6 +9,8 @@
  * Redux action generators
  */
 import * as actionTypes from './actionTypes';
+import { mergeStrategies } from './merge';
+import { promotionTypes } from './promotions';
 
 /**
  * @memberof actions
@@ -49,6 +51,61 @@ export const updateCart = (
     updatedProduct,
   });
 
+/**
+ * @memberof actions
+ * @description
+ * Set customer's note (e.g. gift message) of line in cart.
+ * Empty note removes it.
+ */
+export const setLineNote = (
+  key : string,
+  note : string,
+) : CartSetLineNoteActionType =>
+  ({
+    type: actionTypes.CART_SET_LINE_NOTE,
+    key,
+    note,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Update fields of shipping address
+ */
+export const setShippingAddress = (
+  address : $Shape<AddressType>,
+) : CartSetShippingAddressActionType =>
+  ({
+    type: actionTypes.CART_SET_SHIPPING_ADDRESS,
+    address,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Update fields of billing address
+ */
+export const setBillingAddress = (
+  address : $Shape<AddressType>,
+) : CartSetBillingAddressActionType =>
+  ({
+    type: actionTypes.CART_SET_BILLING_ADDRESS,
+    address,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Use shipping address as billing one or not
+ */
+export const setBillingSameAsShipping = (
+  billingSameAsShipping : boolean,
+) : CartSetBillingSameAsShippingActionType =>
+  ({
+    type: actionTypes.CART_SET_BILLING_SAME_AS_SHIPPING,
+    billingSameAsShipping,
+  });
+
 /**
  * @memberof actions
  */
@@ -67,3 +124,380 @@ export const setCartCurrency = (
     type: actionTypes.CART_SET_CURRENCY,
     currency,
   });
+
+/**
+ * @memberof actions
+ * @description
+ * Replace cart with saved one. Saved for later products are replaced
+ * only if cart has them.
+ */
+export const rehydrateCart = (
+  { products, currency, savedForLater } : CartType,
+) : CartRehydrateActionType =>
+  ({
+    type: actionTypes.CART_REHYDRATE,
+    products,
+    currency,
+    ...(savedForLater ? { savedForLater } : {}),
+  });
+
+/**
+ * @memberof actions
+ */
+export const applyCoupon = (
+  coupon : CouponType,
+) : CartApplyCouponActionType =>
+  ({
+    type: actionTypes.CART_APPLY_COUPON,
+    coupon,
+  });
+
+/**
+ * @memberof actions
+ */
+export const removeCoupon = (
+  code : string,
+) : CartRemoveCouponActionType =>
+  ({
+    type: actionTypes.CART_REMOVE_COUPON,
+    code,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * rates - { [region]: rate | { [taxClass]: rate } }, rates in percents.
+ * pricesIncludeTax - Whether productInfo.prices already include tax
+ */
+export const setTaxRates = (
+  rates : TaxRatesType,
+  pricesIncludeTax : boolean = false,
+) : CartSetTaxRatesActionType =>
+  ({
+    type: actionTypes.CART_SET_TAX_RATES,
+    rates,
+    pricesIncludeTax,
+  });
+
+/**
+ * @memberof actions
+ */
+export const setTaxRegion = (
+  region : ?string,
+) : CartSetTaxRegionActionType =>
+  ({
+    type: actionTypes.CART_SET_TAX_REGION,
+    region,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Set shipping methods which customer may choose from
+ */
+export const setShippingMethods = (
+  methods : Array<ShippingMethodType>,
+) : CartSetShippingMethodsActionType =>
+  ({
+    type: actionTypes.CART_SET_SHIPPING_METHODS,
+    methods,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Select shipping method by id
+ */
+export const setShippingMethod = (
+  methodId : ?string,
+) : CartSetShippingMethodActionType =>
+  ({
+    type: actionTypes.CART_SET_SHIPPING_METHOD,
+    methodId,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Set active promotions. They are evaluated against products
+ * every time totals are calculated. Throws if type of promotion
+ * is unknown, see promotions.promotionTypes.
+ */
+export const setPromotions = (
+  promotions : Array<PromotionType>,
+) : CartSetPromotionsActionType => {
+  promotions.forEach(({ id, type } : PromotionType) => {
+    if (!promotionTypes.includes(type))
+      throw new Error(`Unknown type of promotion ${id}: ${type}`);
+  });
+
+  return {
+    type: actionTypes.CART_SET_PROMOTIONS,
+    promotions,
+  };
+};
+
+/**
+ * @memberof actions
+ * @description
+ * rates - { [currency]: rate }, where rate is amount of currency
+ * which costs one unit of base currency.
+ * options - { base, rounding: { decimals, mode } }.
+ * Converted prices are rounded to minor units of their currency
+ * with Math.round by default.
+ */
+export const setExchangeRates = (
+  rates : { [currency : string] : number },
+  {
+    base = 'USD',
+    rounding = {
+      mode: 'round',
+    },
+  } : {
+    base? : string,
+    rounding? : ExchangeRoundingType,
+  } = {},
+) : CartSetExchangeRatesActionType =>
+  ({
+    type: actionTypes.CART_SET_EXCHANGE_RATES,
+    rates,
+    base,
+    rounding,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Move product from cart to saved for later list under the same key
+ */
+export const moveToSavedForLater = (
+  key : string,
+  product : ProductType,
+) : CartMoveToSavedForLaterActionType =>
+  ({
+    type: actionTypes.CART_MOVE_TO_SAVED_FOR_LATER,
+    key,
+    product,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Move product from saved for later list back to cart under the same key
+ */
+export const moveToCart = (
+  key : string,
+  product : ProductType,
+) : CartMoveToCartActionType =>
+  ({
+    type: actionTypes.CART_MOVE_TO_CART,
+    key,
+    product,
+  });
+
+/**
+ * @memberof actions
+ */
+export const updateSavedForLater = (
+  key : string,
+  updatedProduct : ProductType,
+) : CartUpdateSavedForLaterActionType =>
+  ({
+    type: actionTypes.CART_UPDATE_SAVED_FOR_LATER,
+    key,
+    updatedProduct,
+  });
+
+/**
+ * @memberof actions
+ */
+export const removeFromSavedForLater = (
+  key : string,
+) : CartRemoveFromSavedForLaterActionType =>
+  ({
+    type: actionTypes.CART_REMOVE_FROM_SAVED_FOR_LATER,
+    key,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Merge products of another cart (e.g. saved in customer's account)
+ * into cart. strategy is 'sum' (default), 'max', 'incoming' or 'local',
+ * see merge.mergeStrategies. Lines with different prices in both carts
+ * get mergeConflict. Throws if strategy is unknown.
+ */
+export const mergeCart = (
+  products : ProductsMapType,
+  strategy : MergeStrategyType = 'sum',
+) : CartMergeActionType => {
+  if (!mergeStrategies.includes(strategy))
+    throw new Error(`Unknown cart merge strategy: ${strategy}`);
+
+  return {
+    type: actionTypes.CART_MERGE,
+    products,
+    strategy,
+  };
+};
+
+/**
+ * @memberof actions
+ * @description
+ * Remove mergeConflict of line, e.g. after customer has seen new price
+ */
+export const clearMergeConflict = (
+  key : string,
+) : CartClearMergeConflictActionType =>
+  ({
+    type: actionTypes.CART_CLEAR_MERGE_CONFLICT,
+    key,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Reconcile every line of cart with catalog.
+ * catalogLookup(product, key) returns current productInfo of line
+ * (or its part, e.g. { prices }), or null if product is discontinued.
+ * It's called by reducer with lines of cart, so it must be synchronous.
+ * Lines with changed prices get priceChange with old and new prices,
+ * sold out lines get stockWarning. Discontinued and sold out lines
+ * are removed if removeDiscontinued is true, otherwise discontinued
+ * lines are marked with discontinued.
+ * @example
+ * refreshProducts(
+ *   ({ id }) => catalog[id] && { prices: catalog[id].prices },
+ * );
+ */
+export const refreshProducts = (
+  catalogLookup : CatalogLookupType,
+  { removeDiscontinued = false } : { removeDiscontinued? : boolean } = {},
+) : CartRefreshProductsActionType =>
+  ({
+    type: actionTypes.CART_REFRESH_PRODUCTS,
+    catalogLookup,
+    removeDiscontinued,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Remove priceChange of line, e.g. after customer has seen new price
+ */
+export const dismissPriceChange = (
+  key : string,
+) : CartDismissPriceChangeActionType =>
+  ({
+    type: actionTypes.CART_DISMISS_PRICE_CHANGE,
+    key,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Load cart from backend, requires sync middleware
+ */
+export const fetchCart = () : CartFetchActionType =>
+  ({
+    type: actionTypes.CART_FETCH,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Dispatched by sync middleware when backend rejects failedAction.
+ * rollback - Lines which were changed by failedAction before it,
+ * null for lines which didn't exist.
+ * failedLines - The same lines after failedAction, null for removed ones.
+ * Line is rolled back only if it wasn't changed after failedAction.
+ */
+export const cartSyncFailed = (
+  error : Error,
+  failedAction : Object,
+  rollback : { [key : string] : ?ProductType },
+  failedLines : { [key : string] : ?ProductType } = {},
+) : CartSyncFailedActionType =>
+  ({
+    type: actionTypes.CART_SYNC_FAILED,
+    error,
+    failedAction,
+    rollback,
+    failedLines,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Add product built like Product.generateCartProduct does to wishlist
+ */
+export const addToWishlist = (
+  key : string,
+  product : ProductType,
+) : WishlistAddActionType =>
+  ({
+    type: actionTypes.WISHLIST_ADD,
+    key,
+    product,
+  });
+
+/**
+ * @memberof actions
+ */
+export const removeFromWishlist = (
+  key : string,
+) : WishlistRemoveActionType =>
+  ({
+    type: actionTypes.WISHLIST_REMOVE,
+    key,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Go to step of checkout. Steps aren't validated here,
+ * Checkout component validates step before going forward.
+ */
+export const setCheckoutStep = (
+  step : CheckoutStepType,
+) : CheckoutSetStepActionType =>
+  ({
+    type: actionTypes.CHECKOUT_SET_STEP,
+    step,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Update fields of customer's contact
+ */
+export const setCheckoutContact = (
+  contact : $Shape<CheckoutContactType>,
+) : CheckoutSetContactActionType =>
+  ({
+    type: actionTypes.CHECKOUT_SET_CONTACT,
+    contact,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Store placed order and finish checkout
+ */
+export const completeCheckout = (
+  order : OrderType,
+) : CheckoutCompleteActionType =>
+  ({
+    type: actionTypes.CHECKOUT_COMPLETE,
+    order,
+  });
+
+/**
+ * @memberof actions
+ * @description
+ * Start checkout from the first step, entered contact and address are kept
+ */
+export const resetCheckout = () : CheckoutResetActionType =>
+  ({
+    type: actionTypes.CHECKOUT_RESET,
+  });
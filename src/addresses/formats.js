@@ -0,0 +1,82 @@
+/**
+ * @flow
+ * @module addressFormats
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Bundled address formats of countries, keyed by ISO 3166-1 alpha-2 code.
+ * fields - Fields in the order they are shown, country is always shown.
+ * required - Fields which must be filled.
+ * labels - Localization ids of labels which differ from `${field}Label`.
+ * postcodePattern - Source of RegExp postcode must match,
+ * case and surrounding spaces are ignored.
+ */
+export default {
+  AU: {
+    fields: ['name', 'line1', 'line2', 'city', 'region', 'postcode'],
+    required: ['name', 'line1', 'city', 'region', 'postcode'],
+    labels: { city: 'suburbLabel', region: 'stateLabel' },
+    postcodePattern: '^\\d{4}$',
+  },
+  CA: {
+    fields: ['name', 'line1', 'line2', 'city', 'region', 'postcode'],
+    required: ['name', 'line1', 'city', 'region', 'postcode'],
+    labels: { region: 'provinceLabel' },
+    postcodePattern:
+      '^[ABCEGHJ-NPRSTVXY]\\d[ABCEGHJ-NPRSTV-Z] ?\\d[ABCEGHJ-NPRSTV-Z]\\d$',
+  },
+  DE: {
+    fields: ['name', 'line1', 'line2', 'postcode', 'city'],
+    required: ['name', 'line1', 'postcode', 'city'],
+    labels: {},
+    postcodePattern: '^\\d{5}$',
+  },
+  FR: {
+    fields: ['name', 'line1', 'line2', 'postcode', 'city'],
+    required: ['name', 'line1', 'postcode', 'city'],
+    labels: {},
+    postcodePattern: '^\\d{5}$',
+  },
+  GB: {
+    fields: ['name', 'line1', 'line2', 'city', 'region', 'postcode'],
+    required: ['name', 'line1', 'city', 'postcode'],
+    labels: { city: 'townLabel', region: 'countyLabel' },
+    postcodePattern: '^[A-Z]{1,2}\\d[A-Z\\d]? ?\\d[A-Z]{2}$',
+  },
+  IE: {
+    fields: ['name', 'line1', 'line2', 'city', 'region', 'postcode'],
+    required: ['name', 'line1', 'city', 'region'],
+    labels: {
+      city: 'townLabel',
+      region: 'countyLabel',
+      postcode: 'eircodeLabel',
+    },
+    postcodePattern: '^([AC-FHKNPRTV-Y]\\d{2}|D6W) ?[0-9AC-FHKNPRTV-Y]{4}$',
+  },
+  JP: {
+    fields: ['name', 'postcode', 'region', 'city', 'line1', 'line2'],
+    required: ['name', 'postcode', 'region', 'city', 'line1'],
+    labels: { region: 'prefectureLabel' },
+    postcodePattern: '^\\d{3}-?\\d{4}$',
+  },
+  NL: {
+    fields: ['name', 'line1', 'line2', 'postcode', 'city'],
+    required: ['name', 'line1', 'postcode', 'city'],
+    labels: {},
+    postcodePattern: '^\\d{4} ?[A-Z]{2}$',
+  },
+  RU: {
+    fields: ['name', 'line1', 'line2', 'city', 'region', 'postcode'],
+    required: ['name', 'line1', 'city', 'postcode'],
+    labels: {},
+    postcodePattern: '^\\d{6}$',
+  },
+  US: {
+    fields: ['name', 'line1', 'line2', 'city', 'region', 'postcode'],
+    required: ['name', 'line1', 'city', 'region', 'postcode'],
+    labels: { region: 'stateLabel', postcode: 'zipCodeLabel' },
+    postcodePattern: '^\\d{5}(-\\d{4})?$',
+  },
+};
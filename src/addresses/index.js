@@ -0,0 +1,148 @@
+/**
+ * @flow
+ * @namespace addresses
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Country-specific address fields and their validation.
+ * Formats of countries are bundled in addresses/formats.
+ */
+import addressFormats from './formats';
+
+export { addressFormats };
+
+/**
+ * @memberof addresses
+ * @description
+ * Address with all fields empty
+ */
+export const emptyAddress = {
+  name: '',
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postcode: '',
+  country: '',
+};
+
+/**
+ * @memberof addresses
+ * @description
+ * Format used until country is chosen
+ */
+export const defaultAddressFormat = {
+  fields: ['name', 'line1', 'line2', 'city', 'region', 'postcode'],
+  required: ['name', 'line1', 'city'],
+  labels: {},
+};
+
+/**
+ * @memberof addresses
+ * @description
+ * Codes of countries with bundled formats
+ */
+export const supportedCountries = Object.keys(addressFormats).sort();
+
+/**
+ * @memberof addresses
+ * @description
+ * Format of country, default format if country isn't supported
+ */
+export const getAddressFormat = (country : ?string) : AddressFormatType =>
+  country && addressFormats[country] || defaultAddressFormat;
+
+/**
+ * @memberof addresses
+ * @description
+ * Fields of country's address with localization ids of their labels.
+ * Country field is the first one, as it defines the rest.
+ * @example
+ * getAddressFields('US')[5];
+ * // { name: 'region', labelId: 'stateLabel', required: true }
+ */
+export const getAddressFields = (
+  country : ?string,
+) : Array<{ name : string, labelId : string, required : boolean }> => {
+  const { fields, required, labels } = getAddressFormat(country);
+  return ['country', ...fields].map((name : string) => ({
+    name,
+    labelId: labels[name] || `${name}Label`,
+    required: name === 'country' || required.includes(name),
+  }));
+};
+
+/**
+ * @memberof addresses
+ * @description
+ * Filled fields of address in the order of country's format,
+ * without country
+ * @example
+ * getAddressLines({ ...emptyAddress, name: 'Oleg', city: 'London' });
+ * // ['Oleg', 'London']
+ */
+export const getAddressLines = (
+  address : $Shape<AddressType>,
+) : Array<string> =>
+  getAddressFormat(address.country).fields
+    .map((field : string) : string => (address[field] || '').trim())
+    .filter(Boolean);
+
+/**
+ * @memberof addresses
+ * @description
+ * Check postcode against pattern of country.
+ * Any postcode is valid for countries without pattern.
+ * @example
+ * isPostcodeValid('GB', 'sw1a 1aa'); // true
+ * isPostcodeValid('US', '1234'); // false
+ */
+export const isPostcodeValid = (
+  country : ?string,
+  postcode : string,
+) : boolean => {
+  const { postcodePattern } = getAddressFormat(country);
+  return !postcodePattern
+    || new RegExp(postcodePattern, 'i').test(postcode.trim());
+};
+
+/**
+ * @memberof addresses
+ * @description
+ * Localization ids of errors of address fields, empty object if address
+ * is valid. Country must be one of countries.
+ * @example
+ * validateAddress({ ...emptyAddress, country: 'US', postcode: '1234' });
+ * // { name: 'requiredField', ..., postcode: 'invalidPostcode' }
+ */
+export const validateAddress = (
+  address : $Shape<AddressType>,
+  countries : Array<string> = supportedCountries,
+) : { [field : string] : string } =>
+  getAddressFields(address.country)
+    .reduce(
+      (acc, { name, required }) => {
+        const value = (address[name] || '').trim();
+        if (!value)
+          return required ? { ...acc, [name]: 'requiredField' } : acc;
+        if (name === 'country' && !countries.includes(value))
+          return { ...acc, [name]: 'unsupportedCountry' };
+        if (name === 'postcode' && !isPostcodeValid(address.country, value))
+          return { ...acc, [name]: 'invalidPostcode' };
+        return acc;
+      },
+      {},
+    );
+
+/**
+ * @memberof addresses
+ * @description
+ * Check whether address has no errors
+ */
+export const isAddressValid = (
+  address : $Shape<AddressType>,
+  countries? : Array<string>,
+) : boolean =>
+  !Object.keys(validateAddress(address, countries)).length;
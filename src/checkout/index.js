@@ -0,0 +1,203 @@
+/**
+ * @flow
+ * @namespace checkout
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Steps of checkout, their validation and assembling of order.
+ * Customer goes forward only if current step is valid,
+ * going back is always allowed.
+ */
+import { multiplyMoney } from '../money';
+import { isAddressValid } from '../addresses';
+
+/**
+ * @memberof checkout
+ * @description
+ * Steps in the order customer goes through them.
+ * Order is placed on review step.
+ */
+export const checkoutSteps = [
+  'contact',
+  'shippingAddress',
+  'shippingMethod',
+  'review',
+];
+
+/**
+ * @memberof checkout
+ * @description
+ * Step after order is placed
+ */
+export const completeCheckoutStep = 'complete';
+
+/**
+ * @memberof checkout
+ * @private
+ */
+const isBlank = (value : ?string) : boolean => !value || !value.trim();
+
+/**
+ * @memberof checkout
+ * @description
+ * Errors of contact step, email is required and phone is optional
+ */
+export const validateContact = (
+  { email, phone } : CheckoutContactType,
+) : CheckoutErrorsType => ({
+  ...(
+    isBlank(email)
+    ? { email: 'requiredField' }
+    : (/^[^@\s]+@[^@\s]+\.[^@\s]+$/.test(email.trim())
+      ? {}
+      : { email: 'invalidEmail' })
+  ),
+  ...(
+    !isBlank(phone) && !/^\+?[\d\s()-]{5,}$/.test(phone.trim())
+    ? { phone: 'invalidPhone' }
+    : {}
+  ),
+});
+
+/**
+ * @memberof checkout
+ * @description
+ * Errors of address step. Errors of fields are shown by AddressForm,
+ * so there is one error for each invalid address.
+ */
+export const validateAddresses = (
+  { shipping, billing, billingSameAsShipping } : AddressesStateType,
+  countries? : Array<string>,
+) : CheckoutErrorsType => ({
+  ...(
+    isAddressValid(shipping, countries)
+    ? {}
+    : { shippingAddress: 'invalidAddress' }
+  ),
+  ...(
+    billingSameAsShipping || isAddressValid(billing, countries)
+    ? {}
+    : { billingAddress: 'invalidAddress' }
+  ),
+});
+
+/**
+ * @memberof checkout
+ * @description
+ * Errors of shipping method step. Method must be selected and available
+ * for current cart, if there are any methods.
+ */
+export const validateShippingMethod = (
+  methods : Array<ShippingMethodType>,
+  costs : { [methodId : string] : ?number },
+  selectedMethod : ?string,
+) : CheckoutErrorsType =>
+  methods.length
+  && !(selectedMethod && typeof costs[selectedMethod] === 'number')
+    ? { shippingMethod: 'shippingMethodRequired' }
+    : {};
+
+/**
+ * @memberof checkout
+ * @description
+ * Errors of step, empty object if step is valid
+ * @example
+ * validateCheckoutStep('contact', { contact: { email: 'oleg' } });
+ * // { email: 'invalidEmail' }
+ */
+export const validateCheckoutStep = (
+  step : CheckoutStepType,
+  {
+    contact,
+    addresses,
+    countries,
+    shippingMethods = [],
+    shippingCosts = {},
+    selectedShippingMethod,
+  } : {
+    contact? : CheckoutContactType,
+    addresses? : AddressesStateType,
+    countries? : Array<string>,
+    shippingMethods? : Array<ShippingMethodType>,
+    shippingCosts? : { [methodId : string] : ?number },
+    selectedShippingMethod? : ?string,
+  },
+) : CheckoutErrorsType => {
+  switch (step) {
+    case 'contact':
+      return validateContact(contact || { email: '', phone: '' });
+    case 'shippingAddress':
+      return addresses
+        ? validateAddresses(addresses, countries)
+        : { shippingAddress: 'invalidAddress' };
+    case 'shippingMethod':
+      return validateShippingMethod(
+        shippingMethods, shippingCosts, selectedShippingMethod,
+      );
+    default:
+      return {};
+  }
+};
+
+/**
+ * @memberof checkout
+ * @description
+ * Step after step, review step is the last one
+ */
+export const getNextCheckoutStep = (
+  step : CheckoutStepType,
+) : CheckoutStepType =>
+  checkoutSteps[
+    Math.min(checkoutSteps.indexOf(step) + 1, checkoutSteps.length - 1)
+  ];
+
+/**
+ * @memberof checkout
+ * @description
+ * Step before step, contact step is the first one
+ */
+export const getPreviousCheckoutStep = (
+  step : CheckoutStepType,
+) : CheckoutStepType =>
+  checkoutSteps[Math.max(checkoutSteps.indexOf(step) - 1, 0)];
+
+/**
+ * @memberof checkout
+ * @description
+ * Lines of order made of products which have price in currency.
+ * Products should have tier prices applied and prices converted.
+ */
+export const createOrderLines = (
+  products : ProductsMapType,
+  currency : string,
+) : Array<OrderLineType> =>
+  Object
+    .keys(products)
+    .filter((key : string) : boolean =>
+      typeof products[key].productInfo.prices[currency] === 'number',
+    )
+    .map((key : string) : OrderLineType => {
+      const {
+        id,
+        quantity,
+        properties,
+        note,
+        gift,
+        productInfo: { name, prices, path, imagePath },
+      } = products[key];
+      return {
+        key,
+        id,
+        name,
+        quantity,
+        properties,
+        price: prices[currency],
+        total: multiplyMoney(prices[currency], quantity, currency),
+        path,
+        imagePath,
+        ...(note ? { note } : {}),
+        ...(gift ? { gift } : {}),
+      };
+    });
@@ -0,0 +1,171 @@
+/**
+ * @flow
+ * @module AddressForm
+ * @extends React.PureComponent
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Address fields of chosen country with validation of required fields
+ * and postcode.
+ */
+import React, { PureComponent, PropTypes } from 'react';
+
+import {
+  supportedCountries,
+  getAddressFields,
+  validateAddress,
+} from '../../addresses';
+
+const
+  /**
+   * @static propTypes
+   * @memberof AddressForm
+   *
+   * @prop {Array<string>} countries - Codes of countries customer may
+   * choose. Default is every country with bundled address format.
+   * @prop {boolean} showErrors - Show errors of all fields, otherwise
+   * error of field is shown after customer leaves it. Default is false.
+   * @prop {string} id - Prefix of inputs' ids. Default is 'address'.
+   */
+  propTypes = {
+    countries: PropTypes.arrayOf(PropTypes.string),
+    showErrors: PropTypes.bool,
+    id: PropTypes.string,
+  },
+  /**
+   * @static containerPropTypes
+   * @memberof AddressForm
+   *
+   * @prop {AddressType} address - Required.
+   * @prop {Function} onChange - Callback which receives changed fields,
+   * e.g. { city: 'London' }. Required.
+   * @prop {getLocalizationType} getLocalization - Required.
+   */
+  containerPropTypes = {
+    address: PropTypes.objectOf(PropTypes.string).isRequired,
+    onChange: PropTypes.func.isRequired,
+    getLocalization: PropTypes.func.isRequired,
+  },
+  defaultProps = {
+    countries: supportedCountries,
+    showErrors: false,
+    id: 'address',
+  };
+
+export default class AddressForm extends PureComponent {
+
+  static propTypes = { ...propTypes, ...containerPropTypes };
+  static defaultProps = defaultProps;
+
+  state = {
+    touchedFields: [],
+  };
+
+  handleFieldChange = (
+    { target: { name, value } } : SyntheticInputEvent,
+  ) => void this.props.onChange({ [name]: value });
+
+  handleFieldBlur = (
+    { target: { name } } : SyntheticInputEvent,
+  ) =>
+    void (
+      this.state.touchedFields.includes(name)
+      || this.setState({ touchedFields: [...this.state.touchedFields, name] })
+    );
+
+  render() {
+    const {
+      address,
+      countries,
+      showErrors,
+      id,
+      getLocalization,
+    } = this.props;
+
+    const { touchedFields } = this.state;
+
+    const { handleFieldChange, handleFieldBlur } = this;
+
+    const errors = validateAddress(address, countries);
+
+    const localizationScope = {
+      country: address.country,
+      get localizedCountry() {
+        return address.country
+          ? getLocalization(`country${address.country}`, localizationScope)
+          : '';
+      },
+    };
+
+    return (
+      <div>
+        {
+          getAddressFields(address.country).map(({ name, labelId }) => {
+            const error =
+              (showErrors || touchedFields.includes(name)) && errors[name];
+            const inputProps = {
+              id: `${id}-${name}`,
+              name,
+              className: 'form-control',
+              value: address[name] || '',
+              onChange: handleFieldChange,
+              onBlur: handleFieldBlur,
+            };
+            return (
+              <div
+                key={name}
+                className={`form-group row${error ? ' has-danger' : ''}`}
+              >
+                <label
+                  htmlFor={`${id}-${name}`}
+                  className="col-xs-12 col-md-4 col-lg-3 col-form-label"
+                >
+                  { getLocalization(labelId, localizationScope) }
+                </label>
+                <div className="col-xs-12 col-md-8 col-lg-9">
+                  {
+                    name === 'country'
+                    ? (
+                      <select {...inputProps}>
+                        <option value="">
+                          {
+                            getLocalization(
+                              'chooseCountry', localizationScope,
+                            )
+                          }
+                        </option>
+                        {
+                          countries.map((country : string) => (
+                            <option key={country} value={country}>
+                              {
+                                getLocalization(
+                                  `country${country}`, localizationScope,
+                                )
+                              }
+                            </option>
+                          ))
+                        }
+                      </select>
+                    )
+                    : <input type="text" {...inputProps} />
+                  }
+                  {
+                    error
+                    ? (
+                      <div className="form-control-feedback">
+                        { getLocalization(error, localizationScope) }
+                      </div>
+                    )
+                    : null
+                  }
+                </div>
+              </div>
+            );
+          })
+        }
+      </div>
+    );
+  }
+}
@@ -14,7 +14,12 @@ import ReactCSSTransitionGroup from 'react/lib/ReactCSSTransitionGroup';
 import Transition from 'react-overlays/lib/Transition';
 
 import CartProduct from './CartProduct/CartProduct';
+import CouponForm from './CouponForm/CouponForm';
+import ShippingSelector from './ShippingSelector/ShippingSelector';
 import { animate, DefaultLinkComponent } from '../../helpers';
+import { getTaxRate } from '../../tax';
+import { getPrice } from '../../exchange';
+import { getTierPrices } from '../../tiers';
 
 const
   /**
@@ -53,6 +58,14 @@ const
    * to="%your product's page%".
    * I'd recommend you to take a look at react-router's Link.
    * Wrapped <a/> by default.
+   * @prop {Array<CouponType>} coupons - Coupons which customer may apply.
+   * Coupon form is shown only if there is at least one coupon.
+   * Default is [].
+   * @prop {TaxDisplayType} taxDisplay - Show products' prices with tax
+   * ('inclusive') or without it ('exclusive').
+   * By default prices are shown as they are stored.
+   * @prop {number} noteMaxLength - Max length of line's note.
+   * Default is 200.
    *
    */
   propTypes = {
@@ -61,6 +74,9 @@ const
     cartTransition: PropTypes.object,
     cartItemTransition: PropTypes.object,
     linkComponent: PropTypes.func,
+    coupons: PropTypes.arrayOf(PropTypes.object),
+    taxDisplay: PropTypes.oneOf(['inclusive', 'exclusive']),
+    noteMaxLength: PropTypes.number,
   },
   /**
    * @static containerPropTypes
@@ -85,6 +101,33 @@ const
    * Required.
    *
    * @prop {getLocalizationType} getLocalization - Required.
+   *
+   * @prop {Object.<string, CouponType>} appliedCoupons - Applied coupons.
+   * Default is {}.
+   * @prop {Function} onApplyCoupon - Callback which receives valid coupon
+   * from coupons. Required to show coupon form.
+   * @prop {Function} onRemoveCoupon - Callback which receives coupon code.
+   * Required to show coupon form.
+   * @prop {TaxStateType} tax - Tax rates, customer's region and whether
+   * prices include tax.
+   * Default is { rates: {}, region: null, pricesIncludeTax: false }.
+   * @prop {Array<ShippingMethodType>} shippingMethods - Shipping methods.
+   * Default is [].
+   * @prop {Object.<string, ?number>} shippingCosts - Cost of each method
+   * for current cart, null if method is unavailable. Default is {}.
+   * @prop {string} selectedShippingMethod - Id of selected method.
+   * @prop {Function} onSelectShippingMethod - Callback which receives id of
+   * method. Required to show shipping methods.
+   * @prop {ExchangeRatesType} exchangeRates - Rates to convert prices of
+   * products which have no price in currency. Optional.
+   * @prop {Function} onSaveProductForLater - Callback which receives
+   * product's key and product to save it for later. Optional, 'Save for later'
+   * button is shown only if it's passed.
+   * @prop {Array<PromotionAdjustmentType>} promotionAdjustments - Discounts
+   * and gifts of promotions, shown under lines they apply to.
+   * Default is [].
+   * @prop {Function} onSetLineNote - Callback which receives product's key
+   * and note. Optional, note editor is shown only if it's passed.
    */
   containerPropTypes = {
     products: PropTypes.objectOf(PropTypes.shape({
@@ -108,6 +151,27 @@ const
     onUpdateProduct: PropTypes.func.isRequired,
     onRemoveProduct: PropTypes.func.isRequired,
     getLocalization: PropTypes.func.isRequired,
+    appliedCoupons: PropTypes.objectOf(PropTypes.object),
+    onApplyCoupon: PropTypes.func,
+    onRemoveCoupon: PropTypes.func,
+    tax: PropTypes.shape({
+      rates: PropTypes.object.isRequired,
+      region: PropTypes.string,
+      pricesIncludeTax: PropTypes.bool.isRequired,
+    }),
+    shippingMethods: PropTypes.arrayOf(PropTypes.object),
+    shippingCosts: PropTypes.objectOf(PropTypes.number),
+    selectedShippingMethod: PropTypes.string,
+    onSelectShippingMethod: PropTypes.func,
+    exchangeRates: PropTypes.object,
+    onSaveProductForLater: PropTypes.func,
+    promotionAdjustments: PropTypes.arrayOf(PropTypes.shape({
+      promotion: PropTypes.object.isRequired,
+      key: PropTypes.string.isRequired,
+      discount: PropTypes.number.isRequired,
+      quantity: PropTypes.number.isRequired,
+    })),
+    onSetLineNote: PropTypes.func,
   },
   defaultProps = {
     showHeader: true,
@@ -128,6 +192,18 @@ const
       transitionLeaveTimeout: 500,
     },
     linkComponent: DefaultLinkComponent,
+    coupons: [],
+    appliedCoupons: {},
+    tax: {
+      rates: {},
+      region: null,
+      pricesIncludeTax: false,
+    },
+    shippingMethods: [],
+    shippingCosts: {},
+    selectedShippingMethod: null,
+    promotionAdjustments: [],
+    noteMaxLength: 200,
   };
 
 
@@ -136,6 +212,127 @@ export default class Cart extends PureComponent {
   static propTypes = { ...propTypes, ...containerPropTypes };
   static defaultProps = defaultProps;
 
+  /*
+   * Create CartProduct for each of products,
+   * also used to render products saved for later and wishlist
+   */
+  static generateProductElements = (
+    products : ProductsMapType,
+    {
+      currency,
+      tax,
+      taxDisplay,
+      exchangeRates,
+      iconTrashClassName,
+      onUpdateProduct,
+      onRemoveProduct,
+      onMoveProduct,
+      moveProductLocalizationId,
+      iconMoveProductClassName,
+      promotionAdjustments = [],
+      noteMaxLength,
+      onSetLineNote,
+      getLocalization,
+      linkComponent = DefaultLinkComponent,
+    } : {
+      currency : string,
+      tax : TaxStateType,
+      taxDisplay? : TaxDisplayType,
+      exchangeRates? : ExchangeRatesType,
+      iconTrashClassName : string,
+      onUpdateProduct? : Function,
+      onRemoveProduct : Function,
+      onMoveProduct? : Function,
+      moveProductLocalizationId? : string,
+      iconMoveProductClassName? : string,
+      promotionAdjustments? : Array<PromotionAdjustmentType>,
+      noteMaxLength? : number,
+      onSetLineNote? : Function,
+      getLocalization : Function,
+      linkComponent? : Function,
+    },
+  ) : Array<React$Element<any>> =>
+    Object
+      .keys(products)
+      .map((productKey : string) => {
+        const {
+          productInfo: {
+            prices,
+            path,
+            name,
+            imagePath,
+            propertiesToShowInCart,
+            taxClass,
+            maxQuantity,
+            priceTiers,
+          },
+          quantity,
+          properties,
+          stockWarning,
+          priceChange,
+          discontinued,
+          gift,
+          note,
+        } = products[productKey];
+        const {
+          price,
+          isConverted,
+          originalCurrency,
+          originalPrice,
+        } = getPrice(
+          getTierPrices(prices, priceTiers, quantity), currency, exchangeRates,
+        );
+        const previousPrice = priceChange
+          ? getPrice(priceChange.previousPrices, currency, exchangeRates).price
+          : void 0;
+        return (
+          <CartProduct
+            product={products[productKey]}
+            key={productKey}
+            productKey={productKey}
+            quantity={quantity}
+            properties={properties}
+            price={price}
+            isPriceEstimated={isConverted}
+            originalCurrency={originalCurrency}
+            originalPrice={originalPrice}
+            currency={currency}
+            path={path}
+            name={name}
+            imagePath={imagePath}
+            propertiesToShow={propertiesToShowInCart}
+            taxRate={
+              getTaxRate(tax.rates, tax.region, taxClass)
+            }
+            pricesIncludeTax={tax.pricesIncludeTax}
+            taxDisplay={taxDisplay}
+            maxQuantity={maxQuantity}
+            stockWarning={stockWarning}
+            previousPrice={previousPrice}
+            discontinued={discontinued}
+            gift={gift}
+            promotionAdjustments={
+              promotionAdjustments.filter(
+                ({ key } : PromotionAdjustmentType) : boolean =>
+                  key === productKey,
+              )
+            }
+            note={note}
+            noteMaxLength={noteMaxLength}
+            onSetLineNote={onSetLineNote}
+            iconTrashClassName={iconTrashClassName}
+            onUpdateProduct={onUpdateProduct}
+            onRemoveProduct={onRemoveProduct}
+            onMoveProduct={onMoveProduct}
+            moveProductLocalizationId={moveProductLocalizationId}
+            iconMoveProductClassName={iconMoveProductClassName}
+            getLocalization={getLocalization}
+            linkComponent={linkComponent}
+          />
+        );
+      },
+    );
+
   render() {
     const {
       showHeader,
@@ -149,8 +346,25 @@ export default class Cart extends PureComponent {
       onRemoveProduct,
       getLocalization,
       checkoutButton,
+      coupons,
+      appliedCoupons,
+      onApplyCoupon,
+      onRemoveCoupon,
+      tax,
+      taxDisplay,
+      shippingMethods,
+      shippingCosts,
+      selectedShippingMethod,
+      onSelectShippingMethod,
+      exchangeRates,
+      onSaveProductForLater,
+      promotionAdjustments,
+      noteMaxLength,
+      onSetLineNote,
     } = this.props;
 
+    const { generateProductElements } = Cart;
+
     return (
       <div className="row mt-1">
         <Transition
@@ -164,46 +378,54 @@ export default class Cart extends PureComponent {
                 {...cartItemTransition}
               >
                 {
-                  Object
-                    .entries(products)
-                    .map((
-                      [productKey,
-                        {
-                          productInfo: {
-                            prices,
-                            path,
-                            name,
-                            imagePath,
-                            propertiesToShowInCart,
-                          },
-                          quantity,
-                          properties,
-                        },
-                      ],
-                    ) => (
-                      <CartProduct
-                        product={products[productKey]}
-                        key={productKey}
-                        productKey={productKey}
-                        quantity={quantity}
-                        properties={properties}
-                        price={prices[currency]}
-                        currency={currency}
-                        path={path}
-                        name={name}
-                        imagePath={imagePath}
-                        propertiesToShow={propertiesToShowInCart}
-                        iconTrashClassName={iconTrashClassName}
-                        onUpdateProduct={onUpdateProduct}
-                        onRemoveProduct={onRemoveProduct}
-                        getLocalization={getLocalization}
-                        linkComponent={DefaultLinkComponent}
-                      />
-                    ),
-                  )
+                  generateProductElements(products, {
+                    currency,
+                    tax,
+                    taxDisplay,
+                    exchangeRates,
+                    iconTrashClassName,
+                    onUpdateProduct,
+                    onRemoveProduct,
+                    onMoveProduct: onSaveProductForLater,
+                    moveProductLocalizationId: 'saveForLater',
+                    promotionAdjustments,
+                    noteMaxLength,
+                    onSetLineNote,
+                    getLocalization,
+                  })
                 }
               </ReactCSSTransitionGroup>
             </div>
+            {
+              coupons.length && onApplyCoupon && onRemoveCoupon
+              ? (
+                <CouponForm
+                  coupons={coupons}
+                  appliedCoupons={appliedCoupons}
+                  products={products}
+                  currency={currency}
+                  exchangeRates={exchangeRates}
+                  onApplyCoupon={onApplyCoupon}
+                  onRemoveCoupon={onRemoveCoupon}
+                  getLocalization={getLocalization}
+                />
+              )
+              : null
+            }
+            {
+              shippingMethods.length && onSelectShippingMethod
+              ? (
+                <ShippingSelector
+                  methods={shippingMethods}
+                  costs={shippingCosts}
+                  selectedMethod={selectedShippingMethod}
+                  currency={currency}
+                  onSelectShippingMethod={onSelectShippingMethod}
+                  getLocalization={getLocalization}
+                />
+              )
+              : null
+            }
             <div className="row mt-1">
               <div
                 className={
@@ -13,7 +13,10 @@ import React, { PureComponent, PropTypes } from 'react';
 
 import ProductPropertyDescription
   from './ProductPropertyDescription/ProductPropertyDescription';
+import LineNoteEditor from './LineNoteEditor/LineNoteEditor';
 import { isNaturalNumber } from '../../../helpers';
+import { calculatePriceTax, getDisplayPrice } from '../../../tax';
+import { addMoney, subtractMoney, multiplyMoney } from '../../../money';
 
 const
   propTypes = {
@@ -21,7 +24,7 @@ const
     productKey: PropTypes.string.isRequired,
     quantity: PropTypes.number.isRequired,
     name: PropTypes.string.isRequired,
-    price: PropTypes.number.isRequired,
+    price: PropTypes.number,
     currency: PropTypes.string.isRequired,
     properties: PropTypes.objectOf(
       PropTypes.oneOfType([
@@ -36,13 +39,40 @@ const
     path: PropTypes.string.isRequired,
     iconTrashClassName: PropTypes.string.isRequired,
     onRemoveProduct: PropTypes.func.isRequired,
-    onUpdateProduct: PropTypes.func.isRequired,
+    onUpdateProduct: PropTypes.func,
     getLocalization: PropTypes.func.isRequired,
     linkComponent: PropTypes.func,
+    taxRate: PropTypes.number,
+    pricesIncludeTax: PropTypes.bool,
+    taxDisplay: PropTypes.oneOf(['inclusive', 'exclusive']),
+    maxQuantity: PropTypes.number,
+    isPriceEstimated: PropTypes.bool,
+    originalCurrency: PropTypes.string,
+    originalPrice: PropTypes.number,
+    stockWarning: PropTypes.shape({
+      requestedQuantity: PropTypes.number.isRequired,
+      maxQuantity: PropTypes.number.isRequired,
+    }),
+    onMoveProduct: PropTypes.func,
+    moveProductLocalizationId: PropTypes.string,
+    iconMoveProductClassName: PropTypes.string,
+    previousPrice: PropTypes.number,
+    discontinued: PropTypes.bool,
+    gift: PropTypes.bool,
+    promotionAdjustments: PropTypes.arrayOf(PropTypes.object),
+    note: PropTypes.string,
+    noteMaxLength: PropTypes.number,
+    onSetLineNote: PropTypes.func,
   },
   defaultProps = {
     properties: {},
     propertiesToShow: [],
+    taxRate: 0,
+    pricesIncludeTax: false,
+    isPriceEstimated: false,
+    discontinued: false,
+    gift: false,
+    promotionAdjustments: [],
   };
 
 export default class CartProduct extends PureComponent {
@@ -84,6 +114,12 @@ export default class CartProduct extends PureComponent {
         this.props.productKey,
     );
 
+  handleMoveProductClick = () =>
+    void this.props.onMoveProduct(
+        this.props.productKey,
+        this.props.product,
+    );
+
   handleQuantityValueChange = (
     { target: { value } } : { target : HTMLInputElement },
   ) => {
@@ -95,9 +131,10 @@ export default class CartProduct extends PureComponent {
     } = this.props;
     /*
      * Check if quantity value is correct
-     * and then update product
+     * and then update product.
+     * Cleared input isn't a request to remove line
      */
-    if (isNaturalNumber(quantity))
+    if (isNaturalNumber(quantity) && quantity > 0)
       onUpdateProduct(
         productKey, { ...product, quantity },
       );
@@ -105,6 +142,7 @@ export default class CartProduct extends PureComponent {
 
   render() {
     const {
+      productKey,
       name,
       imagePath,
       path,
@@ -116,24 +154,81 @@ export default class CartProduct extends PureComponent {
       iconTrashClassName,
       getLocalization,
       linkComponent: LinkComponent,
+      taxRate,
+      pricesIncludeTax,
+      taxDisplay,
+      maxQuantity,
+      stockWarning,
+      isPriceEstimated,
+      originalCurrency,
+      originalPrice,
+      onMoveProduct,
+      moveProductLocalizationId,
+      iconMoveProductClassName,
+      onUpdateProduct,
+      previousPrice,
+      discontinued,
+      gift,
+      promotionAdjustments,
+      note,
+      noteMaxLength,
+      onSetLineNote,
     } = this.props;
 
     const {
       handleQuantityValueChange,
       handleRemoveProductClick,
+      handleMoveProductClick,
     } = this;
 
     const {
       generateProductDescription,
     } = CartProduct;
 
-    const total = price * quantity;
+    /*
+     * Product without price in currency, e.g. in wishlist,
+     * is shown as unavailable and can't be moved
+     */
+    const isPriceAvailable = typeof price === 'number';
+
+    const unitPrice = isPriceAvailable ? price : 0;
+
+    const tax = calculatePriceTax(
+      unitPrice, taxRate, pricesIncludeTax, currency,
+    );
+
+    const displayPrice = getDisplayPrice(
+      unitPrice, taxRate, pricesIncludeTax, currency, taxDisplay,
+    );
+
+    const total = multiplyMoney(displayPrice, quantity, currency);
+
+    const isPriceChanged =
+      isPriceAvailable &&
+      typeof previousPrice === 'number' && previousPrice !== price;
 
     const localizationScope = {
       quantity,
-      price,
+      price: displayPrice,
       total,
       currency,
+      tax: multiplyMoney(tax, quantity, currency),
+      taxRate,
+      priceIncludingTax:
+        pricesIncludeTax ? unitPrice : addMoney(unitPrice, tax, currency),
+      priceExcludingTax: pricesIncludeTax
+        ? subtractMoney(unitPrice, tax, currency)
+        : unitPrice,
+      maxQuantity,
+      requestedQuantity: stockWarning && stockWarning.requestedQuantity,
+      isPriceEstimated,
+      originalCurrency,
+      originalPrice,
+      previousPrice: isPriceChanged
+        ? getDisplayPrice(
+          previousPrice, taxRate, pricesIncludeTax, currency, taxDisplay,
+        )
+        : void 0,
       name,
       get localizedName() {
         return getLocalization(name, localizationScope);
@@ -166,15 +261,94 @@ export default class CartProduct extends PureComponent {
             >
               { getLocalization('quantityLabel', localizationScope) }
             </label>
-            <div className="col-xs-6 col-md-7 col-lg-8">
-              <input
-                type="number"
-                className="form-control"
-                value={quantity}
-                onChange={handleQuantityValueChange}
-              />
-            </div>
+            {
+              gift || !onUpdateProduct
+              ? (
+                <div className="col-xs-6 col-md-7 col-lg-8 col-form-label">
+                  { quantity }
+                </div>
+              )
+              : (
+                <div className="col-xs-6 col-md-7 col-lg-8">
+                  <input
+                    type="number"
+                    className="form-control"
+                    value={quantity}
+                    onChange={handleQuantityValueChange}
+                    {...(
+                      typeof maxQuantity === 'number'
+                      ? { max: maxQuantity }
+                      : {}
+                    )}
+                  />
+                </div>
+              )
+            }
           </div>
+          {
+            maxQuantity === 0 || stockWarning
+            ? (
+              <div className="alert alert-warning" role="alert">
+                {
+                  getLocalization(
+                    maxQuantity === 0 ? 'outOfStock' : 'onlyNLeft',
+                    localizationScope,
+                  )
+                }
+              </div>
+            )
+            : null
+          }
+          {
+            discontinued
+            ? (
+              <div className="alert alert-danger" role="alert">
+                { getLocalization('discontinued', localizationScope) }
+              </div>
+            )
+            : null
+          }
+          {
+            isPriceChanged
+            ? (
+              <div className="alert alert-info" role="alert">
+                { getLocalization('priceChanged', localizationScope) }
+              </div>
+            )
+            : null
+          }
+          {
+            promotionAdjustments.map(
+              (
+                {
+                  promotion: {
+                    id,
+                    type,
+                    buy,
+                    get,
+                    percentage,
+                    minimumSpend,
+                  },
+                  discount,
+                  quantity: discountedQuantity,
+                } : PromotionAdjustmentType,
+              ) => (
+                <p className="text-success" key={id}>
+                  {
+                    getLocalization(`${type}Promotion`, {
+                      ...localizationScope,
+                      buy,
+                      get,
+                      percentage,
+                      minimumSpend: minimumSpend && minimumSpend[currency],
+                      discount,
+                      discountedQuantity,
+                    })
+                  }
+                </p>
+              ),
+            )
+          }
           {
             generateProductDescription(
               properties,
@@ -182,6 +356,20 @@ export default class CartProduct extends PureComponent {
               getLocalization,
             )
           }
+          {
+            !gift && onSetLineNote
+            ? (
+              <LineNoteEditor
+                productKey={productKey}
+                note={note}
+                maxLength={noteMaxLength}
+                onSetLineNote={onSetLineNote}
+                getLocalization={getLocalization}
+                localizationScope={localizationScope}
+              />
+            )
+            : null
+          }
           <div className="form-group row">
             <label
               htmlFor="price"
@@ -196,8 +384,22 @@ export default class CartProduct extends PureComponent {
             <div className="col-xs-6 col-md-7 col-lg-8 col-form-label">
               {
                 getLocalization(
-                  'priceValue', localizationScope,
+                  isPriceAvailable ? 'priceValue' : 'priceUnavailable',
+                  localizationScope,
+                )
+              }
+              {
+                isPriceEstimated
+                ? (
+                  <small className="text-muted">
+                    {
+                      getLocalization(
+                        'estimatedPrice', localizationScope,
+                      )
+                    }
+                  </small>
                 )
+                : null
               }
             </div>
           </div>
@@ -215,25 +417,59 @@ export default class CartProduct extends PureComponent {
             <div className="col-xs-6 col-md-7 col-lg-8 col-form-label">
               {
                 getLocalization(
-                  'totalValue', localizationScope,
+                  isPriceAvailable ? 'totalValue' : 'priceUnavailable',
+                  localizationScope,
                 )
               }
             </div>
           </div>
         </div>
         <div className="col-xs-12 col-sm-12 col-md-3 col-lg-3 col-xl-2">
-          <div className="form-group row">
-            <div className="col-12 text-center">
-              <button
-                className="btn btn-danger active form-control"
-                role="button"
-                onClick={handleRemoveProductClick}
-              >
-                <i className={iconTrashClassName} />
-                { getLocalization('remove', localizationScope) }
-              </button>
-            </div>
-          </div>
+          {
+            !gift && onMoveProduct && moveProductLocalizationId
+            ? (
+              <div className="form-group row">
+                <div className="col-12 text-center">
+                  <button
+                    className="btn btn-secondary form-control"
+                    role="button"
+                    disabled={!isPriceAvailable}
+                    onClick={handleMoveProductClick}
+                  >
+                    {
+                      iconMoveProductClassName
+                      ? <i className={iconMoveProductClassName} />
+                      : null
+                    }
+                    {
+                      getLocalization(
+                        moveProductLocalizationId, localizationScope,
+                      )
+                    }
+                  </button>
+                </div>
+              </div>
+            )
+            : null
+          }
+          {
+            !gift
+            ? (
+              <div className="form-group row">
+                <div className="col-12 text-center">
+                  <button
+                    className="btn btn-danger active form-control"
+                    role="button"
+                    onClick={handleRemoveProductClick}
+                  >
+                    <i className={iconTrashClassName} />
+                    { getLocalization('remove', localizationScope) }
+                  </button>
+                </div>
+              </div>
+            )
+            : null
+          }
         </div>
       </div>
     );
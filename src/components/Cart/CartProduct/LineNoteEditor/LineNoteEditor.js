@@ -0,0 +1,142 @@
+/**
+ * @flow
+ * @module LineNoteEditor
+ * @extends React.PureComponent
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Collapsible editor of customer's note for line in cart.
+ */
+import React, { PureComponent, PropTypes } from 'react';
+
+const
+  propTypes = {
+    productKey: PropTypes.string.isRequired,
+    note: PropTypes.string,
+    maxLength: PropTypes.number,
+    onSetLineNote: PropTypes.func.isRequired,
+    getLocalization: PropTypes.func.isRequired,
+    localizationScope: PropTypes.object,
+  },
+  defaultProps = {
+    note: '',
+    maxLength: 200,
+    localizationScope: {},
+  };
+
+export default class LineNoteEditor extends PureComponent {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  state = {
+    isOpen: false,
+    text: '',
+  };
+
+  handleOpenClick = () =>
+    void this.setState({ isOpen: true, text: this.props.note });
+
+  handleCancelClick = () =>
+    void this.setState({ isOpen: false });
+
+  handleTextChange = (
+    { target: { value } } : SyntheticInputEvent,
+  ) => void this.setState({ text: value.slice(0, this.props.maxLength) });
+
+  handleNoteFormSubmit = (event : Event) => {
+    const { productKey, onSetLineNote } = this.props;
+    event.preventDefault();
+    onSetLineNote(productKey, this.state.text.trim());
+    this.setState({ isOpen: false });
+  };
+
+  render() {
+    const {
+      note,
+      maxLength,
+      getLocalization,
+      localizationScope,
+    } = this.props;
+
+    const { isOpen, text } = this.state;
+
+    const {
+      handleOpenClick,
+      handleCancelClick,
+      handleTextChange,
+      handleNoteFormSubmit,
+    } = this;
+
+    if (!isOpen)
+      return (
+        <div className="form-group row">
+          {
+            note
+            ? (
+              <p className="col-12 mb-1">
+                <small className="text-muted">
+                  { getLocalization('noteLabel', localizationScope) }
+                </small>
+                { ` ${note}` }
+              </p>
+            )
+            : null
+          }
+          <div className="col-12">
+            <button
+              type="button"
+              className="btn btn-link btn-sm"
+              onClick={handleOpenClick}
+            >
+              {
+                getLocalization(
+                  note ? 'editNote' : 'addNote', localizationScope,
+                )
+              }
+            </button>
+          </div>
+        </div>
+      );
+
+    return (
+      <form className="form-group row" onSubmit={handleNoteFormSubmit}>
+        <div className="col-12">
+          <label className="col-form-label">
+            { getLocalization('noteLabel', localizationScope) }
+          </label>
+          <textarea
+            className="form-control"
+            rows={2}
+            value={text}
+            maxLength={maxLength}
+            onChange={handleTextChange}
+          />
+          <small className="form-text text-muted">
+            {
+              getLocalization('noteCharactersLeft', {
+                ...localizationScope,
+                charactersLeft: maxLength - text.length,
+                maxLength,
+              })
+            }
+          </small>
+        </div>
+        <div className="col-12 mt-1">
+          <button type="submit" className="btn btn-primary btn-sm">
+            { getLocalization('saveNote', localizationScope) }
+          </button>
+          <button
+            type="button"
+            className="btn btn-secondary btn-sm ml-1"
+            onClick={handleCancelClick}
+          >
+            { getLocalization('cancelNote', localizationScope) }
+          </button>
+        </div>
+      </form>
+    );
+  }
+}
@@ -0,0 +1,212 @@
+/**
+ * @flow
+ * @module CouponForm
+ * @extends React.PureComponent
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Form to apply coupon codes in cart and list of applied coupons.
+ */
+import React, { PureComponent, PropTypes } from 'react';
+
+import {
+  validateCoupon,
+  calculateCouponDiscount,
+} from '../../../discounts';
+import { convertProducts } from '../../../exchange';
+import { applyPriceTiers } from '../../../tiers';
+
+const
+  couponPropType = PropTypes.shape({
+    code: PropTypes.string.isRequired,
+    percentage: PropTypes.number,
+    amounts: PropTypes.objectOf(PropTypes.number),
+    productIds: PropTypes.arrayOf(PropTypes.string),
+    minimumSpend: PropTypes.objectOf(PropTypes.number),
+  }),
+  propTypes = {
+    coupons: PropTypes.arrayOf(couponPropType).isRequired,
+    appliedCoupons: PropTypes.objectOf(couponPropType).isRequired,
+    products: PropTypes.object.isRequired,
+    currency: PropTypes.string.isRequired,
+    exchangeRates: PropTypes.object,
+    onApplyCoupon: PropTypes.func.isRequired,
+    onRemoveCoupon: PropTypes.func.isRequired,
+    getLocalization: PropTypes.func.isRequired,
+  },
+  defaultProps = {
+
+  };
+
+export default class CouponForm extends PureComponent {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  state : {
+    code : string,
+    message : ?{ id : ?string, code : string, coupon? : CouponType },
+  } = {
+    code: '',
+    message: null,
+  };
+
+  handleCodeValueChange = (
+    { target: { value } } : SyntheticInputEvent,
+  ) => void this.setState({ code: value, message: null });
+
+  handleCouponFormSubmit = (event : Event) => {
+    const {
+      coupons,
+      appliedCoupons,
+      products,
+      currency,
+      exchangeRates,
+      onApplyCoupon,
+    } = this.props;
+    const { code } = this.state;
+    event.preventDefault();
+
+    const { coupon, error } = validateCoupon(
+      code,
+      coupons,
+      appliedCoupons,
+      convertProducts(applyPriceTiers(products), currency, exchangeRates),
+      currency,
+    );
+
+    if (coupon && !error) {
+      onApplyCoupon(coupon);
+      this.setState({
+        code: '',
+        message: { id: 'couponApplied', code: coupon.code, coupon },
+      });
+    } else
+      this.setState({
+        message: { id: error, code: coupon ? coupon.code : code, coupon },
+      });
+  };
+
+  handleRemoveCouponClick = (event : Event & { currentTarget : Object }) =>
+    void this.props.onRemoveCoupon(event.currentTarget.value);
+
+  render() {
+    const {
+      appliedCoupons,
+      products,
+      currency,
+      exchangeRates,
+      getLocalization,
+    } = this.props;
+
+    const { code, message } = this.state;
+
+    const convertedProducts =
+      convertProducts(applyPriceTiers(products), currency, exchangeRates);
+
+    const {
+      handleCodeValueChange,
+      handleCouponFormSubmit,
+      handleRemoveCouponClick,
+    } = this;
+
+    const localizationScope = {
+      currency,
+      get localizedCurrency() {
+        return getLocalization(currency, localizationScope);
+      },
+    };
+
+    const messageLocalizationScope = message && {
+      ...localizationScope,
+      code: message.code,
+      minimumSpend:
+        message.coupon
+        && message.coupon.minimumSpend
+        && message.coupon.minimumSpend[currency]
+        || 0,
+    };
+
+    return (
+      <form className="mt-1" onSubmit={handleCouponFormSubmit}>
+        <div className="form-group row">
+          <label
+            htmlFor="coupon-code"
+            className="col-xs-12 col-md-4 col-lg-3 col-form-label"
+          >
+            { getLocalization('couponLabel', localizationScope) }
+          </label>
+          <div className="col-xs-8 col-md-5 col-lg-6">
+            <input
+              id="coupon-code"
+              type="text"
+              className="form-control"
+              value={code}
+              onChange={handleCodeValueChange}
+            />
+          </div>
+          <div className="col-xs-4 col-md-3 col-lg-3">
+            <button
+              type="submit"
+              className="btn btn-secondary btn-block"
+              disabled={!code.trim()}
+            >
+              { getLocalization('applyCoupon', localizationScope) }
+            </button>
+          </div>
+        </div>
+        {
+          message
+          ? (
+            <div
+              className={
+                `alert alert-${
+                  message.id === 'couponApplied' ? 'success' : 'danger'
+                }`
+              }
+              role="alert"
+            >
+              { getLocalization(message.id, messageLocalizationScope) }
+            </div>
+          )
+          : null
+        }
+        {
+          Object
+            .keys(appliedCoupons)
+            .map((couponCode : string) => (
+              <div className="form-group row" key={couponCode}>
+                <div className="col-xs-8 col-md-9 col-form-label">
+                  {
+                    getLocalization('appliedCoupon', {
+                      ...localizationScope,
+                      code: appliedCoupons[couponCode].code,
+                      discount:
+                        calculateCouponDiscount(
+                          appliedCoupons[couponCode],
+                          convertedProducts,
+                          currency,
+                        ),
+                    })
+                  }
+                </div>
+                <div className="col-xs-4 col-md-3">
+                  <button
+                    type="button"
+                    className="btn btn-outline-danger btn-block"
+                    value={couponCode}
+                    onClick={handleRemoveCouponClick}
+                  >
+                    { getLocalization('removeCoupon', localizationScope) }
+                  </button>
+                </div>
+              </div>
+            ),
+          )
+        }
+      </form>
+    );
+  }
+}
@@ -0,0 +1,106 @@
+/**
+ * @flow
+ * @module ShippingSelector
+ * @extends React.PureComponent
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * List of shipping methods to choose from in cart.
+ * Methods unavailable in current currency are not shown.
+ */
+import React, { PureComponent, PropTypes } from 'react';
+
+const
+  propTypes = {
+    methods: PropTypes.arrayOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      name: PropTypes.string.isRequired,
+      cost: PropTypes.objectOf(PropTypes.number).isRequired,
+    })).isRequired,
+    costs: PropTypes.objectOf(PropTypes.number).isRequired,
+    selectedMethod: PropTypes.string,
+    currency: PropTypes.string.isRequired,
+    onSelectShippingMethod: PropTypes.func.isRequired,
+    getLocalization: PropTypes.func.isRequired,
+  },
+  defaultProps = {
+    selectedMethod: null,
+  };
+
+export default class ShippingSelector extends PureComponent {
+
+  static propTypes = propTypes;
+  static defaultProps = defaultProps;
+
+  handleShippingMethodChange = (event : Event & { target : Object }) =>
+    void this.props.onSelectShippingMethod(event.target.value);
+
+  render() {
+    const {
+      methods,
+      costs,
+      selectedMethod,
+      currency,
+      getLocalization,
+    } = this.props;
+
+    const {
+      handleShippingMethodChange,
+    } = this;
+
+    const localizationScope = {
+      currency,
+      get localizedCurrency() {
+        return getLocalization(currency, localizationScope);
+      },
+    };
+
+    return (
+      <div className="form-group row mt-1">
+        <div className="col-xs-12 col-md-4 col-lg-3 col-form-label">
+          { getLocalization('shippingMethodLabel', localizationScope) }
+        </div>
+        <div className="col-xs-12 col-md-8 col-lg-9">
+          {
+            methods
+              .filter(({ id }) => typeof costs[id] === 'number')
+              .map(({ id, name }) => {
+                const methodLocalizationScope = {
+                  ...localizationScope,
+                  name,
+                  cost: costs[id],
+                  get localizedName() {
+                    return getLocalization(name, methodLocalizationScope);
+                  },
+                };
+                return (
+                  <div className="form-check" key={id}>
+                    <label className="form-check-label">
+                      <input
+                        type="radio"
+                        className="form-check-input"
+                        name="shipping-method"
+                        value={id}
+                        checked={id === selectedMethod}
+                        onChange={handleShippingMethodChange}
+                      />
+                      {
+                        getLocalization(
+                          costs[id]
+                            ? 'shippingMethod'
+                            : 'freeShippingMethod',
+                          methodLocalizationScope,
+                        )
+                      }
+                    </label>
+                  </div>
+                );
+              })
+          }
+        </div>
+      </div>
+    );
+  }
+}
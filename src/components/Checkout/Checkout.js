@@ -0,0 +1,706 @@
+/**
+ * @flow
+ * @module Checkout
+ * @extends React.PureComponent
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Multi-step checkout: contact, shipping address, shipping method
+ * and review with placing order.
+ */
+import React, { PureComponent, PropTypes } from 'react';
+
+import ShippingSelector from '../Cart/ShippingSelector/ShippingSelector';
+import AddressForm from '../AddressForm/AddressForm';
+import { supportedCountries, getAddressLines } from '../../addresses';
+import {
+  checkoutSteps,
+  completeCheckoutStep,
+  validateCheckoutStep,
+  getNextCheckoutStep,
+  getPreviousCheckoutStep,
+} from '../../checkout';
+
+const
+  /**
+   * @static propTypes
+   * @memberof Checkout
+   *
+   * @prop {Function} onPlaceOrder - Callback which receives OrderType
+   * when customer places order on review step. If it returns promise,
+   * checkout is completed when promise is resolved, and customer may try
+   * again if it's rejected. Required.
+   * @prop {boolean} showSteps - Show navigation between steps.
+   * Default is true.
+   * @prop {Array<string>} countries - Codes of countries customer may
+   * choose in addresses. Default is every country with bundled
+   * address format.
+   */
+  propTypes = {
+    onPlaceOrder: PropTypes.func.isRequired,
+    showSteps: PropTypes.bool,
+    countries: PropTypes.arrayOf(PropTypes.string),
+  },
+  /**
+   * @static containerPropTypes
+   * @memberof Checkout
+   *
+   * @prop {CheckoutStepType} step - Current step. Required.
+   * @prop {CheckoutContactType} contact - Required.
+   * @prop {AddressesStateType} addresses - Shipping and billing addresses.
+   * Required.
+   * @prop {CartOrderType} order - Lines and totals of cart. Required.
+   * @prop {string} currency - Current currency. Required.
+   * @prop {boolean} isCartEmpty - Order can't be placed if cart is empty.
+   * Required.
+   * @prop {Function} onSetStep - Callback which receives step. Required.
+   * @prop {Function} onSetContact - Callback which receives changed fields
+   * of contact. Required.
+   * @prop {Function} onSetShippingAddress - Callback which receives changed
+   * fields of shipping address. Required.
+   * @prop {Function} onSetBillingAddress - Callback which receives changed
+   * fields of billing address. Required.
+   * @prop {Function} onSetBillingSameAsShipping - Callback which receives
+   * whether billing address is the same as shipping one. Required.
+   * @prop {Function} onCompleteCheckout - Callback which receives placed
+   * order. Required.
+   * @prop {getLocalizationType} getLocalization - Required.
+   * @prop {Array<ShippingMethodType>} shippingMethods - Default is [].
+   * Shipping method step may be passed only if method is selected,
+   * unless there are no methods.
+   * @prop {Object.<string, ?number>} shippingCosts - Default is {}.
+   * @prop {string} selectedShippingMethod - Id of selected method.
+   * @prop {Function} onSelectShippingMethod - Callback which receives id of
+   * method. Required to show shipping methods.
+   */
+  containerPropTypes = {
+    step: PropTypes.oneOf([...checkoutSteps, completeCheckoutStep])
+      .isRequired,
+    contact: PropTypes.shape({
+      email: PropTypes.string.isRequired,
+      phone: PropTypes.string.isRequired,
+    }).isRequired,
+    addresses: PropTypes.shape({
+      shipping: PropTypes.objectOf(PropTypes.string).isRequired,
+      billing: PropTypes.objectOf(PropTypes.string).isRequired,
+      billingSameAsShipping: PropTypes.bool.isRequired,
+    }).isRequired,
+    order: PropTypes.shape({
+      lines: PropTypes.arrayOf(PropTypes.object).isRequired,
+      subtotal: PropTypes.number.isRequired,
+      discount: PropTypes.number.isRequired,
+      tax: PropTypes.number.isRequired,
+      pricesIncludeTax: PropTypes.bool.isRequired,
+      shipping: PropTypes.number.isRequired,
+      grandTotal: PropTypes.number.isRequired,
+    }).isRequired,
+    currency: PropTypes.string.isRequired,
+    isCartEmpty: PropTypes.bool.isRequired,
+    onSetStep: PropTypes.func.isRequired,
+    onSetContact: PropTypes.func.isRequired,
+    onSetShippingAddress: PropTypes.func.isRequired,
+    onSetBillingAddress: PropTypes.func.isRequired,
+    onSetBillingSameAsShipping: PropTypes.func.isRequired,
+    onCompleteCheckout: PropTypes.func.isRequired,
+    getLocalization: PropTypes.func.isRequired,
+    shippingMethods: PropTypes.arrayOf(PropTypes.object),
+    shippingCosts: PropTypes.objectOf(PropTypes.number),
+    selectedShippingMethod: PropTypes.string,
+    onSelectShippingMethod: PropTypes.func,
+  },
+  defaultProps = {
+    showSteps: true,
+    countries: supportedCountries,
+    shippingMethods: [],
+    shippingCosts: {},
+    selectedShippingMethod: null,
+  };
+
+export default class Checkout extends PureComponent {
+
+  static propTypes = { ...propTypes, ...containerPropTypes };
+  static defaultProps = defaultProps;
+
+  state = {
+    errors: {},
+    isPlacingOrder: false,
+    placeOrderFailed: false,
+  };
+
+  getStepErrors = (step : CheckoutStepType) : CheckoutErrorsType => {
+    const {
+      contact,
+      addresses,
+      countries,
+      shippingMethods,
+      shippingCosts,
+      selectedShippingMethod,
+    } = this.props;
+    return validateCheckoutStep(step, {
+      contact,
+      addresses,
+      countries,
+      shippingMethods,
+      shippingCosts,
+      selectedShippingMethod,
+    });
+  };
+
+  goToStep = (step : CheckoutStepType) => {
+    this.setState({ errors: {}, placeOrderFailed: false });
+    this.props.onSetStep(step);
+  };
+
+  handleContactChange = (
+    { target: { name, value } } : { target : HTMLInputElement },
+  ) => void this.props.onSetContact({ [name]: value });
+
+  handleBillingSameAsShippingChange = (
+    event : Event & { target : Object },
+  ) => void this.props.onSetBillingSameAsShipping(event.target.checked);
+
+  handleStepFormSubmit = (event : Event) => {
+    const { step } = this.props;
+    event.preventDefault();
+
+    const errors = this.getStepErrors(step);
+    if (Object.keys(errors).length)
+      this.setState({ errors });
+    else
+      this.goToStep(getNextCheckoutStep(step));
+  };
+
+  handlePreviousStepClick = () =>
+    void this.goToStep(getPreviousCheckoutStep(this.props.step));
+
+  /*
+   * Steps navigation buttons have step as value,
+   * only passed steps may be chosen
+   */
+  handleStepClick = (event : Event & { currentTarget : Object }) =>
+    void this.goToStep(event.currentTarget.value);
+
+  handlePlaceOrderClick = () => {
+    const {
+      order,
+      contact,
+      addresses: { shipping, billing, billingSameAsShipping },
+      isCartEmpty,
+      onPlaceOrder,
+      onCompleteCheckout,
+    } = this.props;
+
+    if (isCartEmpty || this.state.isPlacingOrder)
+      return;
+
+    // Cart or addresses may be changed outside of checkout
+    const invalidStep = checkoutSteps.find((step : CheckoutStepType) =>
+      Object.keys(this.getStepErrors(step)).length,
+    );
+    if (invalidStep) {
+      this.props.onSetStep(invalidStep);
+      this.setState({ errors: this.getStepErrors(invalidStep) });
+      return;
+    }
+
+    const placedOrder = {
+      ...order,
+      contact,
+      shippingAddress: shipping,
+      billingAddress: billingSameAsShipping ? shipping : billing,
+    };
+    const result = onPlaceOrder(placedOrder);
+
+    if (!result || typeof result.then !== 'function') {
+      onCompleteCheckout(placedOrder);
+      return;
+    }
+
+    this.setState({ isPlacingOrder: true, placeOrderFailed: false });
+    result.then(
+      () => {
+        this.setState({ isPlacingOrder: false });
+        onCompleteCheckout(placedOrder);
+      },
+      () => void this.setState({
+        isPlacingOrder: false,
+        placeOrderFailed: true,
+      }),
+    );
+  };
+
+  renderField(
+    name : string,
+    value : string,
+    onChange : Function,
+    localizationScope : Object,
+    type : string = 'text',
+  ) : React$Element<any> {
+    const { getLocalization } = this.props;
+    const error = this.state.errors[name];
+    return (
+      <div
+        key={name}
+        className={`form-group row${error ? ' has-danger' : ''}`}
+      >
+        <label
+          htmlFor={`checkout-${name}`}
+          className="col-xs-12 col-md-4 col-lg-3 col-form-label"
+        >
+          { getLocalization(`${name}Label`, localizationScope) }
+        </label>
+        <div className="col-xs-12 col-md-8 col-lg-9">
+          <input
+            id={`checkout-${name}`}
+            type={type}
+            className="form-control"
+            name={name}
+            value={value}
+            onChange={onChange}
+          />
+          {
+            error
+            ? (
+              <div className="form-control-feedback">
+                { getLocalization(error, localizationScope) }
+              </div>
+            )
+            : null
+          }
+        </div>
+      </div>
+    );
+  }
+
+  renderAddress(
+    titleId : string,
+    address : AddressType,
+    localizationScope : Object,
+  ) : React$Element<any> {
+    const { getLocalization } = this.props;
+    return (
+      <div className="col-xs-12 col-md-6">
+        <h6>{ getLocalization(titleId, localizationScope) }</h6>
+        <address>
+          {
+            getAddressLines(address).map((line : string, index : number) => (
+              // Lines may repeat, e.g. name of town and region
+              <span className="d-block" key={index}>{ line }</span>
+            ))
+          }
+          {
+            address.country
+            ? (
+              <span className="d-block">
+                {
+                  getLocalization(
+                    `country${address.country}`, localizationScope,
+                  )
+                }
+              </span>
+            )
+            : null
+          }
+        </address>
+      </div>
+    );
+  }
+
+  renderStep(localizationScope : Object) : React$Element<any> {
+    const {
+      step,
+      contact,
+      addresses,
+      countries,
+      order,
+      currency,
+      shippingMethods,
+      shippingCosts,
+      selectedShippingMethod,
+      onSelectShippingMethod,
+      onSetShippingAddress,
+      onSetBillingAddress,
+      getLocalization,
+    } = this.props;
+
+    const { errors } = this.state;
+
+    const { handleContactChange, handleBillingSameAsShippingChange } = this;
+
+    switch (step) {
+      case 'contact':
+        return (
+          <div>
+            {
+              this.renderField(
+                'email',
+                contact.email,
+                handleContactChange,
+                localizationScope,
+                'email',
+              )
+            }
+            {
+              this.renderField(
+                'phone',
+                contact.phone,
+                handleContactChange,
+                localizationScope,
+                'tel',
+              )
+            }
+          </div>
+        );
+      case 'shippingAddress':
+        return (
+          <div>
+            <AddressForm
+              id="shipping-address"
+              address={addresses.shipping}
+              countries={countries}
+              showErrors={!!errors.shippingAddress}
+              onChange={onSetShippingAddress}
+              getLocalization={getLocalization}
+            />
+            <div className="form-check">
+              <label className="form-check-label">
+                <input
+                  type="checkbox"
+                  className="form-check-input"
+                  checked={addresses.billingSameAsShipping}
+                  onChange={handleBillingSameAsShippingChange}
+                />
+                {
+                  getLocalization(
+                    'billingSameAsShipping', localizationScope,
+                  )
+                }
+              </label>
+            </div>
+            {
+              addresses.billingSameAsShipping
+              ? null
+              : (
+                <div>
+                  <h6>
+                    {
+                      getLocalization(
+                        'billingAddressTitle', localizationScope,
+                      )
+                    }
+                  </h6>
+                  <AddressForm
+                    id="billing-address"
+                    address={addresses.billing}
+                    countries={countries}
+                    showErrors={!!errors.billingAddress}
+                    onChange={onSetBillingAddress}
+                    getLocalization={getLocalization}
+                  />
+                </div>
+              )
+            }
+          </div>
+        );
+      case 'shippingMethod':
+        return (
+          <div className={errors.shippingMethod ? 'has-danger' : ''}>
+            {
+              shippingMethods.length && onSelectShippingMethod
+              ? (
+                <ShippingSelector
+                  methods={shippingMethods}
+                  costs={shippingCosts}
+                  selectedMethod={selectedShippingMethod}
+                  currency={currency}
+                  onSelectShippingMethod={onSelectShippingMethod}
+                  getLocalization={getLocalization}
+                />
+              )
+              : (
+                <p>
+                  { getLocalization('noShippingMethods', localizationScope) }
+                </p>
+              )
+            }
+            {
+              errors.shippingMethod
+              ? (
+                <div className="form-control-feedback">
+                  {
+                    getLocalization(errors.shippingMethod, localizationScope)
+                  }
+                </div>
+              )
+              : null
+            }
+          </div>
+        );
+      default:
+        return (
+          <div>
+            <ul className="list-group mb-1">
+              {
+                order.lines.map((line : OrderLineType) => {
+                  const lineLocalizationScope = {
+                    ...localizationScope,
+                    ...line,
+                    get localizedName() {
+                      return getLocalization(line.name, lineLocalizationScope);
+                    },
+                  };
+                  return (
+                    <li className="list-group-item" key={line.key}>
+                      <div className="w-100">
+                        {
+                          getLocalization(
+                            'reviewLine', lineLocalizationScope,
+                          )
+                        }
+                        {
+                          line.note
+                          ? (
+                            <small className="d-block text-muted">
+                              {
+                                getLocalization(
+                                  'reviewLineNote', lineLocalizationScope,
+                                )
+                              }
+                            </small>
+                          )
+                          : null
+                        }
+                      </div>
+                    </li>
+                  );
+                })
+              }
+            </ul>
+            <p className="mb-0">
+              { getLocalization('reviewSubtotal', localizationScope) }
+            </p>
+            {
+              order.discount
+              ? (
+                <p className="mb-0">
+                  { getLocalization('reviewDiscount', localizationScope) }
+                </p>
+              )
+              : null
+            }
+            <p className="mb-0">
+              { getLocalization('reviewShipping', localizationScope) }
+            </p>
+            {
+              order.tax
+              ? (
+                <p className="mb-0">
+                  { getLocalization('reviewTax', localizationScope) }
+                </p>
+              )
+              : null
+            }
+            <p>
+              <strong>
+                { getLocalization('reviewGrandTotal', localizationScope) }
+              </strong>
+            </p>
+            <p className="mb-0">
+              { getLocalization('reviewContact', localizationScope) }
+            </p>
+            <div className="row">
+              {
+                this.renderAddress(
+                  'shippingAddressTitle',
+                  addresses.shipping,
+                  localizationScope,
+                )
+              }
+              {
+                this.renderAddress(
+                  'billingAddressTitle',
+                  addresses.billingSameAsShipping
+                    ? addresses.shipping
+                    : addresses.billing,
+                  localizationScope,
+                )
+              }
+            </div>
+          </div>
+        );
+    }
+  }
+
+  render() {
+    const {
+      step,
+      contact,
+      order,
+      currency,
+      shippingMethods,
+      selectedShippingMethod,
+      isCartEmpty,
+      showSteps,
+      getLocalization,
+    } = this.props;
+
+    const { isPlacingOrder, placeOrderFailed } = this.state;
+
+    const {
+      handleStepFormSubmit,
+      handlePreviousStepClick,
+      handleStepClick,
+      handlePlaceOrderClick,
+    } = this;
+
+    const selectedMethod = shippingMethods.find(
+      ({ id } : ShippingMethodType) : boolean =>
+        id === selectedShippingMethod,
+    );
+
+    const stepIndex = checkoutSteps.indexOf(step);
+
+    const localizationScope = {
+      currency,
+      step,
+      stepNumber: stepIndex + 1,
+      stepsCount: checkoutSteps.length,
+      email: contact.email,
+      phone: contact.phone,
+      subtotal: order.subtotal,
+      discount: order.discount,
+      tax: order.tax,
+      shipping: order.shipping,
+      grandTotal: order.grandTotal,
+      shippingMethodName: selectedMethod ? selectedMethod.name : '',
+      get localizedCurrency() {
+        return getLocalization(currency, localizationScope);
+      },
+      get localizedShippingMethodName() {
+        return selectedMethod
+          ? getLocalization(selectedMethod.name, localizationScope)
+          : '';
+      },
+    };
+
+    if (step === completeCheckoutStep)
+      return (
+        <div className="row mt-1">
+          <div className="col-12">
+            <div className="alert alert-success" role="alert">
+              { getLocalization('orderPlaced', localizationScope) }
+            </div>
+          </div>
+        </div>
+      );
+
+    return (
+      <div className="row mt-1">
+        <div className="col-12">
+          { getLocalization('checkoutTitle', localizationScope) }
+          {
+            showSteps
+            ? (
+              <div className="btn-group mb-1" role="group">
+                {
+                  checkoutSteps.map((checkoutStep, index) => (
+                    <button
+                      key={checkoutStep}
+                      type="button"
+                      className={
+                        `btn btn-outline-primary${
+                          index === stepIndex ? ' active' : ''
+                        }`
+                      }
+                      value={checkoutStep}
+                      disabled={index >= stepIndex}
+                      onClick={handleStepClick}
+                    >
+                      {
+                        getLocalization(`${checkoutStep}Step`, {
+                          ...localizationScope,
+                          stepNumber: index + 1,
+                        })
+                      }
+                    </button>
+                  ))
+                }
+              </div>
+            )
+            : (
+              <h5>
+                { getLocalization(`${step}Step`, localizationScope) }
+              </h5>
+            )
+          }
+          {
+            isCartEmpty
+            ? (
+              <div className="alert alert-info" role="alert">
+                { getLocalization('emptyCart', localizationScope) }
+              </div>
+            )
+            : null
+          }
+          {
+            placeOrderFailed
+            ? (
+              <div className="alert alert-danger" role="alert">
+                { getLocalization('placeOrderFailed', localizationScope) }
+              </div>
+            )
+            : null
+          }
+          <form onSubmit={handleStepFormSubmit}>
+            { this.renderStep(localizationScope) }
+            <div className="form-group row">
+              <div className="col-6">
+                {
+                  stepIndex > 0
+                  ? (
+                    <button
+                      type="button"
+                      className="btn btn-secondary"
+                      onClick={handlePreviousStepClick}
+                      disabled={isPlacingOrder}
+                    >
+                      { getLocalization('previousStep', localizationScope) }
+                    </button>
+                  )
+                  : null
+                }
+              </div>
+              <div className="col-6 text-right">
+                {
+                  step === 'review'
+                  ? (
+                    <button
+                      type="button"
+                      className="btn btn-primary"
+                      onClick={handlePlaceOrderClick}
+                      disabled={isCartEmpty || isPlacingOrder}
+                    >
+                      {
+                        getLocalization(
+                          isPlacingOrder ? 'placingOrder' : 'placeOrder',
+                          localizationScope,
+                        )
+                      }
+                    </button>
+                  )
+                  : (
+                    <button type="submit" className="btn btn-primary">
+                      { getLocalization('nextStep', localizationScope) }
+                    </button>
+                  )
+                }
+              </div>
+            </div>
+          </form>
+        </div>
+      </div>
+    );
+  }
+}
@@ -14,6 +14,7 @@ import React, { PureComponent, PropTypes } from 'react';
 import Transition from 'react-overlays/lib/Transition';
 
 import { animate, DefaultLinkComponent } from '../../helpers';
+import { subtractMoney } from '../../money';
 
 const
 /**
@@ -41,29 +42,50 @@ const
   * className-"%bs4's className for button%".
   * I'd recommend you to take a look at react-router's Link.
   * Wrapped <a/> by default.
+  * @prop {TaxDisplayType} taxDisplay - Show total with tax ('inclusive')
+  * or without it ('exclusive').
+  * Default is 'inclusive'.
   */
   propTypes = {
     checkoutURL: PropTypes.string.isRequired,
     iconCheckoutClassName: PropTypes.string,
     transitionConfig: PropTypes.object,
     linkComponent: PropTypes.func,
+    taxDisplay: PropTypes.oneOf(['inclusive', 'exclusive']),
   },
 /**
   * @static containerPropTypes
   * @memberof CheckoutButton
   *
-  * @prop {number} grandTotal - Amount of money to pay. Required.
+  * @prop {number} grandTotal - Amount of money to pay (tax included).
+  * Required.
   * @prop {boolean} hidden - Show or hide button. Required.
   * @prop {string} currency - Current cart currency. Required.
   * @prop {getLocalizationType} getLocalization - Required.
+  * @prop {number} tax - Amount of tax in grandTotal. Default is 0.
+  * @prop {Array<TaxBreakdownItemType>} taxBreakdown - Tax by tax classes.
+  * Default is [].
+  * @prop {number} shipping - Cost of shipping in grandTotal. Default is 0.
   */
   containerPropTypes = {
     grandTotal: PropTypes.number.isRequired,
     hidden: PropTypes.bool.isRequired,
     currency: PropTypes.string.isRequired,
     getLocalization: PropTypes.func.isRequired,
+    tax: PropTypes.number,
+    taxBreakdown: PropTypes.arrayOf(PropTypes.shape({
+      taxClass: PropTypes.string.isRequired,
+      rate: PropTypes.number.isRequired,
+      taxable: PropTypes.number.isRequired,
+      amount: PropTypes.number.isRequired,
+    })),
+    shipping: PropTypes.number,
   },
   defaultProps = {
+    taxDisplay: 'inclusive',
+    tax: 0,
+    taxBreakdown: [],
+    shipping: 0,
     iconCheckoutClassName: 'icon-basket',
     transitionConfig: {
       style: animate(500),
@@ -87,11 +109,23 @@ export default class CheckoutButton extends PureComponent {
       transitionConfig,
       linkComponent: LinkComponent,
       getLocalization,
+      tax,
+      taxBreakdown,
+      taxDisplay,
+      shipping,
     } = this.props;
 
     const localizationScope = {
       currency,
-      total: grandTotal,
+      total:
+        taxDisplay === 'exclusive'
+        ? subtractMoney(grandTotal, tax, currency)
+        : grandTotal,
+      totalIncludingTax: grandTotal,
+      totalExcludingTax: subtractMoney(grandTotal, tax, currency),
+      tax,
+      taxBreakdown,
+      shipping,
       get localizedCurrency() {
         return getLocalization(currency, localizationScope);
       },
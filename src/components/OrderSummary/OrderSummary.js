@@ -0,0 +1,304 @@
+/**
+ * @flow
+ * @module OrderSummary
+ * @extends React.PureComponent
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Read-only table of products and totals, e.g. for order confirmation pages
+ * and emails. It has no inputs and no animations, so it may be rendered
+ * with ReactDOMServer.renderToStaticMarkup.
+ */
+import React, { PureComponent, PropTypes } from 'react';
+
+import { createOrderLines } from '../../checkout';
+import { subtractMoney, sumMoney } from '../../money';
+
+const
+  /**
+   * @static propTypes
+   * @memberof OrderSummary
+   *
+   * @prop {boolean} showHeader - Show or hide header 'Order summary'.
+   * Default is true.
+   * @prop {number} discount - Discount of coupons and promotions.
+   * Default is 0.
+   * @prop {number} shipping - Cost of shipping, row is shown only if it's
+   * positive. Default is 0.
+   * @prop {number} tax - Amount of tax, row is shown only if it's positive.
+   * Default is 0.
+   * @prop {boolean} pricesIncludeTax - Whether tax is already included
+   * in prices, otherwise it's added to grand total. Default is false.
+   */
+  propTypes = {
+    showHeader: PropTypes.bool,
+    discount: PropTypes.number,
+    shipping: PropTypes.number,
+    tax: PropTypes.number,
+    pricesIncludeTax: PropTypes.bool,
+  },
+  /**
+   * @static containerPropTypes
+   * @memberof OrderSummary
+   *
+   * @prop {Object.<string, ProductType>} products - Products map with
+   * tier prices applied and prices converted to currency, e.g. from
+   * promotedProductsSelector of createCartSelectors. Price of line is
+   * read from productInfo.prices[currency] as it is, products without
+   * price in currency are skipped. Required.
+   * @prop {string} currency - Currency of order. Required.
+   * @prop {getLocalizationType} getLocalization - Required.
+   */
+  containerPropTypes = {
+    products: PropTypes.objectOf(PropTypes.shape({
+      id: PropTypes.string.isRequired,
+      quantity: PropTypes.number.isRequired,
+      properties: PropTypes.object,
+      productInfo: PropTypes.shape({
+        name: PropTypes.string.isRequired,
+        prices: PropTypes.objectOf(
+          PropTypes.number,
+        ).isRequired,
+        propertiesToShowInCart: PropTypes.arrayOf(
+          PropTypes.string,
+        ),
+      }).isRequired,
+    })).isRequired,
+    currency: PropTypes.string.isRequired,
+    getLocalization: PropTypes.func.isRequired,
+  },
+  defaultProps = {
+    showHeader: true,
+    discount: 0,
+    shipping: 0,
+    tax: 0,
+    pricesIncludeTax: false,
+  };
+
+export default class OrderSummary extends PureComponent {
+
+  static propTypes = { ...propTypes, ...containerPropTypes };
+  static defaultProps = defaultProps;
+
+  /*
+   * Localized properties of line which are in propertiesToShow array
+   */
+  static generatePropertyElements = (
+    properties : { [propName : string] : number|string },
+    propertiesToShow : Array<string>,
+    getLocalization : Function,
+  ) : Array<React$Element<any>> =>
+    Object
+      .entries(properties)
+      .filter(([propName]) => propertiesToShow.includes(propName))
+      .map(([propName, propValue]) => {
+        const localizationScope = {
+          name: propName,
+          value: propValue,
+          get localizedName() {
+            return getLocalization(propName, localizationScope);
+          },
+          get localizedValue() {
+            return typeof propValue === 'string'
+              ? getLocalization(propValue, localizationScope)
+              : propValue;
+          },
+        };
+        return (
+          <small className="d-block text-muted" key={propName}>
+            { getLocalization('productProperty', localizationScope) }
+          </small>
+        );
+      });
+
+  renderTotalRow(
+    id : string,
+    localizationScope : Object,
+  ) : React$Element<any> {
+    const { getLocalization } = this.props;
+    return (
+      <tr key={id}>
+        <th colSpan={3} className="text-right">
+          { getLocalization(`${id}Label`, localizationScope) }
+        </th>
+        <td className="text-right">
+          { getLocalization(`${id}Value`, localizationScope) }
+        </td>
+      </tr>
+    );
+  }
+
+  render() {
+    const {
+      products,
+      currency,
+      getLocalization,
+      showHeader,
+      discount,
+      shipping,
+      tax,
+      pricesIncludeTax,
+    } = this.props;
+
+    const { generatePropertyElements } = OrderSummary;
+
+    const lines = createOrderLines(products, currency);
+
+    const subtotal = sumMoney(
+      lines.map(({ total } : OrderLineType) : number => total),
+      currency,
+    );
+
+    const localizationScope = {
+      currency,
+      subtotal,
+      discount,
+      shipping,
+      tax,
+      grandTotal: sumMoney(
+        [
+          subtractMoney(subtotal, discount, currency),
+          pricesIncludeTax ? 0 : tax,
+          shipping,
+        ],
+        currency,
+      ),
+      get localizedCurrency() {
+        return getLocalization(currency, localizationScope);
+      },
+    };
+
+    return (
+      <div>
+        {
+          showHeader
+          ? (
+            <div>
+              { getLocalization('orderSummaryTitle', localizationScope) }
+            </div>
+          )
+          : null
+        }
+        <table className="table">
+          <thead>
+            <tr>
+              <th>{ getLocalization('productColumn', localizationScope) }</th>
+              <th className="text-right">
+                { getLocalization('quantityColumn', localizationScope) }
+              </th>
+              <th className="text-right">
+                { getLocalization('priceColumn', localizationScope) }
+              </th>
+              <th className="text-right">
+                { getLocalization('totalColumn', localizationScope) }
+              </th>
+            </tr>
+          </thead>
+          <tbody>
+            {
+              lines.map((
+                {
+                  key,
+                  name,
+                  quantity,
+                  properties,
+                  price,
+                  total,
+                  note,
+                } : OrderLineType,
+              ) => {
+                const lineLocalizationScope = {
+                  currency,
+                  name,
+                  quantity,
+                  price,
+                  total,
+                  note,
+                  get localizedName() {
+                    return getLocalization(name, lineLocalizationScope);
+                  },
+                  get localizedCurrency() {
+                    return getLocalization(currency, lineLocalizationScope);
+                  },
+                };
+                const {
+                  propertiesToShowInCart = [],
+                } = products[key].productInfo;
+                return (
+                  <tr key={key}>
+                    <td>
+                      {
+                        getLocalization(
+                          'productName', lineLocalizationScope,
+                        )
+                      }
+                      {
+                        generatePropertyElements(
+                          properties || {},
+                          propertiesToShowInCart,
+                          getLocalization,
+                        )
+                      }
+                      {
+                        note
+                        ? (
+                          <small className="d-block">
+                            {
+                              getLocalization(
+                                'lineNote', lineLocalizationScope,
+                              )
+                            }
+                          </small>
+                        )
+                        : null
+                      }
+                    </td>
+                    <td className="text-right">{ quantity }</td>
+                    <td className="text-right">
+                      {
+                        getLocalization(
+                          'priceValue', lineLocalizationScope,
+                        )
+                      }
+                    </td>
+                    <td className="text-right">
+                      {
+                        getLocalization(
+                          'totalValue', lineLocalizationScope,
+                        )
+                      }
+                    </td>
+                  </tr>
+                );
+              })
+            }
+          </tbody>
+          <tfoot>
+            { this.renderTotalRow('subtotal', localizationScope) }
+            {
+              discount > 0
+              ? this.renderTotalRow('discount', localizationScope)
+              : null
+            }
+            {
+              shipping > 0
+              ? this.renderTotalRow('shipping', localizationScope)
+              : null
+            }
+            {
+              tax > 0
+              ? this.renderTotalRow(
+                pricesIncludeTax ? 'includedTax' : 'tax',
+                localizationScope,
+              )
+              : null
+            }
+            { this.renderTotalRow('grandTotal', localizationScope) }
+          </tfoot>
+        </table>
+      </div>
+    );
+  }
+}
@@ -17,8 +17,39 @@ import {
   isNaturalNumber,
   getAbsoluteOffsetTop,
 } from '../../helpers';
+import { getPrice } from '../../exchange';
+import { sumMoney, addMoney, subtractMoney } from '../../money';
+import {
+  getTierPrices,
+  getPriceTier,
+  getNextPriceTier,
+  getVariantPriceTiers,
+} from '../../tiers';
+import { findVariant, isCombinationAvailable } from '../../variants';
 
 const
+  optionPropType = PropTypes.oneOfType(
+    [
+      PropTypes.string,
+      PropTypes.number,
+      PropTypes.shape({
+        additionalCost: PropTypes.objectOf(
+          PropTypes.number,
+        ),
+        onSelect: PropTypes.func,
+        stock: PropTypes.number,
+        colour: PropTypes.string,
+        imagePath: PropTypes.string,
+        gallery: PropTypes.arrayOf(PropTypes.string),
+        value: PropTypes.oneOfType(
+          [
+            PropTypes.string,
+            PropTypes.number,
+          ],
+        ).isRequired,
+      }),
+    ],
+  ),
   /**
    * @static propTypes
    * @memberof Product
@@ -27,11 +58,20 @@ const
    * @prop {string} id - Product's id. Required.
    * @prop {string} path - Path to product. Required.
    * @prop {Object.<string, number>} prices - Prices (currency-value). Required.
-   * @prop {string} imagePath - Path to main image. Required.
+   * @prop {string} imagePath - Path to main image. Options and variants
+   * may have their own imagePath and gallery, image of the last selected
+   * option (or of variant) which has it is shown and added to cart.
+   * Required.
+   * @prop {Array<string>} gallery - Paths to other images. Optional.
+   * @prop {boolean} showImage - Show image of selected options with gallery
+   * above price. Default is false.
    * @prop {string} currency - Price currency. Required.
-   * @prop {Object.<string, Array<(ProductPropertyOptionType)>>}
+   * @prop {Object.<string, ProductPropertyType>}
    * properties - Custom product properties. May be array of number, string or
    * shape({ additionalCost(optional), onSelect(optional), value(required)})
+   * rendered as select, or descriptor
+   * { type: 'select' | 'radio' | 'swatch' | 'checkbox' | 'text', ... }.
+   * See ProductPropertyDescriptorType for details.
    * Default is {}.
    * @prop {Array<string>} propertiesToShowInCart - Array of propery names to
    * display in cart. Default is [].
@@ -50,6 +90,22 @@ const
    * Optional.
    * @prop {ReactNode} descriptionNode - Node to display before price element.
    * Optional.
+   * @prop {string} taxClass - Tax class of product. Optional.
+   * @prop {number} weight - Weight of one item for shipping. Optional.
+   * @prop {number} maxQuantity - Items in stock. Options may also have
+   * their own stock, the least of them limits quantity. Optional.
+   * @prop {PriceTiersType} priceTiers - Prices of one item from certain
+   * quantities, e.g. { USD: [{ minQuantity: 10, price: 8 }] }. Optional.
+   * @prop {Array<VariantType>} variants - Combinations of properties'
+   * values which exist, they may override stock and prices. Options which
+   * make combination with values of preceding properties unavailable are
+   * disabled and selection of following properties is adjusted.
+   * Optional, any combination exists by default.
+   * @prop {boolean} showWishlistButton - Show 'Add to wishlist' button
+   * next to 'Add to cart'. Requires onAddToWishlist. Default is false.
+   * @prop {string} iconAddToWishlistClassName - ClassName for icon
+   * on add to wishlist button.
+   * Default is 'icon-heart'.
    */
   propTypes = {
     name: PropTypes.string.isRequired,
@@ -59,28 +115,22 @@ const
       PropTypes.number,
     ).isRequired,
     imagePath: PropTypes.string.isRequired,
+    gallery: PropTypes.arrayOf(PropTypes.string),
+    showImage: PropTypes.bool,
     currency: PropTypes.string.isRequired,
     properties: PropTypes.objectOf(
-      PropTypes.arrayOf(
-        PropTypes.oneOfType(
-          [
-            PropTypes.string,
-            PropTypes.number,
-            PropTypes.shape({
-              additionalCost: PropTypes.objectOf(
-                PropTypes.number,
-              ),
-              onSelect: PropTypes.func,
-              value: PropTypes.oneOfType(
-                [
-                  PropTypes.string,
-                  PropTypes.number,
-                ],
-              ).isRequired,
-            }),
-          ],
-        ),
-      ),
+      PropTypes.oneOfType([
+        PropTypes.arrayOf(optionPropType),
+        PropTypes.shape({
+          type: PropTypes.oneOf(
+            ['select', 'radio', 'swatch', 'checkbox', 'text'],
+          ).isRequired,
+          options: PropTypes.arrayOf(optionPropType),
+          maxLength: PropTypes.number,
+          placeholder: PropTypes.string,
+          additionalCost: PropTypes.objectOf(PropTypes.number),
+        }),
+      ]),
     ),
     propertiesToShowInCart: PropTypes.arrayOf(
       PropTypes.string,
@@ -89,6 +139,33 @@ const
     iconAddProductClassName: PropTypes.string,
     afterPriceNode: PropTypes.node,
     descriptionNode: PropTypes.node,
+    taxClass: PropTypes.string,
+    weight: PropTypes.number,
+    maxQuantity: PropTypes.number,
+    priceTiers: PropTypes.objectOf(
+      PropTypes.arrayOf(
+        PropTypes.shape({
+          minQuantity: PropTypes.number.isRequired,
+          price: PropTypes.number.isRequired,
+        }),
+      ),
+    ),
+    variants: PropTypes.arrayOf(
+      PropTypes.shape({
+        properties: PropTypes.objectOf(
+          PropTypes.oneOfType([
+            PropTypes.string,
+            PropTypes.number,
+          ]),
+        ).isRequired,
+        stock: PropTypes.number,
+        prices: PropTypes.objectOf(PropTypes.number),
+        imagePath: PropTypes.string,
+        gallery: PropTypes.arrayOf(PropTypes.string),
+      }),
+    ),
+    showWishlistButton: PropTypes.bool,
+    iconAddToWishlistClassName: PropTypes.string,
   },
   /**
   * @static containerPropTypes
@@ -117,17 +194,30 @@ const
   * @prop {generateProductKeyType} generateProductKey - Function which generates
   * product's key based on id and properties. Example:
   * generateProductKey('macbook-case', { colour: 'red' } ).
+  * @prop {ExchangeRatesType} exchangeRates - Rates to convert price if
+  * there is no price in currency. Optional.
+  * @prop {Function} onAddToWishlist - Callback which receives product's key
+  * and product made like for onAddProduct. Optional.
   */
   containerPropTypes = {
     checkoutButton: PropTypes.element.isRequired,
     onAddProduct: PropTypes.func.isRequired,
     getLocalization: PropTypes.func.isRequired,
     generateProductKey: PropTypes.func.isRequired,
+    exchangeRates: PropTypes.shape({
+      base: PropTypes.string.isRequired,
+      rates: PropTypes.objectOf(PropTypes.number).isRequired,
+      rounding: PropTypes.object.isRequired,
+    }),
+    onAddToWishlist: PropTypes.func,
   },
   defaultProps = {
     properties: {},
     propertiesToShowInCart: [],
+    showImage: false,
     iconAddProductClassName: 'icon-cart-plus',
+    showWishlistButton: false,
+    iconAddToWishlistClassName: 'icon-heart',
     scrollAnimationConfig: {
       duration: 750,
       delay: 0,
@@ -144,45 +234,216 @@ export default class Product extends PureComponent {
 
   static createPropertiesInputList = (
     properties: {
-      [propertyName: string]: Array<ProductPropertyOptionType>
+      [propertyName: string]: ProductPropertyType
     },
     propertiesSelectedIndexes,
     currency,
     handlePropertyValueChange,
     getLocalization,
+    exchangeRates,
+    unavailableOptionIndexes = {},
   ) : Array<React$Element<any>> =>
     Object
-      .entries(properties)
-      .map(([name, options]) =>
+      .keys(properties)
+      .map((name : string) =>
         <ProductPropertyInput
+          {...ProductPropertyInput.normalizeProperty(properties[name])}
           key={name}
           name={name}
-          options={options}
-          selectedOptionIndex={propertiesSelectedIndexes[name]}
+          {...(
+            typeof propertiesSelectedIndexes[name] === 'string'
+            ? { text: propertiesSelectedIndexes[name] }
+            : { selectedOptionIndex: propertiesSelectedIndexes[name] }
+          )}
           currency={currency}
+          exchangeRates={exchangeRates}
+          unavailableOptionIndexes={unavailableOptionIndexes[name]}
           onChange={handlePropertyValueChange}
           getLocalization={getLocalization}
         />,
     );
 
+  /*
+   * Values of selected options, empty text properties are omitted
+   */
+  static getPropertyValues = (
+    properties : { [propName : string] : ProductPropertyType },
+    selectedPropertyIndexes : {[propName: string] : number | string},
+  ) : { [propName : string] : number | string } =>
+    Object
+      .keys(properties)
+      .reduce((obj, propName : string) => {
+        const selectedOption = ProductPropertyInput.getSelectedOption(
+          properties[propName], selectedPropertyIndexes[propName],
+        );
+        return selectedOption === null || typeof selectedOption === 'undefined'
+          ? obj
+          : {
+            ...obj,
+            [propName]: ProductPropertyInput.getOptionValue(selectedOption),
+          };
+      }, {});
+
+  /*
+   * Options of every property are checked against values of preceding
+   * properties. Unavailable selected option is replaced with the first
+   * available one.
+   */
+  static resolveVariantSelection = (
+    properties : { [propName : string] : ProductPropertyType },
+    selectedPropertyIndexes : {[propName: string] : number | string},
+    variants? : Array<VariantType>,
+  ) : {
+    selectedPropertyIndexes : {[propName: string] : number | string},
+    unavailableOptionIndexes : {[propName: string] : Array<number>},
+  } => {
+    if (!variants)
+      return { selectedPropertyIndexes, unavailableOptionIndexes: {} };
+
+    const existingVariants = variants;
+    const {
+      selectedPropertyIndexes: resolvedIndexes,
+      unavailableOptionIndexes,
+    } = Object
+      .keys(properties)
+      .reduce((acc, propName : string) => {
+        const {
+          type,
+          options = [],
+        } = ProductPropertyInput.normalizeProperty(properties[propName]);
+        if (type === 'text') return acc;
+
+        const getValues = (index : number) => ({
+          ...acc.values,
+          [propName]: ProductPropertyInput.getOptionValue(options[index]),
+        });
+        const unavailableIndexes = options
+          .map((option, index) => index)
+          .filter((index : number) : boolean =>
+            !isCombinationAvailable(existingVariants, getValues(index)),
+          );
+        const selectedIndex = (+selectedPropertyIndexes[propName])|0;
+        const availableIndex = options.findIndex((option, index) =>
+          !unavailableIndexes.includes(index),
+        );
+        const index =
+          unavailableIndexes.includes(selectedIndex) && availableIndex !== -1
+            ? availableIndex
+            : selectedIndex;
+
+        return {
+          values: getValues(index),
+          selectedPropertyIndexes: {
+            ...acc.selectedPropertyIndexes,
+            [propName]: index,
+          },
+          unavailableOptionIndexes: {
+            ...acc.unavailableOptionIndexes,
+            [propName]: unavailableIndexes,
+          },
+        };
+      }, { values: {}, selectedPropertyIndexes, unavailableOptionIndexes: {} });
+
+    return {
+      selectedPropertyIndexes: resolvedIndexes,
+      unavailableOptionIndexes,
+    };
+  };
+
+  /*
+   * Main image and gallery of selected variant, of the last selected
+   * option which has image or of product
+   */
+  static getSelectedImages = (
+    {
+      imagePath,
+      gallery = [],
+      properties,
+      variants,
+    } : {
+      imagePath : string,
+      gallery? : Array<string>,
+      properties : { [propName : string] : ProductPropertyType },
+      variants? : Array<VariantType>,
+    },
+    selectedPropertyIndexes : {[propName: string] : number | string},
+  ) : Array<string> => {
+    const variant = variants && findVariant(
+      variants, Product.getPropertyValues(properties, selectedPropertyIndexes),
+    );
+    return Object
+      .keys(properties)
+      .map((propName : string) : ?ProductPropertyOptionType =>
+        ProductPropertyInput.getSelectedOption(
+          properties[propName], selectedPropertyIndexes[propName],
+        ),
+      )
+      .concat([variant])
+      .reduce(
+        (images : Array<string>, source : ?ProductPropertyOptionType) =>
+          source && typeof source === 'object' && source.imagePath
+            ? [source.imagePath, ...(source.gallery || [])]
+            : images,
+        [imagePath, ...gallery],
+      );
+  };
+
   static calculateAdditionalCost = (
-    properties : { [propName : string] : ProductPropertyOptionType },
-    selectedPropertyIndexes : {[propName: string] : number},
+    properties : { [propName : string] : ProductPropertyType },
+    selectedPropertyIndexes : {[propName: string] : number | string},
     currency : string,
+    exchangeRates? : ExchangeRatesType,
   ) : number =>
-    Object.entries(properties).reduce(
-      (sum, [propertyName, propertyOptions]) => {
-        const selectedOption
-          = propertyOptions[selectedPropertyIndexes[propertyName]|0];
-        return sum + (
-          typeof selectedOption === 'object'
-          && (
-            selectedOption.additionalCost
-            && selectedOption.additionalCost[currency]
-          ) || 0
+    sumMoney(
+      Object.keys(properties).map(
+        (propertyName : string) => {
+          const selectedOption = ProductPropertyInput.getSelectedOption(
+            properties[propertyName], selectedPropertyIndexes[propertyName],
+          );
+          return (
+            selectedOption
+            && typeof selectedOption === 'object'
+            && selectedOption.additionalCost
+            && getPrice(
+              selectedOption.additionalCost, currency, exchangeRates,
+            ).price || 0
+          );
+        },
+      ),
+      currency,
+    );
+
+  /*
+   * Least of product's maxQuantity, stock of selected variant and
+   * stock of selected options, undefined if stock is unlimited
+   */
+  static calculateMaxQuantity = (
+    maxQuantity : ?number,
+    properties : { [propName : string] : ProductPropertyType },
+    selectedPropertyIndexes : {[propName: string] : number | string},
+    variants? : Array<VariantType>,
+  ) : ?number => {
+    const variant = variants && findVariant(
+      variants, Product.getPropertyValues(properties, selectedPropertyIndexes),
+    );
+    const stocks = [
+      maxQuantity,
+      variant && variant.stock,
+      ...Object.keys(properties).map((propertyName : string) : ?number => {
+        const selectedOption = ProductPropertyInput.getSelectedOption(
+          properties[propertyName], selectedPropertyIndexes[propertyName],
         );
-      }
-    , 0);
+        return selectedOption && typeof selectedOption === 'object'
+          ? selectedOption.stock
+          : void 0;
+      }),
+    ];
+    return stocks.reduce((max : ?number, stock : ?number) : ?number =>
+      typeof stock === 'number' && (typeof max !== 'number' || stock < max)
+        ? stock
+        : max,
+    );
+  };
 
   static generateCartProduct = (
     {
@@ -193,57 +454,109 @@ export default class Product extends PureComponent {
       imagePath,
       path,
       id,
+      taxClass,
+      weight,
+      maxQuantity,
+      priceTiers,
+      variants,
+      exchangeRates,
     } : {
-      properties : { [propName : string] : ProductPropertyOptionType },
+      properties : { [propName : string] : ProductPropertyType },
       propertiesToShowInCart : Array<string>,
       prices : { [currency : string] : number },
       name : string,
       imagePath : string,
       path : string,
       id : string,
+      taxClass? : string,
+      weight? : number,
+      maxQuantity? : number,
+      priceTiers? : PriceTiersType,
+      variants? : Array<VariantType>,
+      exchangeRates? : ExchangeRatesType,
     },
     quantity,
-    selectedPropertyIndexes : {[propName: string] : number},
-  ) : ProductType => ({
-    id,
-    quantity,
-    properties:
+    selectedPropertyIndexes : {[propName: string] : number | string},
+  ) : ProductType => {
+    const availableQuantity = Product.calculateMaxQuantity(
+      maxQuantity, properties, selectedPropertyIndexes, variants,
+    );
+    const propertyValues =
+      Product.getPropertyValues(properties, selectedPropertyIndexes);
+    const variant = variants && findVariant(variants, propertyValues);
+    const variantPriceTiers =
+      getVariantPriceTiers(priceTiers, prices, variant && variant.prices);
+    const [selectedImagePath] = Product.getSelectedImages(
+      { imagePath, properties, variants }, selectedPropertyIndexes,
+    );
+    const addAdditionalCost = (price : number, currency : string) : number =>
+      addMoney(
+        price,
+        Product.calculateAdditionalCost(
+          properties,
+          selectedPropertyIndexes,
+          currency,
+          exchangeRates,
+        ),
+        currency,
+      );
+    const addTiersAdditionalCost = (
+      tiersByCurrency : PriceTiersType,
+    ) : PriceTiersType =>
       Object
-        .entries(properties)
-        .reduce((obj, [propName, options]) =>
-          ({
-            ...obj,
-            [propName]:
-              ProductPropertyInput
-                .getOptionValue(
-                  options[selectedPropertyIndexes[propName]|0],
-                ),
-          })
-        , {}),
-    productInfo: {
-      name,
-      prices:
-        Object
-          .entries(prices)
-          .reduce(
-            (acc, [currency, price]) => ({
-              ...acc,
-              [currency]: price +
-                Product.calculateAdditionalCost(
-                  properties,
-                  selectedPropertyIndexes,
-                  currency,
-                ),
-            }), {},
-          ),
-      path,
-      imagePath,
-      propertiesToShowInCart,
-    },
-  });
+        .keys(tiersByCurrency)
+        .reduce(
+          (acc, currency : string) => ({
+            ...acc,
+            [currency]: tiersByCurrency[currency].map(
+              ({ minQuantity, price } : PriceTierType) => ({
+                minQuantity,
+                price: addAdditionalCost(price, currency),
+              }),
+            ),
+          }), {},
+        );
+    return {
+      id,
+      quantity,
+      properties: propertyValues,
+      productInfo: {
+        name,
+        prices:
+          Object
+            .entries(variant && variant.prices || prices)
+            .reduce(
+              (acc, [currency, price]) => ({
+                ...acc,
+                [currency]: addAdditionalCost(price, currency),
+              }), {},
+            ),
+        path,
+        imagePath: selectedImagePath,
+        propertiesToShowInCart,
+        ...(typeof taxClass === 'undefined' ? {} : { taxClass }),
+        ...(typeof weight === 'undefined' ? {} : { weight }),
+        ...(
+          typeof availableQuantity === 'number'
+          ? { maxQuantity: availableQuantity }
+          : {}
+        ),
+        ...(
+          variantPriceTiers
+          ? { priceTiers: addTiersAdditionalCost(variantPriceTiers) }
+          : {}
+        ),
+      },
+    };
+  };
 
-  state = {
+  state : {
+    quantity : number,
+    selectedPropertyIndexes : {[propName: string] : number | string},
+    galleryImagePath? : string,
+  } = {
     quantity: 1,
+    selectedPropertyIndexes: {},
   };
 
   componentWillUnmount() {
@@ -268,9 +581,15 @@ export default class Product extends PureComponent {
       this.setState({ quantity });
   }
 
+  handleGalleryImageClick = (event : Event & { currentTarget : Object }) =>
+    void this.setState({ galleryImagePath: event.currentTarget.value });
+
   hanglePropertyValueChange = (
-    { value }: { value: { [propName: string]: ProductPropertyOptionType }},
-  ) => void this.setState(value);
+    { value }: { value: { [propName: string]: number | string }},
+  ) =>
+    void this.setState(({ selectedPropertyIndexes }) => ({
+      selectedPropertyIndexes: { ...selectedPropertyIndexes, ...value },
+    }));
 
   addProductFormSubmit = (event : Event) => {
     const { props } = this;
@@ -282,12 +601,40 @@ export default class Product extends PureComponent {
       onAddProduct,
       generateProductKey,
     } = props;
-    const { quantity, ...selectedPropertyIndexes } = this.state;
-    const { generateCartProduct } = Product;
+    const {
+      quantity,
+      selectedPropertyIndexes: stateIndexes,
+    } = this.state;
+    const {
+      generateCartProduct,
+      calculateMaxQuantity,
+      resolveVariantSelection,
+      getPropertyValues,
+    } = Product;
     const { target: { children } } = event;
+    const { selectedPropertyIndexes } = resolveVariantSelection(
+      props.properties, stateIndexes, props.variants,
+    );
+    const availableQuantity = calculateMaxQuantity(
+      props.maxQuantity,
+      props.properties,
+      selectedPropertyIndexes,
+      props.variants,
+    );
     event.preventDefault();
 
-    if (quantity) {
+    if (
+      quantity
+      && (
+        !props.variants
+        || findVariant(
+          props.variants,
+          getPropertyValues(props.properties, selectedPropertyIndexes),
+        )
+      )
+      && (typeof availableQuantity !== 'number'
+        || quantity <= availableQuantity)
+    ) {
       this.clearScrollTimeout();
       this.scrollTimeout = setTimeout(() =>
         void animateScroll.scrollTo(
@@ -310,10 +657,35 @@ export default class Product extends PureComponent {
     }
   }
 
+  handleAddToWishlistClick = () => {
+    const { props } = this;
+    const { id, onAddToWishlist, generateProductKey } = props;
+    const {
+      quantity,
+      selectedPropertyIndexes: stateIndexes,
+    } = this.state;
+    const { selectedPropertyIndexes } = Product.resolveVariantSelection(
+      props.properties, stateIndexes, props.variants,
+    );
+    const product = Product.generateCartProduct(
+      props, quantity || 1, selectedPropertyIndexes,
+    );
+    if (
+      onAddToWishlist
+      && (!props.variants || findVariant(props.variants, product.properties))
+    )
+      onAddToWishlist(
+        generateProductKey(id, product.properties),
+        product,
+      );
+  };
+
   render() {
     const {
       addProductFormSubmit,
+      handleAddToWishlistClick,
       handleQuantityValueChange,
+      handleGalleryImageClick,
       hanglePropertyValueChange,
       state,
       props,
@@ -329,31 +701,134 @@ export default class Product extends PureComponent {
       descriptionNode,
       checkoutButton,
       getLocalization,
+      maxQuantity,
+      exchangeRates,
+      priceTiers,
+      variants,
+      showImage,
+      showWishlistButton,
+      iconAddToWishlistClassName,
+      onAddToWishlist,
     } = props;
 
     const {
       quantity,
-      ...selectedPropertyIndexes
+      galleryImagePath,
+      selectedPropertyIndexes: stateIndexes,
     } = state;
 
     const {
       createPropertiesInputList,
       calculateAdditionalCost,
+      calculateMaxQuantity,
+      resolveVariantSelection,
+      getPropertyValues,
+      getSelectedImages,
     } = Product;
 
+    const {
+      selectedPropertyIndexes,
+      unavailableOptionIndexes,
+    } = resolveVariantSelection(properties, stateIndexes, variants);
+
+    const images = getSelectedImages(props, selectedPropertyIndexes);
+
+    // Image chosen in gallery is forgotten when selection changes
+    const shownImagePath =
+      galleryImagePath && images.includes(galleryImagePath)
+        ? galleryImagePath
+        : images[0];
+
+    const variant = variants && findVariant(
+      variants, getPropertyValues(properties, selectedPropertyIndexes),
+    );
+
+    const isVariantUnavailable = !!variants && !variant;
+
+    const variantPrices = variant && variant.prices || prices;
+
+    const variantPriceTiers =
+      getVariantPriceTiers(priceTiers, prices, variant && variant.prices);
+
+    const availableQuantity = calculateMaxQuantity(
+      maxQuantity, properties, selectedPropertyIndexes, variants,
+    );
+
+    const isOutOfStock = availableQuantity === 0;
+
+    const isQuantityLimited =
+      typeof availableQuantity === 'number' && quantity > availableQuantity;
+
+    const {
+      price: productPrice,
+      isConverted: isPriceEstimated,
+      originalCurrency,
+      originalPrice,
+    } = getPrice(
+      getTierPrices(variantPrices, variantPriceTiers, quantity),
+      currency,
+      exchangeRates,
+    );
+
+    const additionalCost = calculateAdditionalCost(
+      properties,
+      selectedPropertyIndexes,
+      currency,
+      exchangeRates,
+    );
+
+    // Price is undefined if it can't be converted to currency
     const price =
-      prices[currency]
-      + calculateAdditionalCost(
-        properties,
-        selectedPropertyIndexes,
+      typeof productPrice === 'number'
+        ? addMoney(productPrice, additionalCost, currency)
+        : void 0;
+
+    const isPriceAvailable = typeof price === 'number';
+
+    /*
+     * Tiers of currency, or of currency price is converted from
+     */
+    const tiers =
+      variantPriceTiers
+      && variantPriceTiers[
+        isPriceEstimated ? originalCurrency || '' : currency
+      ];
+
+    const priceTier = tiers && getPriceTier(tiers, quantity);
+
+    const nextPriceTier = tiers && getNextPriceTier(tiers, quantity);
+
+    const nextTierPrice = nextPriceTier
+      ? addMoney(
+        getPrice(
+          getTierPrices(
+            variantPrices, variantPriceTiers, nextPriceTier.minQuantity,
+          ),
+          currency,
+          exchangeRates,
+        ).price || 0,
+        additionalCost,
         currency,
-      );
+      )
+      : void 0;
 
     const localizationScope = {
       name,
       quantity,
       price,
       currency,
+      maxQuantity: availableQuantity,
+      isPriceEstimated,
+      originalCurrency,
+      originalPrice,
+      tierMinQuantity: priceTier && priceTier.minQuantity,
+      nextTierMinQuantity: nextPriceTier && nextPriceTier.minQuantity,
+      nextTierPrice,
+      missingQuantity: nextPriceTier && nextPriceTier.minQuantity - quantity,
+      nextTierSaving:
+        typeof price === 'number' && typeof nextTierPrice === 'number'
+          ? subtractMoney(price, nextTierPrice, currency)
+          : void 0,
       get localizedCurrency() {
         return getLocalization(currency, localizationScope);
       },
@@ -364,10 +839,76 @@ export default class Product extends PureComponent {
 
     return (
       <div>
+        {
+          showImage
+          ? (
+            <div className="mb-1">
+              <img className="img-fluid" src={shownImagePath} />
+              {
+                images.length > 1
+                ? (
+                  <div className="btn-group mt-1" role="group">
+                    {
+                      images.map((path : string) => (
+                        <button
+                          key={path}
+                          type="button"
+                          className={
+                            `btn btn-outline-secondary${
+                              path === shownImagePath ? ' active' : ''
+                            }`
+                          }
+                          value={path}
+                          onClick={handleGalleryImageClick}
+                        >
+                          <img className="img-fluid" src={path} />
+                        </button>
+                      ))
+                    }
+                  </div>
+                )
+                : null
+              }
+            </div>
+          )
+          : null
+        }
         { descriptionNode }
         <p>
-          { getLocalization('price', localizationScope) }
+          {
+            getLocalization(
+              isPriceAvailable ? 'price' : 'priceUnavailable',
+              localizationScope,
+            )
+          }
+          {
+            isPriceEstimated
+            ? (
+              <small className="text-muted">
+                { getLocalization('estimatedPrice', localizationScope) }
+              </small>
+            )
+            : null
+          }
         </p>
+        {
+          priceTier
+          ? (
+            <p className="text-success">
+              { getLocalization('priceTier', localizationScope) }
+            </p>
+          )
+          : null
+        }
+        {
+          nextPriceTier
+          ? (
+            <p className="text-muted">
+              { getLocalization('nextPriceTier', localizationScope) }
+            </p>
+          )
+          : null
+        }
         { afterPriceNode }
         <form className="mt-1" onSubmit={addProductFormSubmit}>
           {
@@ -377,6 +918,8 @@ export default class Product extends PureComponent {
               currency,
               hanglePropertyValueChange,
               getLocalization,
+              exchangeRates,
+              unavailableOptionIndexes,
             )
           }
           <div className="form-group row">
@@ -402,17 +945,65 @@ export default class Product extends PureComponent {
                 'offset-xs-0 offset-sm-0 offset-md-2 offset-lg-3 offset-xl-3'
               }
             >
+              {
+                isVariantUnavailable
+                ? (
+                  <div className="alert alert-warning" role="alert">
+                    {
+                      getLocalization('variantUnavailable', localizationScope)
+                    }
+                  </div>
+                )
+                : null
+              }
+              {
+                !isVariantUnavailable && (isOutOfStock || isQuantityLimited)
+                ? (
+                  <div className="alert alert-warning" role="alert">
+                    {
+                      getLocalization(
+                        isOutOfStock ? 'outOfStock' : 'onlyNLeft',
+                        localizationScope,
+                      )
+                    }
+                  </div>
+                )
+                : null
+              }
               <button
                 type="submit"
                 className="btn btn-success btn-block active"
                 role="button"
-                disabled={!quantity}
+                disabled={
+                  !quantity
+                  || !isPriceAvailable
+                  || isVariantUnavailable
+                  || isOutOfStock
+                  || isQuantityLimited
+                }
               >
                 <i className={iconAddProductClassName} />
                 {
                   getLocalization('addToCart', localizationScope)
                 }
               </button>
+              {
+                showWishlistButton && onAddToWishlist
+                ? (
+                  <button
+                    type="button"
+                    className="btn btn-outline-secondary btn-block"
+                    role="button"
+                    onClick={handleAddToWishlistClick}
+                  >
+                    <i className={iconAddToWishlistClassName} />
+                    {
+                      getLocalization('addToWishlist', localizationScope)
+                    }
+                  </button>
+                )
+                : null
+              }
               { checkoutButton }
             </div>
           </div>
@@ -7,39 +7,56 @@
  * @license MIT
  *
  * @description
- * React form for product property(options select only).
+ * React form for product property: options select, radio group, swatches,
+ * checkbox or free text.
  *
  */
 import React, { PureComponent, PropTypes } from 'react';
 
+import { getPrice } from '../../../exchange';
+
 const
+  optionPropType = PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.number,
+    PropTypes.shape({
+      additionalCost: PropTypes.objectOf(
+        PropTypes.number,
+      ),
+      onSelect: PropTypes.func,
+      stock: PropTypes.number,
+      colour: PropTypes.string,
+      imagePath: PropTypes.string,
+      gallery: PropTypes.arrayOf(PropTypes.string),
+      value: PropTypes.oneOfType(
+        [
+          PropTypes.string,
+          PropTypes.number,
+        ],
+      ).isRequired,
+    }),
+  ]),
   propTypes = {
     name: PropTypes.string.isRequired,
-    options: PropTypes.arrayOf(
-      PropTypes.oneOfType([
-        PropTypes.string,
-        PropTypes.number,
-        PropTypes.shape({
-          additionalCost: PropTypes.objectOf(
-            PropTypes.number,
-          ),
-          onSelect: PropTypes.func,
-          value: PropTypes.oneOfType(
-            [
-              PropTypes.string,
-              PropTypes.number,
-            ],
-          ).isRequired,
-        }),
-      ]),
-    ).isRequired,
+    type: PropTypes.oneOf(['select', 'radio', 'swatch', 'checkbox', 'text']),
+    options: PropTypes.arrayOf(optionPropType),
     selectedOptionIndex: PropTypes.number,
+    text: PropTypes.string,
+    maxLength: PropTypes.number,
+    placeholder: PropTypes.string,
+    additionalCost: PropTypes.objectOf(PropTypes.number),
+    unavailableOptionIndexes: PropTypes.arrayOf(PropTypes.number),
     currency: PropTypes.string.isRequired,
+    exchangeRates: PropTypes.object,
     onChange: PropTypes.func.isRequired,
     getLocalization: PropTypes.func.isRequired,
   },
   defaultProps = {
+    type: 'select',
+    options: [],
     selectedOptionIndex: 0,
+    text: '',
+    unavailableOptionIndexes: [],
   };
 
 export default class ProductPropertyInput extends PureComponent {
@@ -57,6 +74,77 @@ export default class ProductPropertyInput extends PureComponent {
       ? ProductPropertyInput.getOptionValue(value.value)
       : value;
 
+  /*
+   * Property may be array of options (select) or descriptor of input.
+   * Checkbox has two options: unchecked and checked,
+   * ['no', 'yes'] by default
+   */
+  static normalizeProperty = (
+    property : ProductPropertyType,
+  ) : ProductPropertyDescriptorType =>
+    Array.isArray(property)
+      ? { type: 'select', options: property }
+      : {
+        ...property,
+        options:
+          property.options
+          || (property.type === 'checkbox' ? ['no', 'yes'] : []),
+      };
+
+  /*
+   * Option selected by index or made of entered text.
+   * Undefined if text is empty
+   */
+  static getSelectedOption = (
+    property : ProductPropertyType,
+    selection : ?(number | string),
+  ) : ?ProductPropertyOptionType => {
+    const {
+      type,
+      options = [],
+      additionalCost,
+    } = ProductPropertyInput.normalizeProperty(property);
+    if (type !== 'text')
+      return options[(+selection)|0];
+    return selection
+      ? { value: `${selection}`, ...(additionalCost ? { additionalCost } : {}) }
+      : void 0;
+  };
+
+  /*
+   * Localized option's label, cost of option is passed as param
+   */
+  static getOptionLabel = (
+    option : ProductPropertyOptionType,
+    getLocalization : getLocalizationType,
+    currency : string,
+    localizationScope : Object = {},
+    exchangeRates? : ExchangeRatesType,
+  ) : number | string | React$Element<any> => {
+    const optionValue = ProductPropertyInput.getOptionValue(option);
+    return typeof optionValue === 'string'
+      ? getLocalization(
+          optionValue,
+        {
+          ...localizationScope,
+          ...(
+            typeof option === 'object'
+            ? {
+              cost: option.additionalCost
+                    && getPrice(
+                      option.additionalCost,
+                      currency,
+                      exchangeRates,
+                    ).price
+                    || 0,
+            }
+            : {}
+          ),
+        },
+      )
+      : optionValue;
+  };
+
   /*
    * Generate select input options based on options values
    */
@@ -65,52 +153,43 @@ export default class ProductPropertyInput extends PureComponent {
     getLocalization : getLocalizationType,
     currency : string,
     localizationScope : Object = {},
+    exchangeRates? : ExchangeRatesType,
+    unavailableOptionIndexes : Array<number> = [],
   ) : Array<React$Element<any>> =>
     options
       .map(ProductPropertyInput.getOptionValue)
       .map(
         (optionValue, index) =>
-          <option key={optionValue} value={optionValue}>
+          <option
+            key={optionValue}
+            value={optionValue}
+            disabled={
+              ProductPropertyInput.isOptionOutOfStock(options[index])
+              || unavailableOptionIndexes.includes(index)
+            }
+          >
             {
-              typeof optionValue === 'string'
-              ? getLocalization(
-                  optionValue,
-                {
-                  ...localizationScope,
-                  ...(
-                    typeof options[index] === 'object'
-                    ? {
-                      cost: options[index].additionalCost
-                            && options[index].additionalCost[currency]
-                            || 0,
-                    }
-                    : {}
-                  ),
-                },
+              ProductPropertyInput.getOptionLabel(
+                options[index],
+                getLocalization,
+                currency,
+                localizationScope,
+                exchangeRates,
               )
-              : optionValue
             }
           </option>,
       );
 
-  handleSelectInputValueChange = (
-    { target: { value: optionValue } } : { target : HTMLInputElement, },
-  ) => {
+  static isOptionOutOfStock = (option : ProductPropertyOptionType) : boolean =>
+    typeof option === 'object' && option.stock === 0;
+
+  selectOption = (selectedOptionIndex : number) => {
     const {
       name,
       options,
       onChange,
     } = this.props;
 
-    const {
-      getOptionValue,
-    } = ProductPropertyInput;
-
-    const selectedOptionIndex =
-      options
-        .map(getOptionValue)
-        .indexOf(optionValue);
-
     const selectedOption = options[selectedOptionIndex];
 
     if (typeof selectedOption.onSelect === 'function')
@@ -121,27 +200,232 @@ export default class ProductPropertyInput extends PureComponent {
     });
   };
 
-  render() {
+  handleSelectInputValueChange = (
+    { target: { value: optionValue } } : SyntheticInputEvent,
+  ) =>
+    void this.selectOption(
+      this.props.options
+        .map(ProductPropertyInput.getOptionValue)
+        .map(String)
+        .indexOf(`${optionValue}`),
+    );
+
+  /*
+   * Radio inputs and swatches have index of option as value
+   */
+  handleOptionIndexChange = (
+    event : Event & { currentTarget : Object },
+  ) => void this.selectOption(+event.currentTarget.value);
+
+  handleCheckboxChange = (event : Event & { target : Object }) =>
+    void this.selectOption(event.target.checked ? 1 : 0);
+
+  handleTextChange = (event : Event & { target : Object }) => {
+    const { name, maxLength, onChange } = this.props;
+    const text = `${event.target.value}`;
+    onChange({
+      value: {
+        [name]:
+          typeof maxLength === 'number' ? text.slice(0, maxLength) : text,
+      },
+    });
+  };
+
+  renderInput(localizationScope : Object) : React$Element<any> {
     const {
       name,
+      type,
       options,
       selectedOptionIndex,
+      text,
+      maxLength,
+      placeholder,
+      unavailableOptionIndexes,
       currency,
+      exchangeRates,
       getLocalization,
     } = this.props;
 
     const {
       handleSelectInputValueChange,
+      handleOptionIndexChange,
+      handleCheckboxChange,
+      handleTextChange,
     } = this;
 
     const {
       generateOptionsSelectionList,
       getOptionValue,
+      getOptionLabel,
+      isOptionOutOfStock,
     } = ProductPropertyInput;
 
+    const getLabel = (option : ProductPropertyOptionType) =>
+      getOptionLabel(
+        option, getLocalization, currency, localizationScope, exchangeRates,
+      );
+
+    const isOptionDisabled = (index : number) : boolean =>
+      isOptionOutOfStock(options[index])
+      || unavailableOptionIndexes.includes(index);
+
+    switch (type) {
+      case 'radio':
+        return (
+          <div>
+            {
+              options.map((option, index) => (
+                <div className="form-check" key={getOptionValue(option)}>
+                  <label className="form-check-label">
+                    <input
+                      type="radio"
+                      className="form-check-input"
+                      name={name}
+                      value={index}
+                      checked={index === selectedOptionIndex}
+                      disabled={isOptionDisabled(index)}
+                      onChange={handleOptionIndexChange}
+                    />
+                    { getLabel(option) }
+                  </label>
+                </div>
+              ))
+            }
+          </div>
+        );
+      case 'swatch':
+        return (
+          <div className="btn-group" role="group">
+            {
+              options.map((option, index) => {
+                const { colour, imagePath } =
+                  typeof option === 'object' ? option : {};
+                const label = getLabel(option);
+                return (
+                  <button
+                    key={getOptionValue(option)}
+                    type="button"
+                    className={
+                      `btn btn-outline-secondary${
+                        index === selectedOptionIndex ? ' active' : ''
+                      }`
+                    }
+                    value={index}
+                    title={typeof label === 'string' ? label : void 0}
+                    aria-pressed={index === selectedOptionIndex}
+                    disabled={isOptionDisabled(index)}
+                    onClick={handleOptionIndexChange}
+                    style={colour ? { backgroundColor: colour } : void 0}
+                  >
+                    {
+                      imagePath
+                      ? <img className="img-fluid" src={imagePath} />
+                      : null
+                    }
+                    { colour || imagePath ? null : label }
+                  </button>
+                );
+              })
+            }
+          </div>
+        );
+      case 'checkbox':
+        return (
+          <div className="form-check">
+            <label className="form-check-label">
+              <input
+                type="checkbox"
+                className="form-check-input"
+                checked={selectedOptionIndex === 1}
+                disabled={isOptionDisabled(1)}
+                onChange={handleCheckboxChange}
+              />
+              { getLabel(options[1]) }
+            </label>
+          </div>
+        );
+      case 'text':
+        return (
+          <div>
+            <input
+              type="text"
+              className="form-control"
+              value={text}
+              onChange={handleTextChange}
+              {...(
+                typeof maxLength === 'number'
+                ? { maxLength }
+                : {}
+              )}
+              {...(
+                placeholder
+                ? {
+                  placeholder: getLocalization(placeholder, localizationScope),
+                }
+                : {}
+              )}
+            />
+            {
+              typeof maxLength === 'number'
+              ? (
+                <small className="form-text text-muted">
+                  {
+                    getLocalization('propertyCharactersLeft', {
+                      ...localizationScope,
+                      charactersLeft: maxLength - text.length,
+                      maxLength,
+                    })
+                  }
+                </small>
+              )
+              : null
+            }
+          </div>
+        );
+      default:
+        return (
+          <select
+            onChange={handleSelectInputValueChange}
+            className="form-control"
+            value={getOptionValue(options[selectedOptionIndex])}
+          >
+            {
+              generateOptionsSelectionList(
+                options,
+                getLocalization,
+                currency,
+                localizationScope,
+                exchangeRates,
+                unavailableOptionIndexes,
+              )
+            }
+          </select>
+        );
+    }
+  }
+
+  render() {
+    const {
+      name,
+      type,
+      additionalCost,
+      currency,
+      exchangeRates,
+      getLocalization,
+    } = this.props;
+
     const localizationScope = {
       name,
       currency,
+      ...(
+        type === 'text'
+        ? {
+          cost: additionalCost
+            && getPrice(additionalCost, currency, exchangeRates).price
+            || 0,
+        }
+        : {}
+      ),
       get localizedCurrency() {
         return getLocalization(currency, localizationScope);
       },
@@ -161,17 +445,7 @@ export default class ProductPropertyInput extends PureComponent {
           }
         </label>
         <div className="col-xs-9 col-sm-9 col-md-9 col-lg-9">
-          <select
-            onChange={handleSelectInputValueChange}
-            className="form-control"
-            value={getOptionValue(options[selectedOptionIndex])}
-          >
-            {
-              generateOptionsSelectionList(
-                options, getLocalization, currency, localizationScope,
-              )
-            }
-          </select>
+          { this.renderInput(localizationScope) }
         </div>
       </div>
     );
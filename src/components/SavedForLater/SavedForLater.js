@@ -0,0 +1,133 @@
+/**
+ * @flow
+ * @module SavedForLater
+ * @extends React.PureComponent
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Component which represents products saved for later.
+ * Products are rendered like in Cart, but they don't affect any total.
+ */
+import React, { PureComponent, PropTypes } from 'react';
+import ReactCSSTransitionGroup from 'react/lib/ReactCSSTransitionGroup';
+
+import Cart from '../Cart/Cart';
+
+const
+  /**
+   * @static propTypes
+   * @memberof SavedForLater
+   *
+   * @prop {boolean} showHeader - Show or hide header 'Saved for later'.
+   * Default is true
+   * @prop {string} iconTrashClassName - ClassName for
+   * trash icon on remove button.
+   * Default is 'icon-trash'
+   * @prop {Object} itemTransition - Item's config
+   * for ReactCSSTransitionGroup. Default is the same as Cart's
+   * cartItemTransition.
+   * @prop {TaxDisplayType} taxDisplay - Show products' prices with tax
+   * ('inclusive') or without it ('exclusive').
+   * By default prices are shown as they are stored.
+   */
+  propTypes = {
+    showHeader: PropTypes.bool,
+    iconTrashClassName: PropTypes.string,
+    itemTransition: PropTypes.object,
+    taxDisplay: PropTypes.oneOf(['inclusive', 'exclusive']),
+  },
+  /**
+   * @static containerPropTypes
+   * @memberof SavedForLater
+   *
+   * @prop {Object.<string, ProductType>} products - Saved products map.
+   * Required.
+   * @prop {string} currency - Current currency. Required.
+   * @prop {Function} onUpdateProduct - Callback which receives product's
+   * key and updated product. Required.
+   * @prop {Function} onRemoveProduct - Callback which receives product's
+   * key. Required.
+   * @prop {Function} onMoveToCart - Callback which receives product's
+   * key and product to move it back to cart. Required.
+   * @prop {getLocalizationType} getLocalization - Required.
+   * @prop {TaxStateType} tax - Tax rates, customer's region and whether
+   * prices include tax.
+   * Default is { rates: {}, region: null, pricesIncludeTax: false }.
+   * @prop {ExchangeRatesType} exchangeRates - Rates to convert prices of
+   * products which have no price in currency. Optional.
+   */
+  containerPropTypes = {
+    products: PropTypes.objectOf(PropTypes.object).isRequired,
+    currency: PropTypes.string.isRequired,
+    onUpdateProduct: PropTypes.func.isRequired,
+    onRemoveProduct: PropTypes.func.isRequired,
+    onMoveToCart: PropTypes.func.isRequired,
+    getLocalization: PropTypes.func.isRequired,
+    tax: PropTypes.shape({
+      rates: PropTypes.object.isRequired,
+      region: PropTypes.string,
+      pricesIncludeTax: PropTypes.bool.isRequired,
+    }),
+    exchangeRates: PropTypes.object,
+  },
+  defaultProps = {
+    showHeader: true,
+    iconTrashClassName: 'icon-trash',
+    itemTransition: Cart.defaultProps.cartItemTransition,
+    tax: Cart.defaultProps.tax,
+  };
+
+export default class SavedForLater extends PureComponent {
+
+  static propTypes = { ...propTypes, ...containerPropTypes };
+  static defaultProps = defaultProps;
+
+  render() {
+    const {
+      showHeader,
+      products,
+      currency,
+      iconTrashClassName,
+      itemTransition,
+      onUpdateProduct,
+      onRemoveProduct,
+      onMoveToCart,
+      getLocalization,
+      tax,
+      taxDisplay,
+      exchangeRates,
+    } = this.props;
+
+    return Object.keys(products).length
+      ? (
+        <div className="row mt-1">
+          <div className="col-12">
+            { showHeader ? getLocalization('savedForLaterTitle') : null }
+            <div className="list-group">
+              <ReactCSSTransitionGroup
+                {...itemTransition}
+              >
+                {
+                  Cart.generateProductElements(products, {
+                    currency,
+                    tax,
+                    taxDisplay,
+                    exchangeRates,
+                    iconTrashClassName,
+                    onUpdateProduct,
+                    onRemoveProduct,
+                    onMoveProduct: onMoveToCart,
+                    moveProductLocalizationId: 'moveToCart',
+                    getLocalization,
+                  })
+                }
+              </ReactCSSTransitionGroup>
+            </div>
+          </div>
+        </div>
+      )
+      : null;
+  }
+}
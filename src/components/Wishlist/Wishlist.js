@@ -0,0 +1,144 @@
+/**
+ * @flow
+ * @module Wishlist
+ * @extends React.PureComponent
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Component which represents wishlist.
+ */
+import React, { PureComponent, PropTypes } from 'react';
+import ReactCSSTransitionGroup from 'react/lib/ReactCSSTransitionGroup';
+
+import Cart from '../Cart/Cart';
+import { DefaultLinkComponent } from '../../helpers';
+
+const
+  /**
+   * @static propTypes
+   * @memberof Wishlist
+   *
+   * @prop {boolean} showHeader - Show or hide header 'Wishlist'.
+   * Default is true
+   * @prop {string} iconTrashClassName - ClassName for
+   * trash icon on remove button.
+   * Default is 'icon-trash'
+   * @prop {string} iconAddProductClassName - ClassName for cart icon
+   * on add to cart button.
+   * Default is 'icon-cart-plus'.
+   * @prop {Object} itemTransition - Item's config
+   * for ReactCSSTransitionGroup.
+   * Default is
+   *   {
+   *     transitionName: {
+   *       enter: 'bounceInLeft',
+   *       leave: 'bounceOutRight',
+   *     },
+   *     transitionEnterTimeout: 500,
+   *     transitionLeaveTimeout: 500,
+   *   }.
+   * @prop {Function} linkComponent - React Component, which represents
+   * a Link. Wrapped <a/> by default.
+   */
+  propTypes = {
+    showHeader: PropTypes.bool,
+    iconTrashClassName: PropTypes.string,
+    iconAddProductClassName: PropTypes.string,
+    itemTransition: PropTypes.object,
+    linkComponent: PropTypes.func,
+  },
+  /**
+   * @static containerPropTypes
+   * @memberof Wishlist
+   *
+   * @prop {Object.<string, ProductType>} products - Wishlist's products map
+   * made by Product.generateCartProduct. Required.
+   * @prop {string} currency - Current currency. Required.
+   * @prop {onAddProductType} onAddProduct - Callback which receives
+   * product's key, product and currency to add product to cart. Required.
+   * @prop {Function} onRemoveProduct - Callback which receives product's
+   * key to remove it from wishlist. Required.
+   * @prop {getLocalizationType} getLocalization - Required.
+   * @prop {ExchangeRatesType} exchangeRates - Rates to convert prices of
+   * products which have no price in currency. Optional.
+   */
+  containerPropTypes = {
+    products: PropTypes.objectOf(PropTypes.object).isRequired,
+    currency: PropTypes.string.isRequired,
+    onAddProduct: PropTypes.func.isRequired,
+    onRemoveProduct: PropTypes.func.isRequired,
+    getLocalization: PropTypes.func.isRequired,
+    exchangeRates: PropTypes.object,
+  },
+  defaultProps = {
+    showHeader: true,
+    iconTrashClassName: 'icon-trash',
+    iconAddProductClassName: 'icon-cart-plus',
+    itemTransition: {
+      transitionName: {
+        enter: 'bounceInLeft',
+        leave: 'bounceOutRight',
+      },
+      transitionEnterTimeout: 500,
+      transitionLeaveTimeout: 500,
+    },
+    linkComponent: DefaultLinkComponent,
+  };
+
+export default class Wishlist extends PureComponent {
+
+  static propTypes = { ...propTypes, ...containerPropTypes };
+  static defaultProps = defaultProps;
+
+  handleAddProduct = (key : string, product : ProductType) =>
+    void this.props.onAddProduct(key, product, this.props.currency);
+
+  render() {
+    const {
+      showHeader,
+      products,
+      currency,
+      iconTrashClassName,
+      iconAddProductClassName,
+      itemTransition,
+      linkComponent,
+      onRemoveProduct,
+      getLocalization,
+      exchangeRates,
+    } = this.props;
+
+    const { handleAddProduct } = this;
+
+    return Object.keys(products).length
+      ? (
+        <div className="row mt-1">
+          <div className="col-12">
+            { showHeader ? getLocalization('wishlistTitle') : null }
+            <div className="list-group">
+              <ReactCSSTransitionGroup
+                {...itemTransition}
+              >
+                {
+                  Cart.generateProductElements(products, {
+                    currency,
+                    tax: Cart.defaultProps.tax,
+                    exchangeRates,
+                    iconTrashClassName,
+                    onRemoveProduct,
+                    onMoveProduct: handleAddProduct,
+                    moveProductLocalizationId: 'addToCart',
+                    iconMoveProductClassName: iconAddProductClassName,
+                    getLocalization,
+                    linkComponent,
+                  })
+                }
+              </ReactCSSTransitionGroup>
+            </div>
+          </div>
+        </div>
+      )
+      : null;
+  }
+}
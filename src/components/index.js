@@ -1,8 +1,16 @@
 export { default as Cart } from './Cart/Cart';
 export { default as CheckoutButton } from './CheckoutButton/CheckoutButton';
+export { default as Checkout } from './Checkout/Checkout';
+export { default as AddressForm } from './AddressForm/AddressForm';
+export { default as OrderSummary } from './OrderSummary/OrderSummary';
 export { default as Product } from './Product/Product';
 export { default as CartProduct } from './Cart/CartProduct/CartProduct';
 export { default as CartProductPropertyDescription } from
   './Cart/CartProduct/ProductPropertyDescription/ProductPropertyDescription';
 export { default as ProductPropertyInput } from
   './Product/ProductPropertyInput/ProductPropertyInput';
+export { default as CouponForm } from './Cart/CouponForm/CouponForm';
+export { default as ShippingSelector } from
+  './Cart/ShippingSelector/ShippingSelector';
+export { default as SavedForLater } from './SavedForLater/SavedForLater';
+export { default as Wishlist } from './Wishlist/Wishlist';
@@ -8,37 +8,6 @@
  * @description
  * Redux container for Cart
  */
-import React from 'react';
-import { connect } from 'react-redux';
-import { updateCart, removeFromCart } from '../actions';
-import { Cart } from '../components';
-import CheckoutButton from '../containers/CheckoutButton';
-import { configure } from '../helpers';
-import { getDefaultLocalization } from '../localization';
-import { isCartEmptySelector } from '../selectors';
+import { Cart } from './index';
 
-const mapStateToProps = (
-  state,
-) : Object => ({
-  products: state.cart.products,
-  isCartEmpty: isCartEmptySelector(state),
-  currency: state.cart.currency,
-});
-
-const mapDispatchToProps = (dispatch : Function) : Object => ({
-  onUpdateProduct: (key : string, updatedProduct : ProductType) =>
-    void dispatch(updateCart(key, updatedProduct)),
-  onRemoveProduct: (key : string) =>
-    void dispatch(removeFromCart(key)),
-});
-
-export default(
-  connect(mapStateToProps, mapDispatchToProps)(
-    configure(Cart,
-      {
-        checkoutButton: <CheckoutButton />,
-        getLocalization: getDefaultLocalization('cart'),
-      },
-    ),
-  )
-);
+export default Cart;
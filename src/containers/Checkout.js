@@ -0,0 +1,13 @@
+/**
+ * @flow
+ * @module CheckoutContainer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Redux container for Checkout
+ */
+import { Checkout } from './index';
+
+export default Checkout;
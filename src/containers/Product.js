@@ -8,34 +8,6 @@
  * @description
  * Redux container for Product
  */
-import React from 'react';
-import { connect } from 'react-redux';
+import { Product } from './index';
 
-import { Product } from '../components';
-import CheckoutButton from '../containers/CheckoutButton';
-import { addToCart } from '../actions';
-import { configure, generateProductKey } from '../helpers';
-import { getDefaultLocalization } from '../localization';
-
-const mapStateToProps = (state : Object) : Object => ({
-  currency: state.cart.currency,
-});
-
-const mapDispatchToProps = (dispatch : Function) : Object => ({
-  onAddProduct: (
-    key : string,
-    product : ProductType,
-    productCurrency : string,
-  ) =>
-    void dispatch(addToCart(key, product, productCurrency)),
-});
-
-export default(
-  connect(mapStateToProps, mapDispatchToProps)(
-    configure(Product, {
-      checkoutButton: <CheckoutButton />,
-      getLocalization: getDefaultLocalization('product'),
-      generateProductKey,
-    }),
-  )
-);
+export default Product;
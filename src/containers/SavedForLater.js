@@ -0,0 +1,13 @@
+/**
+ * @flow
+ * @module SavedForLaterContainer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Redux container for SavedForLater
+ */
+import { SavedForLater } from './index';
+
+export default SavedForLater;
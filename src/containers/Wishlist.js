@@ -0,0 +1,13 @@
+/**
+ * @flow
+ * @module WishlistContainer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Redux container for Wishlist
+ */
+import { Wishlist } from './index';
+
+export default Wishlist;
@@ -0,0 +1,275 @@
+/**
+ * @flow
+ * @namespace containers
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Factory of Redux containers bound to the cart slice of state
+ */
+import React from 'react';
+import { connect } from 'react-redux';
+
+import {
+  Cart as CartComponent,
+  CheckoutButton as CheckoutButtonComponent,
+  Checkout as CheckoutComponent,
+  Product as ProductComponent,
+  SavedForLater as SavedForLaterComponent,
+  Wishlist as WishlistComponent,
+} from '../components';
+import {
+  addToCart,
+  updateCart,
+  setLineNote,
+  removeFromCart,
+  applyCoupon,
+  removeCoupon,
+  setShippingMethod,
+  moveToSavedForLater,
+  moveToCart,
+  updateSavedForLater,
+  removeFromSavedForLater,
+  addToWishlist,
+  removeFromWishlist,
+  emptyCart,
+  setCheckoutStep,
+  setCheckoutContact,
+  completeCheckout,
+  setShippingAddress,
+  setBillingAddress,
+  setBillingSameAsShipping,
+} from '../actions';
+import { configure, generateProductKey } from '../helpers';
+import { getDefaultLocalization } from '../localization';
+import {
+  createCartSelectors,
+  defaultGetCartState,
+  defaultGetWishlistState,
+  defaultGetCheckoutState,
+} from '../selectors';
+
+/**
+ * @memberof containers
+ * @description
+ * Create Cart, Product, CheckoutButton, SavedForLater, Wishlist and Checkout
+ * containers which read cart from getCartState(state), wishlist from
+ * getWishlistState(state) and checkout from getCheckoutState(state).
+ * Default getCartState is state => state.cart,
+ * default getWishlistState is state => state.wishlist,
+ * default getCheckoutState is state => state.checkout.
+ * @example
+ * const { Cart, Product, CheckoutButton } = createCartContainers({
+ *   getCartState: state => state.shop.cart,
+ * });
+ */
+export const createCartContainers = (
+  {
+    getCartState = defaultGetCartState,
+    getWishlistState = defaultGetWishlistState,
+    getCheckoutState = defaultGetCheckoutState,
+  } : {
+    getCartState? : (state : Object) => CartType,
+    getWishlistState? : (state : Object) => ProductsMapType,
+    getCheckoutState? : (state : Object) => CheckoutStateType,
+  } = {},
+) => {
+  const {
+    productsWithGiftsSelector,
+    promotionAdjustmentsSelector,
+    currencySelector,
+    exchangeRatesSelector,
+    discountsSelector,
+    taxStateSelector,
+    taxBreakdownSelector,
+    taxSelector,
+    shippingStateSelector,
+    shippingCostsSelector,
+    shippingSelector,
+    grandTotalSelector,
+    isCartEmptySelector,
+    savedForLaterSelector,
+    addressesStateSelector,
+    orderSelector,
+  } = createCartSelectors(getCartState);
+
+  const CheckoutButton = connect(
+    (state : Object) : Object => ({
+      grandTotal: grandTotalSelector(state),
+      tax: taxSelector(state),
+      taxBreakdown: taxBreakdownSelector(state),
+      shipping: shippingSelector(state),
+      hidden: isCartEmptySelector(state),
+      currency: currencySelector(state),
+    }),
+  )(
+    configure(CheckoutButtonComponent, {
+      getLocalization: getDefaultLocalization('checkoutButton'),
+    }),
+  );
+
+  const Cart = connect(
+    (state : Object) : Object => ({
+      products: productsWithGiftsSelector(state),
+      promotionAdjustments: promotionAdjustmentsSelector(state),
+      isCartEmpty: isCartEmptySelector(state),
+      currency: currencySelector(state),
+      appliedCoupons: discountsSelector(state),
+      tax: taxStateSelector(state),
+      shippingMethods: shippingStateSelector(state).methods,
+      shippingCosts: shippingCostsSelector(state),
+      selectedShippingMethod: shippingStateSelector(state).selectedMethod,
+      exchangeRates: exchangeRatesSelector(state),
+    }),
+    (dispatch : Function) : Object => ({
+      onUpdateProduct: (key : string, updatedProduct : ProductType) =>
+        void dispatch(updateCart(key, updatedProduct)),
+      onRemoveProduct: (key : string) =>
+        void dispatch(removeFromCart(key)),
+      onApplyCoupon: (coupon : CouponType) =>
+        void dispatch(applyCoupon(coupon)),
+      onRemoveCoupon: (code : string) =>
+        void dispatch(removeCoupon(code)),
+      onSelectShippingMethod: (methodId : string) =>
+        void dispatch(setShippingMethod(methodId)),
+      onSaveProductForLater: (key : string, product : ProductType) =>
+        void dispatch(moveToSavedForLater(key, product)),
+      onSetLineNote: (key : string, note : string) =>
+        void dispatch(setLineNote(key, note)),
+    }),
+  )(
+    configure(CartComponent, {
+      checkoutButton: <CheckoutButton />,
+      getLocalization: getDefaultLocalization('cart'),
+    }),
+  );
+
+  const Product = connect(
+    (state : Object) : Object => ({
+      currency: currencySelector(state),
+      exchangeRates: exchangeRatesSelector(state),
+    }),
+    (dispatch : Function) : Object => ({
+      onAddProduct: (
+        key : string,
+        product : ProductType,
+        productCurrency : string,
+      ) =>
+        void dispatch(addToCart(key, product, productCurrency)),
+      onAddToWishlist: (key : string, product : ProductType) =>
+        void dispatch(addToWishlist(key, product)),
+    }),
+  )(
+    configure(ProductComponent, {
+      checkoutButton: <CheckoutButton />,
+      getLocalization: getDefaultLocalization('product'),
+      generateProductKey,
+    }),
+  );
+
+  const SavedForLater = connect(
+    (state : Object) : Object => ({
+      products: savedForLaterSelector(state),
+      currency: currencySelector(state),
+      tax: taxStateSelector(state),
+      exchangeRates: exchangeRatesSelector(state),
+    }),
+    (dispatch : Function) : Object => ({
+      onUpdateProduct: (key : string, updatedProduct : ProductType) =>
+        void dispatch(updateSavedForLater(key, updatedProduct)),
+      onRemoveProduct: (key : string) =>
+        void dispatch(removeFromSavedForLater(key)),
+      onMoveToCart: (key : string, product : ProductType) =>
+        void dispatch(moveToCart(key, product)),
+    }),
+  )(
+    configure(SavedForLaterComponent, {
+      getLocalization: getDefaultLocalization('cart'),
+    }),
+  );
+
+  const Wishlist = connect(
+    (state : Object) : Object => ({
+      products: getWishlistState(state),
+      currency: currencySelector(state),
+      exchangeRates: exchangeRatesSelector(state),
+    }),
+    (dispatch : Function) : Object => ({
+      onAddProduct: (
+        key : string,
+        product : ProductType,
+        productCurrency : string,
+      ) =>
+        void dispatch(addToCart(key, product, productCurrency)),
+      onRemoveProduct: (key : string) =>
+        void dispatch(removeFromWishlist(key)),
+    }),
+  )(
+    configure(WishlistComponent, {
+      getLocalization: getDefaultLocalization('wishlist'),
+    }),
+  );
+
+  /*
+   * Cart is emptied when order is placed
+   */
+  const Checkout = connect(
+    (state : Object) : Object => ({
+      step: getCheckoutState(state).step,
+      contact: getCheckoutState(state).contact,
+      addresses: addressesStateSelector(state),
+      order: orderSelector(state),
+      currency: currencySelector(state),
+      isCartEmpty: isCartEmptySelector(state),
+      shippingMethods: shippingStateSelector(state).methods,
+      shippingCosts: shippingCostsSelector(state),
+      selectedShippingMethod: shippingStateSelector(state).selectedMethod,
+    }),
+    (dispatch : Function) : Object => ({
+      onSetStep: (step : CheckoutStepType) =>
+        void dispatch(setCheckoutStep(step)),
+      onSetContact: (contact : $Shape<CheckoutContactType>) =>
+        void dispatch(setCheckoutContact(contact)),
+      onSetShippingAddress: (address : $Shape<AddressType>) =>
+        void dispatch(setShippingAddress(address)),
+      onSetBillingAddress: (address : $Shape<AddressType>) =>
+        void dispatch(setBillingAddress(address)),
+      onSetBillingSameAsShipping: (billingSameAsShipping : boolean) =>
+        void dispatch(setBillingSameAsShipping(billingSameAsShipping)),
+      onSelectShippingMethod: (methodId : string) =>
+        void dispatch(setShippingMethod(methodId)),
+      onCompleteCheckout: (order : OrderType) => {
+        dispatch(completeCheckout(order));
+        dispatch(emptyCart());
+      },
+    }),
+  )(
+    configure(CheckoutComponent, {
+      getLocalization: getDefaultLocalization('checkout'),
+    }),
+  );
+
+  return {
+    Cart,
+    Product,
+    CheckoutButton,
+    SavedForLater,
+    Wishlist,
+    Checkout,
+  };
+};
+
+/**
+ * @memberof containers
+ * @description
+ * Containers bound to state.cart, state.wishlist and state.checkout
+ */
+export const {
+  Cart,
+  Product,
+  CheckoutButton,
+  SavedForLater,
+  Wishlist,
+  Checkout,
+} = createCartContainers();
@@ -0,0 +1,163 @@
+/**
+ * @flow
+ * @namespace discounts
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Coupon rules and discount calculation
+ */
+import { addMoney, multiplyMoney, sumMoney } from '../money';
+
+/**
+ * @memberof discounts
+ * @description
+ * Coupon codes are compared case-insensitively
+ */
+export const normalizeCouponCode = (code : string) : string =>
+  `${code}`.trim().toUpperCase();
+
+/**
+ * @memberof discounts
+ * @private
+ */
+const getLines = (products : ProductsMapType) : Array<ProductType> =>
+  Object.keys(products).map((key : string) : ProductType => products[key]);
+
+/**
+ * @memberof discounts
+ * @private
+ */
+const calculateLinesCost = (
+  products : Array<ProductType>,
+  currency : string,
+) : number =>
+  sumMoney(
+    products.map(
+      (
+        { quantity, productInfo: { prices: { [currency]: price } } },
+      ) : number => multiplyMoney(price, quantity, currency),
+    ),
+    currency,
+  );
+
+/**
+ * @memberof discounts
+ * @description
+ * Calculate subtotal of the whole cart
+ */
+export const calculateSubtotal = (
+  products : ProductsMapType,
+  currency : string,
+) : number =>
+  calculateLinesCost(getLines(products), currency);
+
+/**
+ * @memberof discounts
+ * @description
+ * Check whether minimum spend of coupon is reached.
+ * Coupon without minimum spend entry for the currency
+ * can't be used with this currency.
+ */
+export const isMinimumSpendReached = (
+  { minimumSpend } : CouponType,
+  subtotal : number,
+  currency : string,
+) : boolean =>
+  !minimumSpend || (
+    typeof minimumSpend[currency] === 'number'
+    && subtotal >= minimumSpend[currency]
+  );
+
+/**
+ * @memberof discounts
+ * @description
+ * Calculate discount of one coupon. Percentage and fixed amount are
+ * summed and the result never exceeds cost of eligible products.
+ * If coupon has productIds, only products with these ids are eligible.
+ */
+export const calculateCouponDiscount = (
+  coupon : CouponType,
+  products : ProductsMapType,
+  currency : string,
+) : number => {
+  const { percentage = 0, amounts = {}, productIds } = coupon;
+
+  if (!isMinimumSpendReached(
+    coupon, calculateSubtotal(products, currency), currency,
+  )) return 0;
+
+  const eligibleCost = calculateLinesCost(
+    getLines(products)
+      .filter(({ id } : ProductType) : boolean =>
+        !productIds || productIds.includes(id),
+      ),
+    currency,
+  );
+
+  return Math.min(
+    addMoney(
+      multiplyMoney(eligibleCost, percentage / 100, currency),
+      amounts[currency] || 0,
+      currency,
+    ),
+    eligibleCost,
+  );
+};
+
+/**
+ * @memberof discounts
+ * @description
+ * Calculate discount of all applied coupons.
+ * Discount never exceeds subtotal.
+ */
+export const calculateDiscount = (
+  coupons : CouponsMapType,
+  products : ProductsMapType,
+  currency : string,
+) : number =>
+  Math.min(
+    sumMoney(
+      Object
+        .keys(coupons)
+        .map((code : string) : number =>
+          calculateCouponDiscount(coupons[code], products, currency),
+        ),
+      currency,
+    ),
+    calculateSubtotal(products, currency),
+  );
+
+/**
+ * @memberof discounts
+ * @description
+ * Find coupon by code and check if it may be applied to the cart.
+ * Returns { coupon } or { error } where error is a localization id:
+ * couponNotFound, couponAlreadyApplied, couponMinimumSpendNotReached or
+ * couponNotApplicable.
+ */
+export const validateCoupon = (
+  code : string,
+  availableCoupons : Array<CouponType>,
+  appliedCoupons : CouponsMapType,
+  products : ProductsMapType,
+  currency : string,
+) : { coupon? : CouponType, error? : string } => {
+  const normalizedCode = normalizeCouponCode(code);
+  const coupon = availableCoupons.find(
+    ({ code: couponCode } : CouponType) : boolean =>
+      normalizeCouponCode(couponCode) === normalizedCode,
+  );
+
+  if (!coupon)
+    return { error: 'couponNotFound' };
+  if (appliedCoupons[normalizedCode])
+    return { coupon, error: 'couponAlreadyApplied' };
+  if (!isMinimumSpendReached(
+    coupon, calculateSubtotal(products, currency), currency,
+  )) return { coupon, error: 'couponMinimumSpendNotReached' };
+  if (!calculateCouponDiscount(coupon, products, currency))
+    return { coupon, error: 'couponNotApplicable' };
+  return { coupon };
+};
@@ -0,0 +1,176 @@
+/**
+ * @flow
+ * @namespace exchange
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Conversion of prices to currencies they aren't defined in
+ */
+
+import { getCurrencyExponent, shiftDecimalPoint } from '../money';
+
+/**
+ * @memberof exchange
+ * @description
+ * Exchange rates which convert nothing.
+ * Converted prices are rounded to minor units of their currency
+ * unless rounding.decimals is set
+ */
+export const defaultExchangeRates = {
+  base: 'USD',
+  rates: {},
+  rounding: {
+    mode: 'round',
+  },
+};
+
+/**
+ * @memberof exchange
+ * @description
+ * Round amount to decimals (minor units of currency by default)
+ * using Math[mode], mode is round, ceil or floor
+ */
+export const roundAmount = (
+  amount : number,
+  { decimals, mode } : ExchangeRoundingType,
+  currency? : string,
+) : number => {
+  const digits =
+    typeof decimals === 'number'
+      ? decimals
+      : getCurrencyExponent(currency || '');
+  return shiftDecimalPoint(
+    Math[mode](shiftDecimalPoint(amount, digits)),
+    -digits,
+  );
+};
+
+/**
+ * @memberof exchange
+ * @private
+ * How many units of currency one unit of base currency costs
+ */
+const getRate = (
+  { base, rates } : ExchangeRatesType,
+  currency : string,
+) : ?number =>
+  typeof rates[currency] === 'number'
+    ? rates[currency]
+    : currency === base ? 1 : void 0;
+
+/**
+ * @memberof exchange
+ * @description
+ * Get price in currency. If prices have no such currency, price is
+ * converted from base currency or any other currency which has a rate.
+ * Converted price is rounded and marked with isConverted.
+ * Price is undefined if it can't be converted.
+ * @example
+ * getPrice(
+ *   { USD: 10 },
+ *   'JPY',
+ *   { base: 'USD', rates: { JPY: 110.5 }, rounding: { decimals: 0, mode: 'ceil' } },
+ * );
+ * // { price: 1105, isConverted: true, originalCurrency: 'USD', originalPrice: 10 }
+ */
+export const getPrice = (
+  prices : PricesType = {},
+  currency : string,
+  exchangeRates : ExchangeRatesType = defaultExchangeRates,
+) : ConvertedPriceType => {
+  if (typeof prices[currency] === 'number')
+    return { price: prices[currency], isConverted: false };
+
+  const targetRate = getRate(exchangeRates, currency);
+  const originalCurrency =
+    typeof targetRate === 'number'
+      ? [exchangeRates.base, ...Object.keys(prices)].find(
+        (priceCurrency : string) : boolean =>
+          typeof prices[priceCurrency] === 'number'
+          && typeof getRate(exchangeRates, priceCurrency) === 'number',
+      )
+      : void 0;
+
+  if (!originalCurrency || typeof targetRate !== 'number')
+    return { price: void 0, isConverted: false };
+
+  const originalPrice = prices[originalCurrency];
+  return {
+    price: roundAmount(
+      originalPrice
+      / (getRate(exchangeRates, originalCurrency) || 1)
+      * targetRate,
+      exchangeRates.rounding,
+      currency,
+    ),
+    isConverted: true,
+    originalCurrency,
+    originalPrice,
+  };
+};
+
+/**
+ * @memberof exchange
+ * @description
+ * Fill price in currency for every product which hasn't it.
+ * Returns the same object if nothing was converted.
+ */
+export const convertProducts = (
+  products : ProductsMapType,
+  currency : string,
+  exchangeRates : ExchangeRatesType = defaultExchangeRates,
+) : ProductsMapType =>
+  Object.keys(products).every(
+    (key : string) : boolean =>
+      typeof products[key].productInfo.prices[currency] === 'number',
+  )
+    ? products
+    : Object
+      .keys(products)
+      .reduce(
+        (acc : ProductsMapType, key : string) => {
+          const product = products[key];
+          const { prices } = product.productInfo;
+          const { price } = getPrice(prices, currency, exchangeRates);
+          return {
+            ...acc,
+            [key]: typeof price === 'number' && prices[currency] !== price
+              ? {
+                ...product,
+                productInfo: {
+                  ...product.productInfo,
+                  prices: { ...prices, [currency]: price },
+                },
+              }
+              : product,
+          };
+        },
+        {},
+      );
+
+/**
+ * @memberof exchange
+ * @description
+ * Products which have price in currency, e.g. converted products without
+ * lines which have neither price nor exchange rate.
+ * Returns the same object if every product has price.
+ */
+export const filterPricedProducts = (
+  products : ProductsMapType,
+  currency : string,
+) : ProductsMapType => {
+  const hasPrice = (key : string) : boolean =>
+    typeof products[key].productInfo.prices[currency] === 'number';
+  return Object.keys(products).every(hasPrice)
+    ? products
+    : Object
+      .keys(products)
+      .filter(hasPrice)
+      .reduce(
+        (acc : ProductsMapType, key : string) : ProductsMapType =>
+          ({ ...acc, [key]: products[key] }),
+        {},
+      );
+};
@@ -60,7 +60,32 @@ export const getAbsoluteOffsetTop = (
 
 /**
  * @memberof helpers
- * key in format id/_property1-valueOfProperty1 etc
+ * @private
+ * Replace chars matched by pattern with %XX escapes
+ */
+const escapeKeyPart = (part : string | number, pattern : RegExp) : string =>
+  `${part}`.replace(
+    pattern,
+    (char : string) : string =>
+      `%${char.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+
+/**
+ * @memberof helpers
+ * @private
+ */
+const unescapeKeyPart = (part : string) : string =>
+  decodeURIComponent(part);
+
+/**
+ * @memberof helpers
+ * key in format id/_property1-stringValue_property2=numberValue etc.
+ * Properties are sorted by name, so their order doesn't matter.
+ * Delimiters in id, names and values are escaped, key may be parsed back
+ * with parseProductKey.
+ * @example
+ * generateProductKey('macbook-case', { size: 13, colour: 'dark_red' });
+ * // 'macbook-case/_colour-dark%5Fred_size=13'
  */
 export const generateProductKey = (
   id : string,
@@ -69,10 +94,107 @@ export const generateProductKey = (
   },
 ) : string =>
   Object
-    .entries(properties)
-    .reduce((acc : string, [propName, propValue]) =>
-      `${acc}_${propName}-${propValue}`
-    , `${id}/`);
+    .keys(properties)
+    .sort()
+    .reduce((acc : string, propName : string) => {
+      const propValue = properties[propName];
+      return `${acc}_${escapeKeyPart(propName, /[%_\-=]/g)}${
+        typeof propValue === 'number' ? '=' : '-'
+      }${escapeKeyPart(propValue, /[%_]/g)}`;
+    }, `${escapeKeyPart(id, /[%/]/g)}/`);
+
+/**
+ * @memberof helpers
+ * Get id and properties back from key made by generateProductKey.
+ * Throws if key is malformed.
+ * @example
+ * parseProductKey('macbook-case/_colour-dark%5Fred_size=13');
+ * // { id: 'macbook-case', properties: { colour: 'dark_red', size: 13 } }
+ */
+export const parseProductKey = (
+  key : string,
+) : {
+  id : string,
+  properties : { [propertyName : string] : string | number },
+} => {
+  const separatorIndex = key.indexOf('/');
+  if (separatorIndex === -1)
+    throw new Error(`Malformed product key: ${key}`);
+
+  return {
+    id: unescapeKeyPart(key.slice(0, separatorIndex)),
+    properties: key
+      .slice(separatorIndex + 1)
+      .split('_')
+      .filter(Boolean)
+      .reduce((acc, pair : string) => {
+        const match = /^([^-=]+)([-=])(.*)$/.exec(pair);
+        if (!match)
+          throw new Error(`Malformed product key: ${key}`);
+
+        const [, propName, separator, propValue] = match;
+        return {
+          ...acc,
+          [unescapeKeyPart(propName)]:
+            separator === '='
+              ? +propValue
+              : unescapeKeyPart(propValue),
+        };
+      }, {}),
+  };
+};
+
+/**
+ * @memberof helpers
+ * Whether prices have the same currencies and amounts
+ */
+export const arePricesEqual = (
+  prices : { [currency : string] : number },
+  otherPrices : { [currency : string] : number },
+) : boolean =>
+  Object.keys(prices).length === Object.keys(otherPrices).length
+  && Object.keys(prices).every(
+    (currency : string) : boolean => prices[currency] === otherPrices[currency],
+  );
+
+/**
+ * @memberof helpers
+ * Keep note of line unless product sets its own
+ */
+export const keepNote = (
+  { note } : $Shape<ProductType> = {},
+  product : ProductType,
+) : ProductType =>
+  typeof note === 'string' && !('note' in product)
+    ? { ...product, note }
+    : product;
+
+/**
+ * @memberof helpers
+ * Line can be in cart unless its product is sold out
+ */
+export const isInStock = (
+  { productInfo: { maxQuantity } } : ProductType,
+) : boolean =>
+  typeof maxQuantity !== 'number' || maxQuantity > 0;
+
+/**
+ * @memberof helpers
+ * Clamp quantity of line to productInfo.maxQuantity and record
+ * stockWarning if quantity was reduced
+ */
+export const limitQuantity = (
+  { stockWarning: _, ...product } : ProductType,
+) : ProductType => {
+  const { quantity, productInfo: { maxQuantity } } = product;
+  return typeof maxQuantity === 'number' && quantity > maxQuantity
+    ? {
+      ...product,
+      quantity: Math.max(maxQuantity, 0),
+      stockWarning: { requestedQuantity: quantity, maxQuantity },
+    }
+    : product;
+};
 
 /**
  * @memberof helpers
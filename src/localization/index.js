@@ -12,6 +12,43 @@
 import React from 'react';
 import IntlMessageFormat from 'intl-messageformat';
 
+/**
+ * @memberof localization
+ * @private
+ * Shared by addressForm and checkout, which renders AddressForm
+ */
+const enAddressFormLocalization = {
+  nameLabel: 'Full name:',
+  line1Label: 'Address:',
+  line2Label: 'Address line 2 (optional):',
+  cityLabel: 'City:',
+  townLabel: 'Town:',
+  suburbLabel: 'Suburb:',
+  regionLabel: 'Region (optional):',
+  stateLabel: 'State:',
+  provinceLabel: 'Province:',
+  countyLabel: 'County:',
+  prefectureLabel: 'Prefecture:',
+  postcodeLabel: 'Postcode:',
+  zipCodeLabel: 'ZIP code:',
+  eircodeLabel: 'Eircode (optional):',
+  countryLabel: 'Country:',
+  chooseCountry: 'Choose country',
+  requiredField: 'This field is required',
+  invalidPostcode: 'Enter a valid postcode',
+  unsupportedCountry: "We don't deliver to this country",
+  countryAU: 'Australia',
+  countryCA: 'Canada',
+  countryDE: 'Germany',
+  countryFR: 'France',
+  countryGB: 'United Kingdom',
+  countryIE: 'Ireland',
+  countryJP: 'Japan',
+  countryNL: 'Netherlands',
+  countryRU: 'Russia',
+  countryUS: 'United States',
+};
+
 /**
  * @memberof localization
  */
@@ -28,33 +65,261 @@ export const defaultLocalization = {
       },
       quantityLabel: 'Quantity:',
       priceLabel: 'Price:',
-      priceValue: '{localizedCurrency}{price}',
+      priceValue: '{formattedPrice}',
+      priceUnavailable: 'Unavailable',
+      estimatedPrice: ' (estimated)',
       totalLabel: 'Total:',
-      totalValue: '{localizedCurrency}{total, plural, ' +
-                  '=0 {0}' +
-                  'other {#}}',
+      totalValue: '{formattedTotal}',
       remove: 'Remove',
+      outOfStock: 'Out of stock',
+      onlyNLeft: 'Only {maxQuantity} left',
+      priceChanged:
+        'Price changed from {formattedPreviousPrice} to {formattedPrice}',
+      discontinued: 'This product is no longer available',
       productPropertyLabel: '{localizedName}:',
       productPropertyValue: '{localizedValue}',
+      couponLabel: 'Coupon code:',
+      applyCoupon: 'Apply',
+      couponApplied: 'Coupon {code} applied',
+      couponNotFound: 'Coupon {code} not found',
+      couponAlreadyApplied: 'Coupon {code} is already applied',
+      couponMinimumSpendNotReached:
+        'Spend at least {formattedMinimumSpend} ' +
+        'to use coupon {code}',
+      couponNotApplicable:
+        'Coupon {code} cannot be applied to products in your cart',
+      appliedCoupon: '{code}: -{formattedDiscount}',
+      removeCoupon: 'Remove',
+      shippingMethodLabel: 'Shipping:',
+      shippingMethod: '{localizedName} ({formattedCost})',
+      freeShippingMethod: '{localizedName} (free)',
+      saveForLater: 'Save for later',
+      savedForLaterTitle: {
+        text: 'Saved for later',
+        component: 'h4',
+      },
+      moveToCart: 'Move to cart',
+      yes: 'Yes',
+      no: 'No',
+      buyXGetYPromotion:
+        '{percentage, select, 100 {Buy {buy} get {get} free} ' +
+        'other {Buy {buy} get {get} {percentage}% off}}: ' +
+        '-{formattedDiscount}',
+      spendGetGiftPromotion:
+        'Free gift for spending {formattedMinimumSpend}',
+      percentageOffCheapestPromotion:
+        '{percentage}% off the cheapest item: -{formattedDiscount}',
+      noteLabel: 'Note:',
+      addNote: 'Add a note',
+      editNote: 'Edit note',
+      saveNote: 'Save',
+      cancelNote: 'Cancel',
+      noteCharactersLeft: '{charactersLeft, number} characters left',
     },
     checkoutButton: {
-      checkoutTotal:
-        'Checkout (Grand total {localizedCurrency}{total, plural, ' +
-        '=0 {0}' +
-        'other {#}})',
+      checkoutTotal: 'Checkout (Grand total {formattedTotal})',
+    },
+    checkout: {
+      checkoutTitle: {
+        text: 'Checkout',
+        component: 'h4',
+      },
+      contactStep: '{stepNumber}. Contact',
+      shippingAddressStep: '{stepNumber}. Shipping address',
+      shippingMethodStep: '{stepNumber}. Shipping method',
+      reviewStep: '{stepNumber}. Review',
+      ...enAddressFormLocalization,
+      emailLabel: 'Email:',
+      phoneLabel: 'Phone (optional):',
+      billingSameAsShipping: 'Billing address is the same as shipping',
+      shippingAddressTitle: 'Shipping address',
+      billingAddressTitle: 'Billing address',
+      invalidEmail: 'Enter a valid email',
+      invalidPhone: 'Enter a valid phone number',
+      shippingMethodRequired: 'Choose a shipping method',
+      noShippingMethods: 'No shipping is needed',
+      shippingMethodLabel: 'Shipping:',
+      shippingMethod: '{localizedName} ({formattedCost})',
+      freeShippingMethod: '{localizedName} (free)',
+      reviewLine: '{localizedName} × {quantity}: {formattedTotal}',
+      reviewLineNote: 'Note: {note}',
+      reviewSubtotal: 'Subtotal: {formattedSubtotal}',
+      reviewDiscount: 'Discount: -{formattedDiscount}',
+      reviewShipping: 'Shipping: {formattedShipping}',
+      reviewTax: 'Tax: {formattedTax}',
+      reviewGrandTotal: 'Total: {formattedGrandTotal}',
+      reviewContact: '{email}',
+      previousStep: 'Back',
+      nextStep: 'Continue',
+      placeOrder: 'Place order',
+      placingOrder: 'Placing order…',
+      placeOrderFailed: 'Order could not be placed, please try again',
+      orderPlaced: 'Thank you! Your order has been placed',
+      emptyCart: 'Your cart is empty',
+    },
+    addressForm: enAddressFormLocalization,
+    orderSummary: {
+      orderSummaryTitle: {
+        text: 'Order summary',
+        component: 'h4',
+      },
+      productColumn: 'Product',
+      quantityColumn: 'Quantity',
+      priceColumn: 'Price',
+      totalColumn: 'Total',
+      productName: '{localizedName}',
+      productProperty: '{localizedName}: {localizedValue}',
+      lineNote: 'Note: {note}',
+      priceValue: '{formattedPrice}',
+      totalValue: '{formattedTotal}',
+      subtotalLabel: 'Subtotal',
+      subtotalValue: '{formattedSubtotal}',
+      discountLabel: 'Discount',
+      discountValue: '-{formattedDiscount}',
+      shippingLabel: 'Shipping',
+      shippingValue: '{formattedShipping}',
+      taxLabel: 'Tax',
+      taxValue: '{formattedTax}',
+      includedTaxLabel: 'Including tax',
+      includedTaxValue: '{formattedTax}',
+      grandTotalLabel: 'Total',
+      grandTotalValue: '{formattedGrandTotal}',
     },
     product: {
       price: {
-        text: 'Price: {localizedCurrency}{price}',
+        text: 'Price: {formattedPrice}',
+        component: 'strong',
+      },
+      priceUnavailable: {
+        text: 'Price: Unavailable',
         component: 'strong',
       },
       quantityLabel: 'Quantity:',
       propertyLabel: '{localizedName}:',
       addToCart: 'Add to cart',
+      outOfStock: 'Out of stock',
+      onlyNLeft: 'Only {maxQuantity} left',
+      estimatedPrice: ' (estimated)',
+      addToWishlist: 'Add to wishlist',
+      propertyCharactersLeft: '{charactersLeft, number} characters left',
+      variantUnavailable: 'This combination is unavailable',
+      yes: 'Yes',
+      no: 'No',
+      priceTier: 'Volume price for {tierMinQuantity}+ items',
+      nextPriceTier:
+        'Add {missingQuantity} more to pay {formattedNextTierPrice} each',
+    },
+    wishlist: {
+      wishlistTitle: {
+        text: 'Wishlist',
+        component: 'h4',
+      },
+      productName: {
+        text: '{localizedName}',
+        component: 'h5',
+      },
+      quantityLabel: 'Quantity:',
+      priceLabel: 'Price:',
+      priceValue: '{formattedPrice}',
+      priceUnavailable: 'Unavailable',
+      estimatedPrice: ' (estimated)',
+      totalLabel: 'Total:',
+      totalValue: '{formattedTotal}',
+      outOfStock: 'Out of stock',
+      productPropertyLabel: '{localizedName}:',
+      productPropertyValue: '{localizedValue}',
+      addToCart: 'Add to cart',
+      remove: 'Remove',
+      yes: 'Yes',
+      no: 'No',
     },
   },
 };
 
+/**
+ * @memberof localization
+ * @description
+ * Money params of localization scopes and params with their currencies
+ */
+export const priceParams = {
+  price: 'currency',
+  total: 'currency',
+  tax: 'currency',
+  priceIncludingTax: 'currency',
+  priceExcludingTax: 'currency',
+  totalIncludingTax: 'currency',
+  totalExcludingTax: 'currency',
+  shipping: 'currency',
+  cost: 'currency',
+  discount: 'currency',
+  minimumSpend: 'currency',
+  originalPrice: 'originalCurrency',
+  previousPrice: 'currency',
+  nextTierPrice: 'currency',
+  nextTierSaving: 'currency',
+  subtotal: 'currency',
+  grandTotal: 'currency',
+};
+
+/**
+ * @memberof localization
+ * @description
+ * Format amount of currency using Intl.NumberFormat for language
+ * @example
+ * formatPrice(1234.5, 'EUR', 'fr'); // '1 234,50 €'
+ */
+export const formatPrice = (
+  amount : number,
+  currency : string,
+  language : string,
+) : string =>
+  new Intl.NumberFormat(
+    language, { style: 'currency', currency },
+  ).format(amount);
+
+/**
+ * @memberof localization
+ * @description
+ * Add formatted version of every money param to params,
+ * i.e. formattedPrice for price, formattedTotal for total.
+ * Formatted params are getters, so they are calculated only if used.
+ * Use it if you write your own getLocalization function
+ */
+export const addFormattedPrices = (
+  params : Object,
+  language : string,
+) : Object =>
+  Object.defineProperties(
+    {},
+    Object
+      .entries(priceParams)
+      .reduce(
+        (acc, [param, currencyParam]) => (
+          Object.prototype.hasOwnProperty.call(params, param)
+          ? {
+            ...acc,
+            [`formatted${param[0].toUpperCase()}${param.slice(1)}`]: {
+              get: () : string =>
+                typeof params[param] === 'number'
+                && typeof params[currencyParam] === 'string'
+                  ? formatPrice(
+                    params[param], params[currencyParam], language,
+                  )
+                  : '',
+              enumerable: true,
+            },
+          }
+          : acc
+        ),
+        Object
+          .keys(params)
+          .reduce((acc, key : string) => ({
+            ...acc,
+            [key]: Object.getOwnPropertyDescriptor(params, key),
+          }), {}),
+      ),
+  );
+
 /**
  * @memberof localization
  */
@@ -83,12 +348,13 @@ export const getLocalization = (
         localizationPattern.props || {},
         new IntlMessageFormat(
           localizationPattern.text, language,
-        ).format(params),
+        ).format(addFormattedPrices(params, language)),
       )
   );
   else if (typeof localizationPattern === 'string')
     return (
-      new IntlMessageFormat(localizationPattern, language).format(params)
+      new IntlMessageFormat(localizationPattern, language)
+        .format(addFormattedPrices(params, language))
     );
   else throw new Error(
     `Localization pattern error for ${id}, language: ${language}`,
@@ -0,0 +1,107 @@
+/**
+ * @flow
+ * @namespace merge
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Merge of two carts' products, e.g. guest's cart with the cart
+ * saved in customer's account
+ */
+import { arePricesEqual, keepNote } from '../helpers';
+
+/**
+ * @memberof merge
+ * @description
+ * Quantity of line which is in both carts:
+ * 'sum' - sum of quantities,
+ * 'max' - the greatest of quantities,
+ * 'incoming' - quantity and product info of incoming line, note of
+ * local line is kept unless incoming line has one,
+ * 'local' - quantity and product info of local line.
+ * Local product info is kept by 'sum' and 'max'.
+ */
+export const mergeStrategies = ['sum', 'max', 'incoming', 'local'];
+
+/**
+ * @memberof merge
+ * @private
+ */
+const mergeQuantities = (
+  localQuantity : number,
+  incomingQuantity : number,
+  strategy : MergeStrategyType,
+) : number => {
+  switch (strategy) {
+    case 'max':
+      return Math.max(localQuantity, incomingQuantity);
+    case 'incoming':
+      return incomingQuantity;
+    case 'local':
+      return localQuantity;
+    default:
+      return localQuantity + incomingQuantity;
+  }
+};
+
+/**
+ * @memberof merge
+ * @description
+ * Merge incoming products into local ones using strategy.
+ * Lines which have the same key but different productInfo.prices
+ * get mergeConflict with both prices.
+ * Unknown strategy is treated as 'sum',
+ * mergeCart action creator rejects it.
+ * @example
+ * mergeProducts(
+ *   { 'macbook-case/_red': { quantity: 1, ... } },
+ *   { 'macbook-case/_red': { quantity: 2, ... } },
+ *   'max',
+ * );
+ * // { 'macbook-case/_red': { quantity: 2, ... } }
+ */
+export const mergeProducts = (
+  localProducts : ProductsMapType,
+  incomingProducts : ProductsMapType,
+  strategy : MergeStrategyType = 'sum',
+) : ProductsMapType =>
+  Object
+    .keys(incomingProducts)
+    .reduce(
+      (acc : ProductsMapType, key : string) => {
+        const {
+          stockWarning: _,
+          mergeConflict: __,
+          ...incomingProduct
+        } = incomingProducts[key];
+
+        if (!localProducts[key])
+          return { ...acc, [key]: incomingProduct };
+
+        const { mergeConflict: ___, ...localProduct } = localProducts[key];
+
+        const { productInfo: { prices: localPrices } } = localProduct;
+        const { productInfo: { prices: incomingPrices } } = incomingProduct;
+
+        return {
+          ...acc,
+          [key]: {
+            ...(
+              strategy === 'incoming'
+              ? keepNote(localProduct, incomingProduct)
+              : localProduct
+            ),
+            quantity: mergeQuantities(
+              localProduct.quantity, incomingProduct.quantity, strategy,
+            ),
+            ...(
+              arePricesEqual(localPrices, incomingPrices)
+              ? {}
+              : { mergeConflict: { localPrices, incomingPrices } }
+            ),
+          },
+        };
+      },
+      localProducts,
+    );
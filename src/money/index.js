@@ -0,0 +1,167 @@
+/**
+ * @flow
+ * @namespace money
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Exact money arithmetic. Amounts are converted to integer minor units
+ * (cents, pence, fils) of their currency, calculated and converted back,
+ * so 3.5 + 70 * 3 is always 213.5, not 213.49999999.
+ */
+
+/**
+ * @memberof money
+ * @description
+ * Digits after decimal point of currencies which don't use 2 of them
+ * (ISO 4217)
+ */
+export const currencyExponents = {
+  BIF: 0,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  ISK: 0,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  PYG: 0,
+  RWF: 0,
+  UGX: 0,
+  UYI: 0,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XOF: 0,
+  XPF: 0,
+  BHD: 3,
+  IQD: 3,
+  JOD: 3,
+  KWD: 3,
+  LYD: 3,
+  OMR: 3,
+  TND: 3,
+  CLF: 4,
+};
+
+/**
+ * @memberof money
+ * @description
+ * Digits after decimal point of currency, 2 by default
+ */
+export const getCurrencyExponent = (currency : string) : number =>
+  typeof currencyExponents[currency] === 'number'
+    ? currencyExponents[currency]
+    : 2;
+
+/**
+ * @memberof money
+ * @description
+ * Shift decimal point of number using its string representation,
+ * which, unlike multiplication, doesn't lose precision (1.005 * 100)
+ */
+export const shiftDecimalPoint = (
+  amount : number,
+  digits : number,
+) : number => {
+  const [mantissa, exponent = '0'] = `${amount}`.split('e');
+  return Number(`${mantissa}e${+exponent + digits}`);
+};
+
+/**
+ * @memberof money
+ * @description
+ * Convert amount to integer minor units of currency.
+ * Amount is rounded with Math[mode] if it has more digits than currency
+ * @example
+ * toMinorUnits(3.5, 'USD'); // 350
+ * toMinorUnits(3.5, 'KWD'); // 3500
+ * toMinorUnits(3.5, 'JPY'); // 4
+ */
+export const toMinorUnits = (
+  amount : number,
+  currency : string,
+  mode : 'round' | 'ceil' | 'floor' = 'round',
+) : number =>
+  Math[mode](shiftDecimalPoint(amount, getCurrencyExponent(currency)));
+
+/**
+ * @memberof money
+ * @description
+ * Convert integer minor units of currency to amount
+ */
+export const fromMinorUnits = (
+  minorUnits : number,
+  currency : string,
+) : number =>
+  shiftDecimalPoint(minorUnits, -getCurrencyExponent(currency));
+
+/**
+ * @memberof money
+ * @description
+ * Round amount to minor units of currency
+ */
+export const roundMoney = (
+  amount : number,
+  currency : string,
+  mode : 'round' | 'ceil' | 'floor' = 'round',
+) : number =>
+  fromMinorUnits(toMinorUnits(amount, currency, mode), currency);
+
+/**
+ * @memberof money
+ * @description
+ * Sum of amounts
+ */
+export const sumMoney = (
+  amounts : Array<number>,
+  currency : string,
+) : number =>
+  fromMinorUnits(
+    amounts.reduce(
+      (sum : number, amount : number) =>
+        sum + toMinorUnits(amount, currency),
+      0,
+    ),
+    currency,
+  );
+
+/**
+ * @memberof money
+ */
+export const addMoney = (
+  amount : number,
+  addend : number,
+  currency : string,
+) : number =>
+  sumMoney([amount, addend], currency);
+
+/**
+ * @memberof money
+ */
+export const subtractMoney = (
+  amount : number,
+  subtrahend : number,
+  currency : string,
+) : number =>
+  fromMinorUnits(
+    toMinorUnits(amount, currency) - toMinorUnits(subtrahend, currency),
+    currency,
+  );
+
+/**
+ * @memberof money
+ * @description
+ * Multiply amount by factor (quantity, rate etc.),
+ * result is rounded to minor units
+ */
+export const multiplyMoney = (
+  amount : number,
+  factor : number,
+  currency : string,
+) : number =>
+  fromMinorUnits(
+    Math.round(toMinorUnits(amount, currency) * factor),
+    currency,
+  );
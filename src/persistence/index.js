@@ -0,0 +1,272 @@
+/**
+ * @flow
+ * @namespace persistence
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Redux store enhancer which saves cart to a storage
+ * and rehydrates it on startup
+ */
+import { rehydrateCart } from '../actions';
+import { defaultGetCartState } from '../selectors';
+import { generateProductKey, limitQuantity } from '../helpers';
+
+/**
+ * @memberof persistence
+ * @description
+ * Storage with localStorage interface which keeps items in memory.
+ * Useful for tests and server side rendering.
+ */
+export const createMemoryStorage = (
+  initialItems : { [key : string] : string } = {},
+) : CartStorageType => {
+  const items = { ...initialItems };
+  return {
+    getItem: (key : string) : ?string =>
+      Object.prototype.hasOwnProperty.call(items, key) ? items[key] : null,
+    setItem: (key : string, value : string) =>
+      void (items[key] = `${value}`),
+    removeItem: (key : string) =>
+      void delete items[key],
+  };
+};
+
+/**
+ * @memberof persistence
+ * @private
+ * Errors are ignored unless onError option is passed
+ */
+const ignoreError = () => {};
+
+/**
+ * @memberof persistence
+ * @private
+ * localStorage may be unavailable (server side, private mode)
+ */
+const getDefaultStorage = (
+  onError : (error : Error) => void,
+) : CartStorageType => {
+  try {
+    if (typeof window !== 'undefined' && window.localStorage)
+      return window.localStorage;
+  } catch (error) {
+    onError(error);
+  }
+  return createMemoryStorage();
+};
+
+/**
+ * @memberof persistence
+ * @description
+ * Sequentially apply migrations[version + 1] ... migrations[targetVersion]
+ * to the saved cart. Each migration receives cart of previous version and
+ * returns cart of its own version.
+ * Returns null if cart can't be migrated.
+ */
+export const migrateCart = (
+  { version, cart } : PersistedCartType,
+  targetVersion : number,
+  migrations : { [version : number] : (cart : Object) => CartType } = {},
+) : ?CartType =>
+  version > targetVersion
+    ? null
+    : Array
+      .from(
+        { length: targetVersion - version },
+        (_, index : number) : number => version + index + 1,
+      )
+      .reduce(
+        (migratedCart : ?Object, nextVersion : number) =>
+          migratedCart && typeof migrations[nextVersion] === 'function'
+            ? migrations[nextVersion](migratedCart)
+            : null,
+        cart,
+      );
+
+/**
+ * @memberof persistence
+ * @description
+ * Re-key products map (cart's products, saved for later or wishlist)
+ * with generateKey. Quantities of lines which get the same key are summed
+ * and limited to productInfo.maxQuantity, as products reducer does.
+ */
+export const rekeyProducts = (
+  products : ProductsMapType,
+  generateKey : generateProductKeyType = generateProductKey,
+) : ProductsMapType =>
+  Object
+    .keys(products)
+    .reduce((acc : ProductsMapType, oldKey : string) => {
+      const product = products[oldKey];
+      const key = generateKey(product.id, product.properties);
+      return {
+        ...acc,
+        [key]: acc[key]
+          ? limitQuantity({
+            ...acc[key],
+            quantity: acc[key].quantity + product.quantity,
+          })
+          : product,
+      };
+    }, {});
+
+/**
+ * @memberof persistence
+ * @description
+ * Migration of carts saved with keys generated in insertion order of
+ * properties and without escaping (before parseProductKey was added)
+ * @example
+ * persistCart({ version: 2, migrations: { 2: migrateProductKeys } });
+ */
+export const migrateProductKeys = (cart : Object) : CartType => ({
+  ...cart,
+  products: rekeyProducts(cart.products),
+  ...(
+    cart.savedForLater
+    ? { savedForLater: rekeyProducts(cart.savedForLater) }
+    : {}
+  ),
+});
+
+/**
+ * @memberof persistence
+ * @description
+ * Read, validate and migrate saved cart. Returns null if there is nothing
+ * to rehydrate.
+ */
+export const loadCart = (
+  storage : CartStorageType,
+  key : string,
+  version : number,
+  migrations : { [version : number] : (cart : Object) => CartType } = {},
+  onError : (error : Error) => void = ignoreError,
+) : ?CartType => {
+  try {
+    const serializedCart = storage.getItem(key);
+    if (serializedCart === null || typeof serializedCart === 'undefined')
+      return null;
+
+    const persistedCart = JSON.parse(serializedCart);
+    if (
+      !persistedCart
+      || !Number.isSafeInteger(persistedCart.version)
+      || typeof persistedCart.cart !== 'object'
+    ) throw new Error(`Malformed cart in storage, key: ${key}`);
+
+    const cart = migrateCart(persistedCart, version, migrations);
+    if (
+      !cart
+      || typeof cart.products !== 'object'
+      || typeof cart.currency !== 'string'
+    ) throw new Error(
+      `Can't migrate cart from version ${persistedCart.version} ` +
+      `to version ${version}, key: ${key}`,
+    );
+
+    const { products, currency, savedForLater } = cart;
+    return {
+      products,
+      currency,
+      ...(typeof savedForLater === 'object' ? { savedForLater } : {}),
+    };
+  } catch (error) {
+    onError(error);
+    return null;
+  }
+};
+
+/**
+ * @memberof persistence
+ */
+export const saveCart = (
+  storage : CartStorageType,
+  key : string,
+  version : number,
+  { products, currency, savedForLater = {} } : CartType,
+  onError : (error : Error) => void = ignoreError,
+) => {
+  try {
+    storage.setItem(
+      key,
+      JSON.stringify({
+        version,
+        cart: { products, currency, savedForLater },
+      }),
+    );
+  } catch (error) {
+    onError(error);
+  }
+};
+
+/**
+ * @memberof persistence
+ * @description
+ * Store enhancer. Rehydrates cart with rehydrateCart action after store
+ * creation and saves { products, currency, savedForLater } on every change.
+ * Options:
+ * storage - localStorage, sessionStorage or createMemoryStorage().
+ * Default is localStorage if available.
+ * key - Storage key. Default is 'react-shopping-cart'.
+ * version - Current schema version. Default is 1.
+ * migrations - Object of { [version]: cart => migratedCart } functions,
+ * where migrations[n] converts cart of version n - 1 to version n.
+ * getCartState - Function to get cart from state.
+ * Default is state => state.cart.
+ * onError - Function which receives errors of storage, e.g. broken or
+ * unmigratable saved cart. Errors are ignored by default.
+ * @example
+ * const store = createStore(
+ *   combineReducers({ cart: cartReducer }),
+ *   persistCart({
+ *     storage: sessionStorage,
+ *     version: 2,
+ *     migrations: {
+ *       2: ({ products, currency }) => ({
+ *         products: addSkuToProducts(products),
+ *         currency,
+ *       }),
+ *     },
+ *   }),
+ * );
+ */
+export const persistCart = (
+  {
+    onError = ignoreError,
+    storage = getDefaultStorage(onError),
+    key = 'react-shopping-cart',
+    version = 1,
+    migrations = {},
+    getCartState = defaultGetCartState,
+  } : {
+    storage? : CartStorageType,
+    key? : string,
+    version? : number,
+    migrations? : { [version : number] : (cart : Object) => CartType },
+    getCartState? : (state : Object) => CartType,
+    onError? : (error : Error) => void,
+  } = {},
+) => (createStore : Function) => (...args : Array<any>) : Object => {
+  const store = createStore(...args);
+  let { products, currency, savedForLater } = getCartState(store.getState());
+
+  store.subscribe(() => {
+    const cart = getCartState(store.getState());
+    if (
+      cart.products !== products
+      || cart.currency !== currency
+      || cart.savedForLater !== savedForLater
+    ) {
+      ({ products, currency, savedForLater } = cart);
+      saveCart(storage, key, version, cart, onError);
+    }
+  });
+
+  const persistedCart =
+    loadCart(storage, key, version, migrations, onError);
+  if (persistedCart)
+    store.dispatch(rehydrateCart(persistedCart));
+
+  return store;
+};
@@ -0,0 +1,274 @@
+/**
+ * @flow
+ * @namespace promotions
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Promotion engine. Promotions are evaluated against products with prices
+ * in current currency, they discount items of existing lines and add free
+ * gift lines which customer can't edit.
+ */
+import { multiplyMoney, subtractMoney, sumMoney } from '../money';
+import { calculateSubtotal } from '../discounts';
+
+/**
+ * @memberof promotions
+ * @private
+ * Keeps memoization when cart has no promotions
+ */
+const noPromotionsResult = { gifts: {}, adjustments: [] };
+
+/**
+ * @memberof promotions
+ * @description
+ * Key of gift line added by promotion
+ */
+export const getGiftKey = (promotionId : string) : string =>
+  `promotion/${promotionId}`;
+
+/**
+ * @memberof promotions
+ * @private
+ * Lines which promotion applies to, the cheapest first
+ */
+const getEligibleLines = (
+  products : ProductsMapType,
+  productIds : ?Array<string>,
+  currency : string,
+) : Array<{ key : string, quantity : number, price : number }> =>
+  Object
+    .keys(products)
+    .filter((key : string) : boolean => {
+      const { id, gift, productInfo } = products[key];
+      return !gift
+        && typeof productInfo.prices[currency] === 'number'
+        && (!productIds || productIds.includes(id));
+    })
+    .map((key : string) => {
+      const { quantity, productInfo } = products[key];
+      return { key, quantity, price: productInfo.prices[currency] };
+    })
+    .sort((line, otherLine) => line.price - otherLine.price);
+
+/**
+ * @memberof promotions
+ * @private
+ */
+const countItems = (
+  lines : Array<{ key : string, quantity : number, price : number }>,
+) : number =>
+  lines.reduce((acc, { quantity }) => acc + quantity, 0);
+
+/**
+ * @memberof promotions
+ * @private
+ * Discount count of the cheapest items by percentage
+ */
+const discountCheapestItems = (
+  promotion : PromotionType,
+  lines : Array<{ key : string, quantity : number, price : number }>,
+  count : number,
+  percentage : number,
+  currency : string,
+) : Array<PromotionAdjustmentType> =>
+  lines.reduce(
+    ({ itemsLeft, adjustments }, { key, quantity, price }) => {
+      const discountedQuantity = Math.min(itemsLeft, quantity);
+      return discountedQuantity
+        ? {
+          itemsLeft: itemsLeft - discountedQuantity,
+          adjustments: [
+            ...adjustments,
+            {
+              promotion,
+              key,
+              quantity: discountedQuantity,
+              discount: multiplyMoney(
+                price,
+                discountedQuantity * Math.min(percentage, 100) / 100,
+                currency,
+              ),
+            },
+          ],
+        }
+        : { itemsLeft, adjustments };
+    },
+    { itemsLeft: count, adjustments: [] },
+  ).adjustments;
+
+/**
+ * @memberof promotions
+ * @private
+ * Reduce discounts of adjustments, so that discount of every line
+ * in total doesn't exceed its cost
+ */
+const limitDiscounts = (
+  adjustments : Array<PromotionAdjustmentType>,
+  previousAdjustments : Array<PromotionAdjustmentType>,
+  products : ProductsMapType,
+  currency : string,
+) : Array<PromotionAdjustmentType> =>
+  adjustments.reduce(
+    (
+      acc : Array<PromotionAdjustmentType>,
+      adjustment : PromotionAdjustmentType,
+    ) => {
+      const { key, discount } = adjustment;
+      // Gift lines aren't in products and cost nothing
+      if (!products[key])
+        return [...acc, adjustment];
+
+      const { quantity, productInfo: { prices } } = products[key];
+      const discountLeft = subtractMoney(
+        multiplyMoney(prices[currency], quantity, currency),
+        sumMoney(
+          [...previousAdjustments, ...acc]
+            .filter(({ key: adjustedKey }) => adjustedKey === key)
+            .map(({ discount: previousDiscount }) => previousDiscount),
+          currency,
+        ),
+        currency,
+      );
+      return [
+        ...acc,
+        discount > discountLeft
+          ? { ...adjustment, discount: Math.max(discountLeft, 0) }
+          : adjustment,
+      ];
+    },
+    [],
+  );
+
+/**
+ * @memberof promotions
+ * @private
+ * Evaluate promotion of each type, returns its part of PromotionsResultType
+ */
+const evaluators = {
+  buyXGetY: (
+    promotion : PromotionType,
+    products : ProductsMapType,
+    currency : string,
+  ) : $Shape<PromotionsResultType> => {
+    const { productIds, buy = 1, get = 1, percentage = 100 } = promotion;
+    const lines = getEligibleLines(products, productIds, currency);
+    return {
+      adjustments: discountCheapestItems(
+        promotion,
+        lines,
+        Math.floor(countItems(lines) / (buy + get)) * get,
+        percentage,
+        currency,
+      ),
+    };
+  },
+  percentageOffCheapest: (
+    promotion : PromotionType,
+    products : ProductsMapType,
+    currency : string,
+  ) : $Shape<PromotionsResultType> => {
+    const { productIds, percentage = 0, minQuantity = 1 } = promotion;
+    const lines = getEligibleLines(products, productIds, currency);
+    return {
+      adjustments:
+        countItems(lines) >= minQuantity
+          ? discountCheapestItems(promotion, lines, 1, percentage, currency)
+          : [],
+    };
+  },
+  spendGetGift: (
+    promotion : PromotionType,
+    products : ProductsMapType,
+    currency : string,
+  ) : $Shape<PromotionsResultType> => {
+    const { id, minimumSpend = {}, gift } = promotion;
+    // Gifts aren't in products yet, so subtotal is cost of bought items
+    if (
+      !gift
+      || typeof minimumSpend[currency] !== 'number'
+      || calculateSubtotal(products, currency) < minimumSpend[currency]
+    ) return {};
+
+    const key = getGiftKey(id);
+    const { quantity = 1, properties = {}, productInfo } = gift;
+    return {
+      gifts: {
+        [key]: {
+          id: gift.id,
+          quantity,
+          properties,
+          productInfo: { ...productInfo, prices: { [currency]: 0 } },
+          gift: true,
+        },
+      },
+      adjustments: [{ promotion, key, quantity, discount: 0 }],
+    };
+  },
+};
+
+/**
+ * @memberof promotions
+ * @description
+ * Supported promotion types
+ */
+export const promotionTypes = Object.keys(evaluators);
+
+/**
+ * @memberof promotions
+ * @description
+ * Evaluate promotions against products which have prices in currency.
+ * Returns gift lines to add to cart and adjustments explaining discount
+ * of every affected line. Discount of line never exceeds its cost,
+ * promotions of unknown type are ignored.
+ * @example
+ * applyPromotions(
+ *   products,
+ *   [{ id: 'two-plus-one', type: 'buyXGetY', productIds: ['A'], buy: 2, get: 1 }],
+ *   'USD',
+ * ); // { gifts: {}, adjustments: [{ promotion, key, quantity: 1, discount: 10 }] }
+ */
+export const applyPromotions = (
+  products : ProductsMapType,
+  promotions : Array<PromotionType>,
+  currency : string,
+) : PromotionsResultType =>
+  promotions.length
+    ? promotions.reduce(
+      (
+        { gifts, adjustments } : PromotionsResultType,
+        promotion : PromotionType,
+      ) => {
+        if (!evaluators[promotion.type])
+          return { gifts, adjustments };
+
+        const {
+          gifts: promotionGifts = {},
+          adjustments: promotionAdjustments = [],
+        } = evaluators[promotion.type](promotion, products, currency);
+
+        return {
+          gifts: { ...gifts, ...promotionGifts },
+          adjustments: [
+            ...adjustments,
+            ...limitDiscounts(
+              promotionAdjustments, adjustments, products, currency,
+            ),
+          ],
+        };
+      },
+      noPromotionsResult,
+    )
+    : noPromotionsResult;
+
+/**
+ * @memberof promotions
+ * @description
+ * Add gift lines to products. Returns the same object if there are no gifts.
+ */
+export const addGifts = (
+  products : ProductsMapType,
+  { gifts } : PromotionsResultType,
+) : ProductsMapType =>
+  Object.keys(gifts).length ? { ...products, ...gifts } : products;
@@ -12,11 +12,46 @@
 import { combineReducers } from 'redux';
 import products from './cart/products';
 import currency from './cart/currency';
+import discounts from './cart/discounts';
+import tax from './cart/tax';
+import shipping from './cart/shipping';
+import exchangeRates from './cart/exchangeRates';
+import savedForLater from './cart/savedForLater';
+import promotions from './cart/promotions';
+import addresses from './cart/addresses';
 
 /**
  * @module cartReducer
  * @description
  * Default state value is
- * { products: {}, currency: 'USD' }
+ * {
+ *   products: {},
+ *   currency: 'USD',
+ *   discounts: {},
+ *   tax: { rates: {}, region: null, pricesIncludeTax: false },
+ *   shipping: { methods: [], selectedMethod: null },
+ *   exchangeRates: {
+ *     base: 'USD',
+ *     rates: {},
+ *     rounding: { mode: 'round' },
+ *   },
+ *   savedForLater: {},
+ *   promotions: [],
+ *   addresses: {
+ *     shipping: emptyAddress,
+ *     billing: emptyAddress,
+ *     billingSameAsShipping: true,
+ *   },
+ * }
  */
-export default combineReducers({ products, currency });
+export default combineReducers({
+  products,
+  currency,
+  discounts,
+  tax,
+  shipping,
+  exchangeRates,
+  savedForLater,
+  promotions,
+  addresses,
+});
@@ -0,0 +1,54 @@
+/**
+ * @flow
+ * @module addressesReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Shipping and billing addresses reducer for cart
+ *
+ */
+import * as actionTypes from '../../actionTypes';
+import { emptyAddress } from '../../addresses';
+
+const initialState = {
+  shipping: emptyAddress,
+  billing: emptyAddress,
+  billingSameAsShipping: true,
+};
+
+const handlers = {
+  [actionTypes.CART_SET_SHIPPING_ADDRESS]:
+    (
+      addresses : AddressesStateType,
+      { address } : CartSetShippingAddressActionType,
+    ) : AddressesStateType => ({
+      ...addresses,
+      shipping: { ...addresses.shipping, ...address },
+    }),
+  [actionTypes.CART_SET_BILLING_ADDRESS]:
+    (
+      addresses : AddressesStateType,
+      { address } : CartSetBillingAddressActionType,
+    ) : AddressesStateType => ({
+      ...addresses,
+      billing: { ...addresses.billing, ...address },
+    }),
+  [actionTypes.CART_SET_BILLING_SAME_AS_SHIPPING]:
+    (
+      addresses : AddressesStateType,
+      { billingSameAsShipping } : CartSetBillingSameAsShippingActionType,
+    ) : AddressesStateType => ({
+      ...addresses,
+      billingSameAsShipping,
+    }),
+};
+
+export default (
+  state : AddressesStateType = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
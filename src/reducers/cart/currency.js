@@ -19,6 +19,11 @@ const handlers = {
       _,
       { currency } : CartSetCurrencyActionType,
     ) : string => currency,
+  [actionTypes.CART_REHYDRATE]:
+    (
+      _,
+      { currency } : CartRehydrateActionType,
+    ) : string => currency,
 };
 
 export default (
@@ -0,0 +1,45 @@
+/**
+ * @flow
+ * @module discountsReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Applied coupons reducer for cart.
+ * Coupons are stored by normalized (upper case) code.
+ *
+ */
+import * as actionTypes from '../../actionTypes';
+import { normalizeCouponCode } from '../../discounts';
+
+const initialState = {};
+
+const handlers = {
+  [actionTypes.CART_APPLY_COUPON]:
+    (
+      coupons : CouponsMapType,
+      { coupon } : CartApplyCouponActionType,
+    ) : CouponsMapType => ({
+      ...coupons,
+      [normalizeCouponCode(coupon.code)]: coupon,
+    }),
+  [actionTypes.CART_REMOVE_COUPON]:
+    (
+      coupons : CouponsMapType,
+      { code } : CartRemoveCouponActionType,
+    ) : CouponsMapType => {
+      const { [normalizeCouponCode(code)]: _, ...restOfCoupons } = coupons;
+      return restOfCoupons;
+    },
+  [actionTypes.CART_EMPTY]:
+    () : CouponsMapType => initialState,
+};
+
+export default (
+  state : CouponsMapType = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
@@ -0,0 +1,31 @@
+/**
+ * @flow
+ * @module exchangeRatesReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Exchange rates reducer for cart
+ *
+ */
+import * as actionTypes from '../../actionTypes';
+import { defaultExchangeRates } from '../../exchange';
+
+const initialState = defaultExchangeRates;
+
+const handlers = {
+  [actionTypes.CART_SET_EXCHANGE_RATES]:
+    (
+      _,
+      { base, rates, rounding } : CartSetExchangeRatesActionType,
+    ) : ExchangeRatesType => ({ base, rates, rounding }),
+};
+
+export default (
+  state : ExchangeRatesType = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
@@ -10,35 +10,51 @@
  *
  */
 import * as actionTypes from '../../actionTypes';
-import { isNaturalNumber } from '../../helpers';
+import {
+  isNaturalNumber,
+  arePricesEqual,
+  limitQuantity,
+  isInStock,
+  keepNote,
+} from '../../helpers';
+import { mergeProducts } from '../../merge';
 
 const initialState = {};
 
+/*
+ * Add product to products summing quantities if it's already there
+ */
+const addProduct = (
+  {
+    [key]: cartProduct = { quantity: 0 },
+    ...restOfProducts
+  } : ProductsMapType,
+  key : string,
+  product : ProductType,
+) : ProductsMapType => {
+  const newQuantity =
+    product.quantity +
+      cartProduct.quantity;
+  const line = limitQuantity(keepNote(cartProduct, {
+    ...product,
+    quantity:
+      +isNaturalNumber(newQuantity)
+      && newQuantity,
+  }));
+  return isInStock(line)
+    ? { [key]: line, ...restOfProducts }
+    : restOfProducts;
+};
+
 const handlers = {
   [actionTypes.CART_ADD]:
     (
-      {
-        [key]: cartProduct = { quantity: 0 },
-        ...restOfProducts
-      } : ProductsMapType,
+      products : ProductsMapType,
       {
         key,
         product,
       } : CartAddActionType,
-    ) : ProductsMapType => {
-      const newQuantity =
-        product.quantity +
-          cartProduct.quantity;
-      return {
-        [key]: {
-          ...product,
-          quantity:
-            +isNaturalNumber(newQuantity)
-            && newQuantity,
-        },
-        ...restOfProducts,
-      };
-    },
+    ) : ProductsMapType => addProduct(products, key, product),
   [actionTypes.CART_UPDATE]:
     (
       products : ProductsMapType,
@@ -46,10 +62,30 @@ const handlers = {
         key,
         updatedProduct,
       } : CartUpdateActionType,
-    ) : ProductsMapType => ({
-      ...products,
-      [key]: updatedProduct,
-    }),
+    ) : ProductsMapType => {
+      const { [key]: cartProduct, ...restOfProducts } = products;
+      const line = limitQuantity(keepNote(cartProduct, updatedProduct));
+      return isInStock(line)
+        ? { ...products, [key]: line }
+        : restOfProducts;
+    },
+  [actionTypes.CART_SET_LINE_NOTE]:
+    (
+      products : ProductsMapType,
+      {
+        key,
+        note,
+      } : CartSetLineNoteActionType,
+    ) : ProductsMapType => {
+      if (!products[key])
+        return products;
+
+      const { note: _, ...product } = products[key];
+      return {
+        ...products,
+        [key]: note.trim() ? { ...product, note } : product,
+      };
+    },
   [actionTypes.CART_REMOVE]:
     (
       { [key]: _, ...restOfProducts } : ProductsMapType,
@@ -57,6 +93,136 @@ const handlers = {
     ) : ProductsMapType => restOfProducts,
   [actionTypes.CART_EMPTY]:
     () : ProductsMapType => initialState,
+  [actionTypes.CART_MOVE_TO_SAVED_FOR_LATER]:
+    (
+      { [key]: _, ...restOfProducts } : ProductsMapType,
+      { key } : CartMoveToSavedForLaterActionType,
+    ) : ProductsMapType => restOfProducts,
+  [actionTypes.CART_MOVE_TO_CART]:
+    (
+      products : ProductsMapType,
+      {
+        key,
+        product,
+      } : CartMoveToCartActionType,
+    ) : ProductsMapType => addProduct(products, key, product),
+  [actionTypes.CART_MERGE]:
+    (
+      products : ProductsMapType,
+      {
+        products: incomingProducts,
+        strategy,
+      } : CartMergeActionType,
+    ) : ProductsMapType => {
+      const mergedProducts =
+        mergeProducts(products, incomingProducts, strategy);
+      return Object
+        .keys(incomingProducts)
+        .reduce(
+          (acc : ProductsMapType, key : string) => {
+            const { [key]: mergedProduct, ...restOfProducts } = acc;
+            const line = limitQuantity(mergedProduct);
+            return isInStock(line)
+              ? { ...acc, [key]: line }
+              : restOfProducts;
+          },
+          mergedProducts,
+        );
+    },
+  [actionTypes.CART_CLEAR_MERGE_CONFLICT]:
+    (
+      products : ProductsMapType,
+      { key } : CartClearMergeConflictActionType,
+    ) : ProductsMapType => {
+      if (!products[key] || !products[key].mergeConflict)
+        return products;
+
+      const { mergeConflict: _, ...product } = products[key];
+      return { ...products, [key]: product };
+    },
+  [actionTypes.CART_REFRESH_PRODUCTS]:
+    (
+      products : ProductsMapType,
+      {
+        catalogLookup,
+        removeDiscontinued,
+      } : CartRefreshProductsActionType,
+    ) : ProductsMapType =>
+      Object
+        .keys(products)
+        .reduce(
+          (acc : ProductsMapType, key : string) => {
+            const { discontinued: _, ...product } = products[key];
+            const currentInfo = catalogLookup(products[key], key);
+            if (!currentInfo)
+              return removeDiscontinued
+                ? acc
+                : { ...acc, [key]: { ...product, discontinued: true } };
+
+            const productInfo = { ...product.productInfo, ...currentInfo };
+            const previousPrices =
+              product.priceChange
+                ? product.priceChange.previousPrices
+                : product.productInfo.prices;
+            const { priceChange: __, ...refreshedProduct } = product;
+            const line = limitQuantity({
+              ...refreshedProduct,
+              productInfo,
+              ...(
+                arePricesEqual(previousPrices, productInfo.prices)
+                ? {}
+                : {
+                  priceChange: {
+                    previousPrices,
+                    currentPrices: productInfo.prices,
+                  },
+                }
+              ),
+            });
+            // Sold out line stays with its stockWarning unless it's removed
+            return removeDiscontinued && !isInStock(line)
+              ? acc
+              : { ...acc, [key]: line };
+          },
+          {},
+        ),
+  [actionTypes.CART_DISMISS_PRICE_CHANGE]:
+    (
+      products : ProductsMapType,
+      { key } : CartDismissPriceChangeActionType,
+    ) : ProductsMapType => {
+      if (!products[key] || !products[key].priceChange)
+        return products;
+
+      const { priceChange: _, ...product } = products[key];
+      return { ...products, [key]: product };
+    },
+  [actionTypes.CART_SYNC_FAILED]:
+    (
+      products : ProductsMapType,
+      { rollback, failedLines } : CartSyncFailedActionType,
+    ) : ProductsMapType =>
+      Object
+        .keys(rollback)
+        // Lines changed while request was in flight are kept
+        .filter((key : string) : boolean =>
+          (products[key] || null) === failedLines[key],
+        )
+        .reduce(
+          (acc : ProductsMapType, key : string) => {
+            const previousLine = rollback[key];
+            const { [key]: _, ...restOfProducts } = acc;
+            return previousLine
+              ? { ...restOfProducts, [key]: previousLine }
+              : restOfProducts;
+          },
+          products,
+        ),
+  [actionTypes.CART_REHYDRATE]:
+    (
+      _,
+      { products } : CartRehydrateActionType,
+    ) : ProductsMapType => products,
 };
 
 export default (
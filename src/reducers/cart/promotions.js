@@ -0,0 +1,30 @@
+/**
+ * @flow
+ * @module promotionsReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Active promotions reducer for cart
+ *
+ */
+import * as actionTypes from '../../actionTypes';
+
+const initialState = [];
+
+const handlers = {
+  [actionTypes.CART_SET_PROMOTIONS]:
+    (
+      _,
+      { promotions } : CartSetPromotionsActionType,
+    ) : Array<PromotionType> => promotions,
+};
+
+export default (
+  state : Array<PromotionType> = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
@@ -0,0 +1,83 @@
+/**
+ * @flow
+ * @module savedForLaterReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Reducer of products which customer saved for later.
+ * They keep their keys, so moving them back to cart creates the same lines.
+ *
+ */
+import * as actionTypes from '../../actionTypes';
+import { isInStock } from '../../helpers';
+
+const initialState = {};
+
+const handlers = {
+  [actionTypes.CART_MOVE_TO_SAVED_FOR_LATER]:
+    (
+      products : ProductsMapType,
+      {
+        key,
+        product: { stockWarning: _, ...product },
+      } : CartMoveToSavedForLaterActionType,
+    ) : ProductsMapType => {
+      const {
+        [key]: savedProduct = { quantity: 0 },
+        ...restOfProducts
+      } = products;
+      return {
+        [key]: {
+          ...product,
+          quantity: product.quantity + savedProduct.quantity,
+        },
+        ...restOfProducts,
+      };
+    },
+  [actionTypes.CART_UPDATE_SAVED_FOR_LATER]:
+    (
+      products : ProductsMapType,
+      {
+        key,
+        updatedProduct,
+      } : CartUpdateSavedForLaterActionType,
+    ) : ProductsMapType => ({
+      ...products,
+      [key]: updatedProduct,
+    }),
+  [actionTypes.CART_MOVE_TO_CART]:
+    (
+      products : ProductsMapType,
+      { key, product } : CartMoveToCartActionType,
+    ) : ProductsMapType => {
+      // Sold out product stays saved, as cart doesn't take it
+      if (!isInStock(product))
+        return products;
+
+      const { [key]: _, ...restOfProducts } = products;
+      return restOfProducts;
+    },
+  [actionTypes.CART_REMOVE_FROM_SAVED_FOR_LATER]:
+    (
+      products : ProductsMapType,
+      { key } : CartRemoveFromSavedForLaterActionType,
+    ) : ProductsMapType => {
+      const { [key]: _, ...restOfProducts } = products;
+      return restOfProducts;
+    },
+  [actionTypes.CART_REHYDRATE]:
+    (
+      products : ProductsMapType,
+      { savedForLater } : CartRehydrateActionType,
+    ) : ProductsMapType => savedForLater || products,
+};
+
+export default (
+  state : ProductsMapType = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
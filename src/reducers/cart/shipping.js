@@ -0,0 +1,48 @@
+/**
+ * @flow
+ * @module shippingReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Shipping methods and selected method reducer for cart
+ *
+ */
+import * as actionTypes from '../../actionTypes';
+
+const initialState = {
+  methods: [],
+  selectedMethod: null,
+};
+
+const handlers = {
+  [actionTypes.CART_SET_SHIPPING_METHODS]:
+    (
+      { selectedMethod } : ShippingStateType,
+      { methods } : CartSetShippingMethodsActionType,
+    ) : ShippingStateType => ({
+      methods,
+      // Forget selected method if it isn't available anymore
+      selectedMethod:
+        methods.some(({ id }) => id === selectedMethod)
+          ? selectedMethod
+          : null,
+    }),
+  [actionTypes.CART_SET_SHIPPING_METHOD]:
+    (
+      shipping : ShippingStateType,
+      { methodId } : CartSetShippingMethodActionType,
+    ) : ShippingStateType => ({
+      ...shipping,
+      selectedMethod: methodId,
+    }),
+};
+
+export default (
+  state : ShippingStateType = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
@@ -0,0 +1,46 @@
+/**
+ * @flow
+ * @module taxReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Tax rates and customer's tax region reducer for cart
+ *
+ */
+import * as actionTypes from '../../actionTypes';
+
+const initialState = {
+  rates: {},
+  region: null,
+  pricesIncludeTax: false,
+};
+
+const handlers = {
+  [actionTypes.CART_SET_TAX_RATES]:
+    (
+      tax : TaxStateType,
+      { rates, pricesIncludeTax } : CartSetTaxRatesActionType,
+    ) : TaxStateType => ({
+      ...tax,
+      rates,
+      pricesIncludeTax,
+    }),
+  [actionTypes.CART_SET_TAX_REGION]:
+    (
+      tax : TaxStateType,
+      { region } : CartSetTaxRegionActionType,
+    ) : TaxStateType => ({
+      ...tax,
+      region,
+    }),
+};
+
+export default (
+  state : TaxStateType = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
@@ -0,0 +1,71 @@
+/**
+ * @flow
+ * @module checkoutReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Redux reducer of checkout. Default state value is
+ * {
+ *   step: 'contact',
+ *   contact: { email: '', phone: '' },
+ *   order: null,
+ * }
+ *
+ */
+import * as actionTypes from '../actionTypes';
+import { checkoutSteps, completeCheckoutStep } from '../checkout';
+
+const initialState = {
+  step: checkoutSteps[0],
+  contact: {
+    email: '',
+    phone: '',
+  },
+  order: null,
+};
+
+const handlers = {
+  [actionTypes.CHECKOUT_SET_STEP]:
+    (
+      checkout : CheckoutStateType,
+      { step } : CheckoutSetStepActionType,
+    ) : CheckoutStateType =>
+      checkoutSteps.includes(step)
+        ? { ...checkout, step, order: null }
+        : checkout,
+  [actionTypes.CHECKOUT_SET_CONTACT]:
+    (
+      checkout : CheckoutStateType,
+      { contact } : CheckoutSetContactActionType,
+    ) : CheckoutStateType => ({
+      ...checkout,
+      contact: { ...checkout.contact, ...contact },
+    }),
+  [actionTypes.CHECKOUT_COMPLETE]:
+    (
+      checkout : CheckoutStateType,
+      { order } : CheckoutCompleteActionType,
+    ) : CheckoutStateType => ({
+      ...checkout,
+      step: completeCheckoutStep,
+      order,
+    }),
+  [actionTypes.CHECKOUT_RESET]:
+    (
+      checkout : CheckoutStateType,
+    ) : CheckoutStateType => ({
+      ...checkout,
+      step: initialState.step,
+      order: null,
+    }),
+};
+
+export default (
+  state : CheckoutStateType = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
@@ -0,0 +1,45 @@
+/**
+ * @flow
+ * @module wishlistReducer
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Redux reducer of wishlist. State is products map like cart's products,
+ * default value is {}.
+ *
+ */
+import * as actionTypes from '../actionTypes';
+
+const initialState = {};
+
+const handlers = {
+  [actionTypes.WISHLIST_ADD]:
+    (
+      products : ProductsMapType,
+      {
+        key,
+        product: { stockWarning: _, ...product },
+      } : WishlistAddActionType,
+    ) : ProductsMapType => ({
+      ...products,
+      [key]: product,
+    }),
+  [actionTypes.WISHLIST_REMOVE]:
+    (
+      products : ProductsMapType,
+      { key } : WishlistRemoveActionType,
+    ) : ProductsMapType => {
+      const { [key]: _, ...restOfProducts } = products;
+      return restOfProducts;
+    },
+};
+
+export default (
+  state : ProductsMapType = initialState,
+  action : { type : string },
+) =>
+  handlers[action.type]
+    ? handlers[action.type](state, action)
+    : state;
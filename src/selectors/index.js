@@ -10,42 +10,465 @@
  *
  */
 import { createSelector } from 'reselect';
+import { calculateSubtotal, calculateDiscount } from '../discounts';
+import { calculateTaxBreakdown, calculateTax } from '../tax';
+import { calculateShippingCosts } from '../shipping';
+import {
+  convertProducts,
+  filterPricedProducts,
+  defaultExchangeRates,
+} from '../exchange';
+import { applyPriceTiers } from '../tiers';
+import { applyPromotions, addGifts } from '../promotions';
+import { addMoney, subtractMoney, sumMoney } from '../money';
+import { createOrderLines } from '../checkout';
+import { emptyAddress } from '../addresses';
 
 /**
  * @memberof selectors
  * @private
+ * Keeps memoization when cart slice has no discounts
  */
-const productsSelector = ({ cart: { products } }) => products;
+const noDiscounts = {};
 
 /**
  * @memberof selectors
  * @private
+ * Keeps memoization when cart slice has no tax
  */
-const currencySelector = ({ cart: { currency } }) => currency;
+const noTax = { rates: {}, region: null, pricesIncludeTax: false };
+
+/**
+ * @memberof selectors
+ * @private
+ * Keeps memoization when cart slice has no shipping
+ */
+const noShipping = { methods: [], selectedMethod: null };
+
+/**
+ * @memberof selectors
+ * @private
+ * Keeps memoization when cart slice has no saved for later products
+ */
+const noSavedProducts = {};
+
+/**
+ * @memberof selectors
+ * @private
+ * Keeps memoization when cart slice has no promotions
+ */
+const noPromotions = [];
+
+/**
+ * @memberof selectors
+ * @private
+ * Keeps memoization when state has no wishlist
+ */
+const noWishlistProducts = {};
+
+/**
+ * @memberof selectors
+ * @private
+ * Keeps memoization when cart slice has no addresses
+ */
+const noAddresses = {
+  shipping: emptyAddress,
+  billing: emptyAddress,
+  billingSameAsShipping: true,
+};
+
+/**
+ * @memberof selectors
+ * @description
+ * Default function to get cart from state
+ */
+export const defaultGetCartState = ({ cart } : Object) : CartType => cart;
+
+/**
+ * @memberof selectors
+ * @description
+ * Default function to get wishlist from state
+ */
+export const defaultGetWishlistState = (
+  { wishlist } : Object,
+) : ProductsMapType => wishlist || noWishlistProducts;
+
+/**
+ * @memberof selectors
+ * @description
+ * Default function to get checkout from state
+ */
+export const defaultGetCheckoutState = (
+  { checkout } : Object,
+) : CheckoutStateType => checkout;
 
 /**
  * @memberof selectors
  * @description
- * Calculate total products' cost
+ * Create selectors bound to the cart slice returned by getCartState.
+ * Default getCartState is state => state.cart.
+ * @example
+ * const { totalSelector } = createCartSelectors(state => state.shop.cart);
  */
-export const totalSelector = createSelector(
-  productsSelector,
-  currencySelector,
-  (products : ProductsMapType, currency : string) : number =>
-    Object
-      .values(products)
-      .map(
-        (
-          { quantity, productInfo: { prices: { [currency]: price } } },
-        ) => quantity * price,
-      )
-      .reduce((total : number, current : number) => total + current, 0),
-);
+export const createCartSelectors = (
+  getCartState : (state : Object) => CartType = defaultGetCartState,
+) => {
+  const productsSelector =
+    (state : Object) : ProductsMapType => getCartState(state).products;
+
+  const currencySelector =
+    (state : Object) : string => getCartState(state).currency;
+
+  const exchangeRatesSelector =
+    (state : Object) : ExchangeRatesType =>
+      getCartState(state).exchangeRates || defaultExchangeRates;
+
+  /*
+   * Products with tier prices for their quantities
+   */
+  const pricedProductsSelector = createSelector(
+    productsSelector,
+    applyPriceTiers,
+  );
+
+  /*
+   * Products with prices converted to current currency
+   * where they are missing
+   */
+  const convertedProductsSelector = createSelector(
+    pricedProductsSelector,
+    currencySelector,
+    exchangeRatesSelector,
+    convertProducts,
+  );
+
+  /*
+   * Converted products which have price in current currency.
+   * Lines with neither price nor exchange rate are left out of totals
+   */
+  const payableProductsSelector = createSelector(
+    convertedProductsSelector,
+    currencySelector,
+    filterPricedProducts,
+  );
+
+  const promotionsStateSelector =
+    (state : Object) : Array<PromotionType> =>
+      getCartState(state).promotions || noPromotions;
+
+  /*
+   * Gift lines and discounted items of active promotions
+   */
+  const promotionsResultSelector = createSelector(
+    payableProductsSelector,
+    promotionsStateSelector,
+    currencySelector,
+    applyPromotions,
+  );
+
+  const promotionAdjustmentsSelector = createSelector(
+    promotionsResultSelector,
+    ({ adjustments } : PromotionsResultType) :
+      Array<PromotionAdjustmentType> => adjustments,
+  );
+
+  /*
+   * Products with gift lines, prices aren't converted
+   */
+  const productsWithGiftsSelector = createSelector(
+    productsSelector,
+    promotionsResultSelector,
+    addGifts,
+  );
+
+  /*
+   * Converted products with gift lines, totals are calculated of them
+   */
+  const promotedProductsSelector = createSelector(
+    payableProductsSelector,
+    promotionsResultSelector,
+    addGifts,
+  );
+
+  const discountsSelector =
+    (state : Object) : CouponsMapType =>
+      getCartState(state).discounts || noDiscounts;
+
+  /*
+   * Calculate products' cost without discounts
+   */
+  const subtotalSelector = createSelector(
+    promotedProductsSelector,
+    currencySelector,
+    calculateSubtotal,
+  );
+
+  /*
+   * Calculate discount of applied coupons
+   */
+  const couponDiscountSelector = createSelector(
+    discountsSelector,
+    promotedProductsSelector,
+    currencySelector,
+    calculateDiscount,
+  );
+
+  /*
+   * Calculate discount of items discounted by promotions
+   */
+  const promotionDiscountSelector = createSelector(
+    promotionAdjustmentsSelector,
+    currencySelector,
+    (adjustments : Array<PromotionAdjustmentType>, currency : string) =>
+      sumMoney(
+        adjustments.map(({ discount } : PromotionAdjustmentType) => discount),
+        currency,
+      ),
+  );
+
+  /*
+   * Calculate discount of coupons and promotions,
+   * it never exceeds subtotal
+   */
+  const discountSelector = createSelector(
+    couponDiscountSelector,
+    promotionDiscountSelector,
+    subtotalSelector,
+    currencySelector,
+    (
+      couponDiscount : number,
+      promotionDiscount : number,
+      subtotal : number,
+      currency : string,
+    ) : number =>
+      Math.min(addMoney(couponDiscount, promotionDiscount, currency), subtotal),
+  );
+
+  /*
+   * Calculate total products' cost
+   */
+  const totalSelector = createSelector(
+    subtotalSelector,
+    discountSelector,
+    currencySelector,
+    subtractMoney,
+  );
+
+  const taxStateSelector =
+    (state : Object) : TaxStateType => getCartState(state).tax || noTax;
+
+  /*
+   * Tax of discounted products grouped by tax class
+   */
+  const taxBreakdownSelector = createSelector(
+    taxStateSelector,
+    promotedProductsSelector,
+    currencySelector,
+    subtotalSelector,
+    discountSelector,
+    calculateTaxBreakdown,
+  );
+
+  const taxSelector = createSelector(
+    taxBreakdownSelector,
+    currencySelector,
+    calculateTax,
+  );
+
+  const shippingStateSelector =
+    (state : Object) : ShippingStateType =>
+      getCartState(state).shipping || noShipping;
+
+  /*
+   * Cost of every shipping method for current cart,
+   * null for methods unavailable in current currency
+   */
+  const shippingCostsSelector = createSelector(
+    (state : Object) : Array<ShippingMethodType> =>
+      shippingStateSelector(state).methods,
+    promotedProductsSelector,
+    currencySelector,
+    totalSelector,
+    calculateShippingCosts,
+  );
+
+  /*
+   * Cost of selected shipping method
+   */
+  const shippingSelector = createSelector(
+    shippingCostsSelector,
+    shippingStateSelector,
+    (
+      shippingCosts : { [methodId : string] : ?number },
+      { selectedMethod } : ShippingStateType,
+    ) : number =>
+      selectedMethod && shippingCosts[selectedMethod] || 0,
+  );
+
+  /*
+   * Amount to pay: total with shipping and with tax added unless
+   * prices already include it
+   */
+  const grandTotalSelector = createSelector(
+    totalSelector,
+    taxSelector,
+    taxStateSelector,
+    shippingSelector,
+    currencySelector,
+    (
+      total : number,
+      tax : number,
+      { pricesIncludeTax } : TaxStateType,
+      shipping : number,
+      currency : string,
+    ) : number =>
+      sumMoney([total, pricesIncludeTax ? 0 : tax, shipping], currency),
+  );
+
+  const isCartEmptySelector = createSelector(
+    productsSelector,
+    (products : ProductsMapType) : boolean => !Object.keys(products).length,
+  );
+
+  /*
+   * Conflicts of lines which had different prices in merged carts
+   */
+  const mergeConflictsSelector = createSelector(
+    productsSelector,
+    (products : ProductsMapType) : { [key : string] : MergeConflictType } =>
+      Object
+        .keys(products)
+        .reduce(
+          (acc, key : string) => {
+            const { mergeConflict } = products[key];
+            return mergeConflict ? { ...acc, [key]: mergeConflict } : acc;
+          },
+          {},
+        ),
+  );
+
+  const addressesStateSelector =
+    (state : Object) : AddressesStateType =>
+      getCartState(state).addresses || noAddresses;
+
+  const shippingAddressSelector =
+    (state : Object) : AddressType => addressesStateSelector(state).shipping;
+
+  /*
+   * Shipping address if billing address is the same
+   */
+  const billingAddressSelector = createSelector(
+    addressesStateSelector,
+    ({ shipping, billing, billingSameAsShipping } : AddressesStateType) =>
+      billingSameAsShipping ? shipping : billing,
+  );
+
+  /*
+   * Lines and totals of order which would be placed with current cart
+   */
+  const orderSelector = createSelector(
+    promotedProductsSelector,
+    currencySelector,
+    discountsSelector,
+    subtotalSelector,
+    discountSelector,
+    totalSelector,
+    taxSelector,
+    taxBreakdownSelector,
+    taxStateSelector,
+    shippingStateSelector,
+    shippingSelector,
+    grandTotalSelector,
+    (
+      products : ProductsMapType,
+      currency : string,
+      discounts : CouponsMapType,
+      subtotal : number,
+      discount : number,
+      total : number,
+      tax : number,
+      taxBreakdown : Array<TaxBreakdownItemType>,
+      { pricesIncludeTax } : TaxStateType,
+      { selectedMethod } : ShippingStateType,
+      shipping : number,
+      grandTotal : number,
+    ) : CartOrderType => ({
+      currency,
+      lines: createOrderLines(products, currency),
+      coupons: Object.keys(discounts),
+      subtotal,
+      discount,
+      total,
+      tax,
+      taxBreakdown,
+      pricesIncludeTax,
+      shippingMethod: selectedMethod,
+      shipping,
+      grandTotal,
+    }),
+  );
+
+  /*
+   * Products saved for later, they don't affect any total
+   */
+  const savedForLaterSelector =
+    (state : Object) : ProductsMapType =>
+      getCartState(state).savedForLater || noSavedProducts;
+
+  return {
+    productsSelector,
+    currencySelector,
+    exchangeRatesSelector,
+    pricedProductsSelector,
+    convertedProductsSelector,
+    payableProductsSelector,
+    promotionsStateSelector,
+    promotionsResultSelector,
+    promotionAdjustmentsSelector,
+    productsWithGiftsSelector,
+    promotedProductsSelector,
+    discountsSelector,
+    subtotalSelector,
+    couponDiscountSelector,
+    promotionDiscountSelector,
+    discountSelector,
+    totalSelector,
+    taxStateSelector,
+    taxBreakdownSelector,
+    taxSelector,
+    shippingStateSelector,
+    shippingCostsSelector,
+    shippingSelector,
+    grandTotalSelector,
+    isCartEmptySelector,
+    mergeConflictsSelector,
+    addressesStateSelector,
+    shippingAddressSelector,
+    billingAddressSelector,
+    orderSelector,
+    savedForLaterSelector,
+  };
+};
 
 /**
  * @memberof selectors
+ * @description
+ * Selectors bound to state.cart
  */
-export const isCartEmptySelector = createSelector(
-  productsSelector,
-  (products : ProductsMapType) : boolean => !Object.keys(products).length,
-);
+export const {
+  subtotalSelector,
+  discountSelector,
+  totalSelector,
+  taxBreakdownSelector,
+  taxSelector,
+  shippingCostsSelector,
+  shippingSelector,
+  grandTotalSelector,
+  isCartEmptySelector,
+  mergeConflictsSelector,
+  savedForLaterSelector,
+  promotionAdjustmentsSelector,
+  shippingAddressSelector,
+  billingAddressSelector,
+  orderSelector,
+} = createCartSelectors();
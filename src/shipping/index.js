@@ -0,0 +1,73 @@
+/**
+ * @flow
+ * @namespace shipping
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Shipping cost rules
+ */
+import { addMoney, multiplyMoney, sumMoney } from '../money';
+
+/**
+ * @memberof shipping
+ * @description
+ * Calculate cost of shipping method for the cart.
+ * Cost is method's flat cost plus costPerItem for each item
+ * plus costPerWeight for each unit of productInfo.weight.
+ * Shipping is free if total reaches freeOver threshold.
+ * Returns null if method has no cost in this currency.
+ */
+export const calculateShippingCost = (
+  {
+    cost,
+    costPerItem = {},
+    costPerWeight = {},
+    freeOver = {},
+  } : ShippingMethodType,
+  products : ProductsMapType,
+  currency : string,
+  total : number,
+) : ?number => {
+  if (typeof cost[currency] !== 'number') return null;
+  if (typeof freeOver[currency] === 'number' && total >= freeOver[currency])
+    return 0;
+
+  return sumMoney(
+    [
+      cost[currency],
+      ...Object.keys(products).map((key : string) : number => {
+        const { quantity, productInfo: { weight = 0 } } = products[key];
+        return addMoney(
+          multiplyMoney(costPerItem[currency] || 0, quantity, currency),
+          multiplyMoney(
+            costPerWeight[currency] || 0, quantity * weight, currency,
+          ),
+          currency,
+        );
+      }),
+    ],
+    currency,
+  );
+};
+
+/**
+ * @memberof shipping
+ * @description
+ * Calculate costs of all methods.
+ * Returns { [methodId]: cost } where cost is null for unavailable methods.
+ */
+export const calculateShippingCosts = (
+  methods : Array<ShippingMethodType>,
+  products : ProductsMapType,
+  currency : string,
+  total : number,
+) : { [methodId : string] : ?number } =>
+  methods.reduce(
+    (costs : Object, method : ShippingMethodType) => ({
+      ...costs,
+      [method.id]: calculateShippingCost(method, products, currency, total),
+    }),
+    {},
+  );
@@ -0,0 +1,208 @@
+/**
+ * @flow
+ * @namespace sync
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Redux middleware which mirrors cart changes to a backend
+ * through an adapter. Cart is updated optimistically and rolled back
+ * with cartSyncFailed action if adapter rejects.
+ */
+import * as actionTypes from '../actionTypes';
+import { rehydrateCart, cartSyncFailed } from '../actions';
+import { defaultGetCartState } from '../selectors';
+
+/**
+ * @memberof sync
+ * @description
+ * Actions which change cart's products and are mirrored to adapter
+ */
+export const syncedActionTypes = [
+  actionTypes.CART_ADD,
+  actionTypes.CART_UPDATE,
+  actionTypes.CART_REMOVE,
+  actionTypes.CART_EMPTY,
+  actionTypes.CART_MERGE,
+  actionTypes.CART_REFRESH_PRODUCTS,
+  actionTypes.CART_MOVE_TO_CART,
+  actionTypes.CART_MOVE_TO_SAVED_FOR_LATER,
+  actionTypes.CART_SET_LINE_NOTE,
+];
+
+/**
+ * @memberof sync
+ * @private
+ * Previous lines of keys which differ in products and nextProducts,
+ * null for lines which didn't exist
+ */
+const getChangedLines = (
+  products : ProductsMapType,
+  nextProducts : ProductsMapType,
+) : { [key : string] : ?ProductType } =>
+  [
+    ...Object.keys(products),
+    ...Object
+      .keys(nextProducts)
+      .filter((key : string) : boolean => !(key in products)),
+  ]
+    .filter((key : string) : boolean => products[key] !== nextProducts[key])
+    .reduce(
+      (acc, key : string) => ({ ...acc, [key]: products[key] || null }),
+      {},
+    );
+
+/**
+ * @memberof sync
+ * @private
+ * Call adapter's methods for every changed line
+ */
+const syncChanges = (
+  adapter : CartSyncAdapterType,
+  action : CartActionType,
+  changedLines : { [key : string] : ?ProductType },
+  nextProducts : ProductsMapType,
+) : Promise<any> =>
+  action.type === actionTypes.CART_EMPTY
+    ? adapter.clear()
+    : Promise.all(
+      Object
+        .keys(changedLines)
+        .map((key : string) : Promise<any> => {
+          if (!nextProducts[key])
+            return adapter.remove(key);
+          return changedLines[key]
+            ? adapter.update(key, nextProducts[key])
+            : adapter.add(key, nextProducts[key]);
+        }),
+    );
+
+/**
+ * @memberof sync
+ * @description
+ * Create middleware which mirrors cart changes to adapter.
+ * Adapter's methods return promises:
+ * load() - resolves with products map, called on fetchCart action,
+ * add(key, line) - line is new cart line,
+ * update(key, line) - line is changed cart line,
+ * remove(key),
+ * clear().
+ * When adapter rejects, cartSyncFailed action with error, previous
+ * and failed lines is dispatched, and products reducer restores lines
+ * which weren't changed since.
+ * @example
+ * const store = createStore(
+ *   combineReducers({ cart: cartReducer }),
+ *   applyMiddleware(createCartSyncMiddleware({ adapter: myApiAdapter })),
+ * );
+ * store.dispatch(fetchCart());
+ */
+export const createCartSyncMiddleware = (
+  {
+    adapter,
+    getCartState = defaultGetCartState,
+  } : {
+    adapter : CartSyncAdapterType,
+    getCartState? : (state : Object) => CartType,
+  },
+) => ({ dispatch, getState } : Object) => (next : Function) =>
+  (action : Object) => {
+    if (action.type === actionTypes.CART_FETCH) {
+      const result = next(action);
+      adapter.load().then(
+        (products : ProductsMapType) =>
+          void dispatch(rehydrateCart({
+            products,
+            currency: getCartState(getState()).currency,
+          })),
+        (error : Error) =>
+          void dispatch(cartSyncFailed(error, action, {})),
+      );
+      return result;
+    }
+
+    if (!syncedActionTypes.includes(action.type))
+      return next(action);
+
+    const { products } = getCartState(getState());
+    const result = next(action);
+    const { products: nextProducts } = getCartState(getState());
+    const changedLines = getChangedLines(products, nextProducts);
+
+    const failedLines = Object
+      .keys(changedLines)
+      .reduce(
+        (acc, key : string) => ({ ...acc, [key]: nextProducts[key] || null }),
+        {},
+      );
+
+    if (Object.keys(changedLines).length)
+      syncChanges(adapter, action, changedLines, nextProducts).catch(
+        (error : Error) =>
+          void dispatch(
+            cartSyncFailed(error, action, changedLines, failedLines),
+          ),
+      );
+
+    return result;
+  };
+
+/**
+ * @memberof sync
+ * @description
+ * Adapter which keeps cart in memory, to develop and test without backend.
+ * Options:
+ * latency - Milliseconds before every promise settles. Default is 0.
+ * shouldFail - Function which receives method's name and arguments
+ * and returns true to reject the call. Default is () => false.
+ * Adapter also has getProducts() to look at its contents.
+ */
+export const createMockCartAdapter = (
+  initialProducts : ProductsMapType = {},
+  {
+    latency = 0,
+    shouldFail = () => false,
+  } : {
+    latency? : number,
+    shouldFail? : (method : string, args : Array<any>) => boolean,
+  } = {},
+) : CartSyncAdapterType & { getProducts : () => ProductsMapType } => {
+  let products : ProductsMapType = { ...initialProducts };
+
+  const call = (
+    method : string,
+    args : Array<any>,
+    apply : () => any,
+  ) : Promise<any> =>
+    new Promise((resolve : Function, reject : Function) =>
+      void setTimeout(() =>
+        void (
+          shouldFail(method, args)
+            ? reject(new Error(`Mock cart adapter failed to ${method}`))
+            : resolve(apply())
+        )
+      , latency),
+    );
+
+  return {
+    load: () : Promise<ProductsMapType> =>
+      call('load', [], () : ProductsMapType => products),
+    add: (key : string, line : ProductType) : Promise<void> =>
+      call('add', [key, line], () =>
+        void (products = { ...products, [key]: line }),
+      ),
+    update: (key : string, line : ProductType) : Promise<void> =>
+      call('update', [key, line], () =>
+        void (products = { ...products, [key]: line }),
+      ),
+    remove: (key : string) : Promise<void> =>
+      call('remove', [key], () => {
+        const { [key]: _, ...restOfProducts } = products;
+        products = restOfProducts;
+      }),
+    clear: () : Promise<void> =>
+      call('clear', [], () => void (products = {})),
+    getProducts: () : ProductsMapType => products,
+  };
+};
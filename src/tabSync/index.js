@@ -0,0 +1,217 @@
+/**
+ * @flow
+ * @namespace tabSync
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Redux store enhancer which keeps cart the same in all browser tabs.
+ * Every tab broadcasts snapshot of { products, currency } when it changes
+ * and replays snapshots of other tabs into its store.
+ */
+import { rehydrateCart } from '../actions';
+import { defaultGetCartState } from '../selectors';
+
+/**
+ * @memberof tabSync
+ * @private
+ * Errors are ignored unless onError option is passed
+ */
+const ignoreError = () => {};
+
+/**
+ * @memberof tabSync
+ * @description
+ * Transport based on BroadcastChannel
+ */
+export const createBroadcastChannelTransport = (
+  name : string,
+) : TabSyncTransportType => {
+  const channel = new BroadcastChannel(name);
+  return {
+    post: (message : TabSyncMessageType) => void channel.postMessage(message),
+    subscribe: (listener : (message : TabSyncMessageType) => void) => {
+      const handleMessage = ({ data } : MessageEvent) =>
+        void listener((data : any));
+      channel.addEventListener('message', handleMessage);
+      return () => void channel.removeEventListener('message', handleMessage);
+    },
+  };
+};
+
+/**
+ * @memberof tabSync
+ * @description
+ * Transport based on storage events, for browsers without BroadcastChannel.
+ * Storage event is fired only in other tabs.
+ * onError receives errors of broken snapshots, they're ignored by default.
+ */
+export const createStorageTransport = (
+  key : string,
+  storage : CartStorageType = window.localStorage,
+  target : EventTarget = window,
+  onError : (error : Error) => void = ignoreError,
+) : TabSyncTransportType => ({
+  post: (message : TabSyncMessageType) =>
+    void storage.setItem(key, JSON.stringify(message)),
+  subscribe: (listener : (message : TabSyncMessageType) => void) => {
+    const handleStorage = (event : Object) => {
+      if (event.key !== key || !event.newValue) return;
+      try {
+        listener(JSON.parse(event.newValue));
+      } catch (error) {
+        onError(error);
+      }
+    };
+    target.addEventListener('storage', handleStorage);
+    return () => void target.removeEventListener('storage', handleStorage);
+  },
+});
+
+/**
+ * @memberof tabSync
+ * @description
+ * In-memory hub which connects transports like tabs of one browser.
+ * Useful for tests and server side rendering.
+ * @example
+ * const hub = createMemoryTransportHub();
+ * const firstTabTransport = hub.createTransport();
+ * const secondTabTransport = hub.createTransport();
+ */
+export const createMemoryTransportHub = () => {
+  let listeners = [];
+  return {
+    createTransport: () : TabSyncTransportType => {
+      let ownListeners = [];
+      return {
+        post: (message : TabSyncMessageType) =>
+          void listeners
+            .filter((listener : Function) : boolean =>
+              !ownListeners.includes(listener))
+            .forEach((listener : Function) => void listener(message)),
+        subscribe: (listener : (message : TabSyncMessageType) => void) => {
+          listeners = [...listeners, listener];
+          ownListeners = [...ownListeners, listener];
+          return () => {
+            listeners = listeners.filter(item => item !== listener);
+            ownListeners = ownListeners.filter(item => item !== listener);
+          };
+        },
+      };
+    },
+  };
+};
+
+/**
+ * @memberof tabSync
+ * @private
+ * BroadcastChannel if available, storage events otherwise
+ */
+const getDefaultTransport = (
+  name : string,
+  onError : (error : Error) => void,
+) : ?TabSyncTransportType => {
+  if (typeof BroadcastChannel !== 'undefined')
+    return createBroadcastChannelTransport(name);
+  try {
+    if (typeof window !== 'undefined' && window.localStorage)
+      return createStorageTransport(
+        name, window.localStorage, window, onError,
+      );
+  } catch (error) {
+    onError(error);
+  }
+  return null;
+};
+
+/**
+ * @memberof tabSync
+ * @private
+ * Whether revision was made after otherRevision.
+ * Revisions of concurrent edits are ordered by tab id,
+ * so all tabs choose the same winner.
+ */
+const isNewer = (
+  revision : TabSyncRevisionType,
+  otherRevision : TabSyncRevisionType,
+) : boolean =>
+  revision.time > otherRevision.time
+  || (revision.time === otherRevision.time
+    && revision.tabId > otherRevision.tabId);
+
+/**
+ * @memberof tabSync
+ * @description
+ * Store enhancer, opt-in. Options:
+ * name - Name of channel or storage key.
+ * Default is 'react-shopping-cart-tabs'.
+ * transport - { post, subscribe } object. Default is BroadcastChannel
+ * transport, or storage events transport if BroadcastChannel is unavailable.
+ * getCartState - Function to get cart from state.
+ * Default is state => state.cart.
+ * getTime - Clock of revisions. Default is Date.now.
+ * onError - Function which receives errors of default transport,
+ * e.g. unavailable localStorage. Errors are ignored by default.
+ * Snapshots are replayed with rehydrateCart action and aren't broadcast
+ * back. If tabs edit cart at the same time, the latest edit wins.
+ * @example
+ * const store = createStore(
+ *   combineReducers({ cart: cartReducer }),
+ *   compose(persistCart(), syncCartTabs()),
+ * );
+ */
+export const syncCartTabs = (
+  {
+    name = 'react-shopping-cart-tabs',
+    onError = ignoreError,
+    transport: customTransport,
+    getCartState = defaultGetCartState,
+    getTime = Date.now,
+  } : {
+    name? : string,
+    transport? : TabSyncTransportType,
+    getCartState? : (state : Object) => CartType,
+    getTime? : () => number,
+    onError? : (error : Error) => void,
+  } = {},
+) => (createStore : Function) => (...args : Array<any>) : Object => {
+  const store = createStore(...args);
+  const transport = customTransport || getDefaultTransport(name, onError);
+  if (!transport) return store;
+
+  const tabId = Math.random().toString(36).slice(2);
+  let revision = { time: 0, tabId: '' };
+  let isReplaying = false;
+  let { products, currency } = getCartState(store.getState());
+
+  store.subscribe(() => {
+    const cart = getCartState(store.getState());
+    if (cart.products === products && cart.currency === currency) return;
+    ({ products, currency } = cart);
+    if (isReplaying) return;
+    revision = { time: Math.max(getTime(), revision.time + 1), tabId };
+    transport.post({
+      revision,
+      cart: { products, currency },
+    });
+  });
+
+  transport.subscribe((message : TabSyncMessageType) => {
+    if (
+      !message
+      || !message.revision
+      || message.revision.tabId === tabId
+      || !isNewer(message.revision, revision)
+    ) return;
+    ({ revision } = message);
+    isReplaying = true;
+    try {
+      store.dispatch(rehydrateCart(message.cart));
+    } finally {
+      isReplaying = false;
+    }
+  });
+
+  return store;
+};
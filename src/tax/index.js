@@ -0,0 +1,156 @@
+/**
+ * @flow
+ * @namespace tax
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Tax rates lookup and tax calculation
+ */
+import {
+  addMoney,
+  subtractMoney,
+  multiplyMoney,
+  roundMoney,
+  sumMoney,
+} from '../money';
+
+/**
+ * @memberof tax
+ * @description
+ * Tax class of products without productInfo.taxClass
+ */
+export const DEFAULT_TAX_CLASS = 'standard';
+
+/**
+ * @memberof tax
+ * @description
+ * Find rate (in percents) for region and tax class.
+ * Region's entry in rates may be a number (same rate for all classes)
+ * or { [taxClass]: rate } object. Unknown classes fall back
+ * to the standard one, unknown regions are not taxed.
+ * @example
+ * getTaxRate({ GB: { standard: 20, reduced: 5 }, US: 0 }, 'GB', 'reduced');
+ * // 5
+ */
+export const getTaxRate = (
+  rates : TaxRatesType,
+  region : ?string,
+  taxClass : string = DEFAULT_TAX_CLASS,
+) : number => {
+  const regionRates = region ? rates[region] : void 0;
+  if (typeof regionRates === 'number') return regionRates;
+  if (!regionRates) return 0;
+  return typeof regionRates[taxClass] === 'number'
+    ? regionRates[taxClass]
+    : regionRates[DEFAULT_TAX_CLASS] || 0;
+};
+
+/**
+ * @memberof tax
+ * @description
+ * Amount of tax in price. If price includes tax, tax is extracted from it,
+ * otherwise it is charged on top of price.
+ * Tax is rounded to minor units of currency.
+ */
+export const calculatePriceTax = (
+  price : number,
+  rate : number,
+  pricesIncludeTax : boolean,
+  currency : string,
+) : number =>
+  pricesIncludeTax
+    ? subtractMoney(
+      price,
+      roundMoney(price / (1 + rate / 100), currency),
+      currency,
+    )
+    : multiplyMoney(price, rate / 100, currency);
+
+/**
+ * @memberof tax
+ * @description
+ * Convert price as stored in productInfo to the displayed one.
+ * taxDisplay is 'inclusive' or 'exclusive',
+ * by default price is displayed as stored.
+ */
+export const getDisplayPrice = (
+  price : number,
+  rate : number,
+  pricesIncludeTax : boolean,
+  currency : string,
+  taxDisplay? : ?TaxDisplayType,
+) : number => {
+  const tax = calculatePriceTax(price, rate, pricesIncludeTax, currency);
+  if (taxDisplay === 'inclusive' && !pricesIncludeTax)
+    return addMoney(price, tax, currency);
+  if (taxDisplay === 'exclusive' && pricesIncludeTax)
+    return subtractMoney(price, tax, currency);
+  return price;
+};
+
+/**
+ * @memberof tax
+ * @description
+ * Calculate tax of cart grouped by tax class.
+ * Discount is distributed between products proportionally to their cost.
+ */
+export const calculateTaxBreakdown = (
+  { rates, region, pricesIncludeTax } : TaxStateType,
+  products : ProductsMapType,
+  currency : string,
+  subtotal : number,
+  discount : number,
+) : Array<TaxBreakdownItemType> => {
+  const discountRatio = subtotal ? (subtotal - discount) / subtotal : 0;
+  return Object
+    .keys(products)
+    .reduce(
+      (breakdown : Array<TaxBreakdownItemType>, key : string) => {
+        const {
+          quantity,
+          productInfo: {
+            prices: { [currency]: price },
+            taxClass = DEFAULT_TAX_CLASS,
+          },
+        } = products[key];
+        const rate = getTaxRate(rates, region, taxClass);
+        const taxable = multiplyMoney(
+          multiplyMoney(price, quantity, currency), discountRatio, currency,
+        );
+        const amount =
+          calculatePriceTax(taxable, rate, pricesIncludeTax, currency);
+        const item = breakdown.find(
+          ({ taxClass: itemTaxClass }) => itemTaxClass === taxClass,
+        );
+        return item
+          ? breakdown.map(
+            (breakdownItem : TaxBreakdownItemType) =>
+              breakdownItem === item
+                ? {
+                  ...item,
+                  taxable: addMoney(item.taxable, taxable, currency),
+                  amount: addMoney(item.amount, amount, currency),
+                }
+                : breakdownItem,
+          )
+          : [...breakdown, { taxClass, rate, taxable, amount }];
+      },
+      [],
+    );
+};
+
+/**
+ * @memberof tax
+ * @description
+ * Sum of tax breakdown
+ */
+export const calculateTax = (
+  breakdown : Array<TaxBreakdownItemType>,
+  currency : string,
+) : number =>
+  sumMoney(
+    breakdown.map(({ amount } : TaxBreakdownItemType) : number => amount),
+    currency,
+  );
@@ -0,0 +1,168 @@
+/**
+ * @flow
+ * @namespace tiers
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Quantity-tiered volume pricing. productInfo.priceTiers holds
+ * per-currency lists of { minQuantity, price }, price of the greatest tier
+ * which quantity reaches replaces productInfo.prices[currency].
+ */
+import { addMoney, subtractMoney } from '../money';
+
+/**
+ * @memberof tiers
+ * @private
+ */
+const sortTiers = (tiers : Array<PriceTierType>) : Array<PriceTierType> =>
+  [...tiers].sort(
+    (tier : PriceTierType, otherTier : PriceTierType) : number =>
+      tier.minQuantity - otherTier.minQuantity,
+  );
+
+/**
+ * @memberof tiers
+ * @description
+ * Tier which quantity falls into, undefined if quantity is below all tiers
+ */
+export const getPriceTier = (
+  tiers : Array<PriceTierType> = [],
+  quantity : number,
+) : ?PriceTierType =>
+  sortTiers(tiers)
+    .reverse()
+    .find(({ minQuantity } : PriceTierType) : boolean =>
+      quantity >= minQuantity,
+    );
+
+/**
+ * @memberof tiers
+ * @description
+ * The first tier quantity hasn't reached yet
+ */
+export const getNextPriceTier = (
+  tiers : Array<PriceTierType> = [],
+  quantity : number,
+) : ?PriceTierType =>
+  sortTiers(tiers).find(({ minQuantity } : PriceTierType) : boolean =>
+    quantity < minQuantity,
+  );
+
+/**
+ * @memberof tiers
+ * @description
+ * Prices of one item when quantity items are bought
+ * @example
+ * getTierPrices(
+ *   { USD: 10 },
+ *   { USD: [{ minQuantity: 10, price: 9 }, { minQuantity: 50, price: 8 }] },
+ *   12,
+ * ); // { USD: 9 }
+ */
+export const getTierPrices = (
+  prices : PricesType,
+  priceTiers : ?PriceTiersType,
+  quantity : number,
+) : PricesType => {
+  if (!priceTiers)
+    return prices;
+
+  const tiersByCurrency = priceTiers;
+  return Object
+    .keys(tiersByCurrency)
+    .reduce(
+      (acc : PricesType, currency : string) => {
+        const tier = getPriceTier(tiersByCurrency[currency], quantity);
+        return tier ? { ...acc, [currency]: tier.price } : acc;
+      },
+      prices,
+    );
+};
+
+/**
+ * @memberof tiers
+ * @description
+ * Tiers of variant which has its own prices. Tier keeps its discount
+ * off product's price, so tier prices move as much as variant's price.
+ * Returns priceTiers if variant has no prices.
+ * @example
+ * getVariantPriceTiers(
+ *   { USD: [{ minQuantity: 10, price: 9 }] },
+ *   { USD: 10 },
+ *   { USD: 12 },
+ * ); // { USD: [{ minQuantity: 10, price: 11 }] }
+ */
+export const getVariantPriceTiers = (
+  priceTiers : ?PriceTiersType,
+  prices : PricesType,
+  variantPrices : ?PricesType,
+) : ?PriceTiersType => {
+  if (!priceTiers || !variantPrices)
+    return priceTiers;
+
+  const tiersByCurrency = priceTiers;
+  const pricesOfVariant = variantPrices;
+  return Object
+    .keys(tiersByCurrency)
+    .reduce(
+      (acc, currency : string) => {
+        const price = prices[currency];
+        const variantPrice = pricesOfVariant[currency];
+        return {
+          ...acc,
+          [currency]:
+            typeof price === 'number' && typeof variantPrice === 'number'
+              ? tiersByCurrency[currency].map(
+                (tier : PriceTierType) : PriceTierType => ({
+                  ...tier,
+                  price: addMoney(
+                    tier.price,
+                    subtractMoney(variantPrice, price, currency),
+                    currency,
+                  ),
+                }),
+              )
+              : tiersByCurrency[currency],
+        };
+      },
+      {},
+    );
+};
+
+/**
+ * @memberof tiers
+ * @description
+ * Replace prices of products with tier prices for their quantities.
+ * Returns the same object if no product has tiers.
+ */
+export const applyPriceTiers = (
+  products : ProductsMapType,
+) : ProductsMapType =>
+  Object.keys(products).some(
+    (key : string) : boolean => !!products[key].productInfo.priceTiers,
+  )
+    ? Object
+      .keys(products)
+      .reduce(
+        (acc : ProductsMapType, key : string) => {
+          const product = products[key];
+          const { quantity, productInfo } = product;
+          const { prices, priceTiers } = productInfo;
+          return {
+            ...acc,
+            [key]: priceTiers
+              ? {
+                ...product,
+                productInfo: {
+                  ...productInfo,
+                  prices: getTierPrices(prices, priceTiers, quantity),
+                },
+              }
+              : product,
+          };
+        },
+        {},
+      )
+    : products;
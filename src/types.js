@@ -60,16 +60,96 @@ declare function
   */
 declare type PricesType = { [currency : string] : number};
 
+/**
+* @namespace PriceTierType
+* @memberof Types
+* @prop {number} minQuantity - Quantity from which tier price is used
+* @prop {number} price - Price of one item
+*/
+declare type PriceTierType = {
+  minQuantity : number,
+  price : number,
+};
+
+/**
+* @namespace PriceTiersType
+* @memberof Types
+* @description
+* { [currency]: Array<PriceTierType> }
+*/
+declare type PriceTiersType = {
+  [currency : string] : Array<PriceTierType>,
+};
+
 /**
  * @namespace ProductPropertyOptionType
  * @description
  * Also may be string or number, as Object used only in Product component for now
  * @prop {PricesType=} additionalCost
  * @prop {Function=} onSelect
+ * @prop {number=} stock - Items in stock with this option
+ * @prop {string=} colour - CSS colour of swatch
+ * @prop {string=} imagePath - Image of product with this option,
+ * also shown on swatch
+ * @prop {Array<string>=} gallery - Other images of product with this option
  * @prop {number|string} value
  */
  declare type ProductPropertyOptionType = number | string | Object;
 
+/**
+ * @namespace ProductPropertyDescriptorType
+ * @memberof Types
+ * @description
+ * Describes input of product's property:
+ * - 'select', 'radio' and 'swatch' let customer choose one of options
+ * - 'checkbox' has two options: unchecked and checked, ['no', 'yes']
+ * by default
+ * - 'text' is free text, additionalCost is added if it isn't empty.
+ * Empty text isn't added to product's properties
+ * @prop {string} type
+ * @prop {Array<ProductPropertyOptionType>=} options
+ * @prop {number=} maxLength - Max length of text
+ * @prop {string=} placeholder - Localization id of text's placeholder
+ * @prop {PricesType=} additionalCost - Cost of text
+ */
+declare type ProductPropertyDescriptorType = {
+  type : 'select' | 'radio' | 'swatch' | 'checkbox' | 'text',
+  options? : Array<ProductPropertyOptionType>,
+  maxLength? : number,
+  placeholder? : string,
+  additionalCost? : PricesType,
+};
+
+/**
+ * @namespace VariantType
+ * @memberof Types
+ * @description
+ * Existing combination of properties' values.
+ * Property missing in variant matches any value
+ * @prop {Object.<string, number | string>} properties
+ * @prop {number=} stock - Items in stock of this variant
+ * @prop {PricesType=} prices - Prices which replace product's ones
+ * @prop {string=} imagePath - Image of variant
+ * @prop {Array<string>=} gallery - Other images of variant
+ */
+declare type VariantType = {
+  properties : { [propName : string] : number | string },
+  stock? : number,
+  prices? : PricesType,
+  imagePath? : string,
+  gallery? : Array<string>,
+};
+
+/**
+ * @namespace ProductPropertyType
+ * @memberof Types
+ * @description
+ * Array of options to select from or descriptor of input
+ */
+declare type ProductPropertyType =
+  Array<ProductPropertyOptionType>
+  | ProductPropertyDescriptorType;
+
  /**
  * @namespace ProductInfoType
  * @memberof Types
@@ -80,6 +160,13 @@ declare type PricesType = { [currency : string] : number};
  * @prop {string} path - Link to product's page
  * @prop {Array<string>=} propertiesToShowInCart - Array
  * of names of properties which need to be shown in cart
+ * @prop {string=} taxClass - Tax class of product, e.g. 'reduced'.
+ * Default is 'standard'
+ * @prop {number=} weight - Weight of one item for shipping cost calculation
+ * @prop {number=} maxQuantity - Items in stock. Quantity in cart
+ * is limited to it, line is removed if it's 0
+ * @prop {PriceTiersType=} priceTiers - Prices of one item from
+ * certain quantities, they replace prices
  *
  */
  declare type ProductInfoType = {
@@ -90,6 +177,10 @@ declare type PricesType = { [currency : string] : number};
   imagePath : string,
   path: string,
   propertiesToShowInCart?: Array<string>,
+  taxClass?: string,
+  weight?: number,
+  maxQuantity?: number,
+  priceTiers?: PriceTiersType,
 }
 
 /**
@@ -102,6 +193,17 @@ declare type PricesType = { [currency : string] : number};
 * In order to make prop visible in cart, add its name
 * to productPropsToShow array
 * @prop {ProductInfoType} productInfo
+* @prop {StockWarningType=} stockWarning - Set by reducer if quantity was
+* reduced to productInfo.maxQuantity
+* @prop {MergeConflictType=} mergeConflict - Set by mergeCart if merged
+* carts had different prices of product, removed by clearMergeConflict
+* @prop {PriceChangeType=} priceChange - Set by refreshProducts if prices
+* in catalog changed, removed by dismissPriceChange
+* @prop {boolean=} discontinued - Set by refreshProducts if product isn't
+* in catalog anymore
+* @prop {boolean=} gift - Set on free gift lines added by promotions,
+* customer can't edit them
+* @prop {string=} note - Customer's note for the line, e.g. gift message
 * @example
 *  {
 *    id: 'macbook-case',
@@ -127,8 +229,52 @@ declare type PricesType = { [currency : string] : number};
     [propName : string] : number | string,
   },
   productInfo : ProductInfoType,
+  stockWarning? : StockWarningType,
+  mergeConflict? : MergeConflictType,
+  priceChange? : PriceChangeType,
+  discontinued? : boolean,
+  gift? : boolean,
+  note? : string,
+};
+
+/**
+* @namespace StockWarningType
+* @memberof Types
+* @prop {number} requestedQuantity - Quantity customer wanted
+* @prop {number} maxQuantity - Items in stock
+*/
+declare type StockWarningType = {
+  requestedQuantity : number,
+  maxQuantity : number,
+};
+
+/**
+* @namespace MergeConflictType
+* @memberof Types
+* @prop {PricesType} localPrices - Prices of line in local cart
+* @prop {PricesType} incomingPrices - Prices of line in merged cart
+*/
+declare type MergeConflictType = {
+  localPrices : PricesType,
+  incomingPrices : PricesType,
+};
+
+/**
+* @namespace PriceChangeType
+* @memberof Types
+* @prop {PricesType} previousPrices - Prices line was added with
+* @prop {PricesType} currentPrices - Prices in catalog
+*/
+declare type PriceChangeType = {
+  previousPrices : PricesType,
+  currentPrices : PricesType,
 };
 
+declare type CatalogLookupType =
+  (product : ProductType, key : string) => ?$Shape<ProductInfoType>;
+
+declare type MergeStrategyType = 'sum' | 'max' | 'incoming' | 'local';
+
 /**
 * @namespace ProductsMapType
 * @description Pair (productKey: product)
@@ -139,16 +285,275 @@ declare type PricesType = { [currency : string] : number};
   [productKey: string] : ProductType,
 };
 
+/**
+* @namespace CouponType
+* @memberof Types
+* @prop {string} code - Code which customer enters
+* @prop {number=} percentage - Discount in percents of eligible products' cost
+* @prop {PricesType=} amounts - Fixed discount per currency
+* @prop {Array<string>=} productIds - Ids of eligible products.
+* All products are eligible by default
+* @prop {PricesType=} minimumSpend - Minimum subtotal per currency
+* @example
+*  {
+*    code: 'SUMMER10',
+*    percentage: 10,
+*    productIds: ['macbook-case'],
+*    minimumSpend: {
+*      GBP: 100,
+*    },
+*  }
+*/
+declare type CouponType = {
+  code : string,
+  percentage? : number,
+  amounts? : PricesType,
+  productIds? : Array<string>,
+  minimumSpend? : PricesType,
+};
+
+/**
+* @namespace CouponsMapType
+* @description Pair (normalized coupon code: coupon)
+* @memberof Types
+*/
+declare type CouponsMapType = {
+  [code : string] : CouponType,
+};
+
+/**
+* @namespace TaxRatesType
+* @description
+* Pair (region: rate) or (region: { [taxClass]: rate }).
+* Rates are in percents
+* @memberof Types
+* @example
+*  {
+*    GB: { standard: 20, reduced: 5, zero: 0 },
+*    DE: { standard: 19, reduced: 7 },
+*    US: 0,
+*  }
+*/
+declare type TaxRatesType = {
+  [region : string] : number | { [taxClass : string] : number },
+};
+
+/**
+* @namespace TaxStateType
+* @memberof Types
+* @prop {TaxRatesType} rates
+* @prop {?string} region - Customer's region
+* @prop {boolean} pricesIncludeTax - Whether prices already include tax
+*/
+declare type TaxStateType = {
+  rates : TaxRatesType,
+  region : ?string,
+  pricesIncludeTax : boolean,
+};
+
+/**
+* @namespace TaxBreakdownItemType
+* @memberof Types
+* @prop {string} taxClass
+* @prop {number} rate - Rate in percents
+* @prop {number} taxable - Taxable amount
+* @prop {number} amount - Amount of tax
+*/
+declare type TaxBreakdownItemType = {
+  taxClass : string,
+  rate : number,
+  taxable : number,
+  amount : number,
+};
+
+/**
+* @namespace TaxDisplayType
+* @memberof Types
+* @description 'inclusive' or 'exclusive'
+*/
+declare type TaxDisplayType = 'inclusive' | 'exclusive';
+
+/**
+* @namespace ShippingMethodType
+* @memberof Types
+* @prop {string} id
+* @prop {string} name - Display name
+* @prop {PricesType} cost - Flat cost per currency. Method is available
+* only in currencies which have cost
+* @prop {PricesType=} costPerItem - Cost of each item in cart
+* @prop {PricesType=} costPerWeight - Cost of each unit of
+* productInfo.weight
+* @prop {PricesType=} freeOver - Shipping is free if total reaches
+* this amount
+* @example
+*  {
+*    id: 'standard',
+*    name: 'standardDelivery',
+*    cost: { GBP: 5, USD: 7 },
+*    freeOver: { GBP: 50, USD: 70 },
+*  }
+*/
+declare type ShippingMethodType = {
+  id : string,
+  name : string,
+  cost : PricesType,
+  costPerItem? : PricesType,
+  costPerWeight? : PricesType,
+  freeOver? : PricesType,
+};
+
+/**
+* @namespace ShippingStateType
+* @memberof Types
+* @prop {Array<ShippingMethodType>} methods
+* @prop {?string} selectedMethod - Id of selected method
+*/
+declare type ShippingStateType = {
+  methods : Array<ShippingMethodType>,
+  selectedMethod : ?string,
+};
+
+/**
+* @namespace ExchangeRoundingType
+* @memberof Types
+* @prop {number} decimals - Digits after decimal point.
+* Minor units of currency if not set
+* @prop {string} mode - 'round', 'ceil' or 'floor'
+*/
+declare type ExchangeRoundingType = {
+  decimals? : number,
+  mode : 'round' | 'ceil' | 'floor',
+};
+
+/**
+* @namespace ExchangeRatesType
+* @memberof Types
+* @prop {string} base - Base currency
+* @prop {Object.<string, number>} rates - Amount of currency
+* which costs one unit of base currency
+* @prop {ExchangeRoundingType} rounding - Rounding of converted prices
+*/
+declare type ExchangeRatesType = {
+  base : string,
+  rates : { [currency : string] : number },
+  rounding : ExchangeRoundingType,
+};
+
+/**
+* @namespace ConvertedPriceType
+* @memberof Types
+* @prop {?number} price - Price in requested currency
+* @prop {boolean} isConverted - Whether price was converted
+* from other currency, i.e. is an estimate
+* @prop {string=} originalCurrency
+* @prop {number=} originalPrice
+*/
+declare type ConvertedPriceType = {
+  price : ?number,
+  isConverted : boolean,
+  originalCurrency? : string,
+  originalPrice? : number,
+};
+
+/**
+* @namespace PromotionGiftType
+* @memberof Types
+* @prop {string} id
+* @prop {number=} quantity - Default is 1
+* @prop {Object.<string, number | string>=} properties
+* @prop {ProductInfoType} productInfo - Prices are replaced with 0
+*/
+declare type PromotionGiftType = {
+  id : string,
+  quantity? : number,
+  properties? : { [propName : string] : number | string },
+  productInfo : ProductInfoType,
+};
+
+/**
+* @namespace PromotionType
+* @memberof Types
+* @description
+* Rule of promotion, its fields depend on type:
+* - 'buyXGetY': every buy + get items of productIds, get cheapest of them
+* are discounted by percentage (100 by default, i.e. free)
+* - 'spendGetGift': gift is added to cart when subtotal reaches minimumSpend
+* - 'percentageOffCheapest': the cheapest item of productIds is discounted
+* by percentage when cart has at least minQuantity of them (1 by default)
+* Without productIds rules apply to every product.
+* @prop {string} id
+* @prop {string} type - 'buyXGetY', 'spendGetGift' or 'percentageOffCheapest'
+* @prop {Array<string>=} productIds
+* @prop {number=} buy
+* @prop {number=} get
+* @prop {number=} percentage
+* @prop {number=} minQuantity
+* @prop {PricesType=} minimumSpend
+* @prop {PromotionGiftType=} gift
+*/
+declare type PromotionType = {
+  id : string,
+  type : 'buyXGetY' | 'spendGetGift' | 'percentageOffCheapest',
+  productIds? : Array<string>,
+  buy? : number,
+  get? : number,
+  percentage? : number,
+  minQuantity? : number,
+  minimumSpend? : PricesType,
+  gift? : PromotionGiftType,
+};
+
+/**
+* @namespace PromotionAdjustmentType
+* @memberof Types
+* @description
+* Explains how promotion changed line of cart
+* @prop {PromotionType} promotion
+* @prop {string} key - Key of discounted line or of added gift
+* @prop {number} discount - Discount in current currency
+* @prop {number} quantity - Number of discounted or added items
+*/
+declare type PromotionAdjustmentType = {
+  promotion : PromotionType,
+  key : string,
+  discount : number,
+  quantity : number,
+};
+
+/**
+* @namespace PromotionsResultType
+* @memberof Types
+* @prop {Object.<string, ProductType>} gifts - Gift lines to show in cart
+* @prop {Array<PromotionAdjustmentType>} adjustments
+*/
+declare type PromotionsResultType = {
+  gifts : ProductsMapType,
+  adjustments : Array<PromotionAdjustmentType>,
+};
+
 /**
 * @namespace CartType
 * @memberof Types
 * @prop {number} total - Grand total
 * @prop {string} summary - Readable stringified cart
 * @prop {Object.<string, ProductType>} products - Products map
+* @prop {Object.<string, CouponType>=} discounts - Applied coupons
+* @prop {TaxStateType=} tax - Tax rates and region
+* @prop {ShippingStateType=} shipping - Shipping methods
+* @prop {ExchangeRatesType=} exchangeRates - Rates to convert prices
+* @prop {Array<PromotionType>=} promotions - Active promotions
+* @prop {AddressesStateType=} addresses - Shipping and billing addresses
 */
  declare type CartType = {
   products : ProductsMapType,
   currency: string,
+  discounts? : CouponsMapType,
+  tax? : TaxStateType,
+  shipping? : ShippingStateType,
+  exchangeRates? : ExchangeRatesType,
+  savedForLater? : ProductsMapType,
+  promotions? : Array<PromotionType>,
+  addresses? : AddressesStateType,
 };
 
  declare type CartAddActionType = {
@@ -184,12 +589,447 @@ declare type PricesType = { [currency : string] : number};
   type : 'cart/EMPTY',
 };
 
+declare type CartApplyCouponActionType = {
+  type : 'cart/APPLY_COUPON',
+  coupon : CouponType,
+};
+
+declare type CartRemoveCouponActionType = {
+  type : 'cart/REMOVE_COUPON',
+  code : string,
+};
+
+declare type CartSetTaxRatesActionType = {
+  type : 'cart/SET_TAX_RATES',
+  rates : TaxRatesType,
+  pricesIncludeTax : boolean,
+};
+
+declare type CartSetTaxRegionActionType = {
+  type : 'cart/SET_TAX_REGION',
+  region : ?string,
+};
+
+declare type CartSetShippingMethodsActionType = {
+  type : 'cart/SET_SHIPPING_METHODS',
+  methods : Array<ShippingMethodType>,
+};
+
+declare type CartSetShippingMethodActionType = {
+  type : 'cart/SET_SHIPPING_METHOD',
+  methodId : ?string,
+};
+
+declare type CartSetPromotionsActionType = {
+  type : 'cart/SET_PROMOTIONS',
+  promotions : Array<PromotionType>,
+};
+
+declare type CartSetShippingAddressActionType = {
+  type : 'cart/SET_SHIPPING_ADDRESS',
+  address : $Shape<AddressType>,
+};
+
+declare type CartSetBillingAddressActionType = {
+  type : 'cart/SET_BILLING_ADDRESS',
+  address : $Shape<AddressType>,
+};
+
+declare type CartSetBillingSameAsShippingActionType = {
+  type : 'cart/SET_BILLING_SAME_AS_SHIPPING',
+  billingSameAsShipping : boolean,
+};
+
+declare type CartSetLineNoteActionType = {
+  type : 'cart/SET_LINE_NOTE',
+  key : string,
+  note : string,
+};
+
+declare type CartSetExchangeRatesActionType = {
+  type : 'cart/SET_EXCHANGE_RATES',
+  base : string,
+  rates : { [currency : string] : number },
+  rounding : ExchangeRoundingType,
+};
+
+declare type CartRehydrateActionType = {
+  type : 'cart/REHYDRATE',
+  products : ProductsMapType,
+  currency : string,
+  savedForLater? : ProductsMapType,
+};
+
+declare type CartMoveToSavedForLaterActionType = {
+  type : 'cart/MOVE_TO_SAVED_FOR_LATER',
+  key : string,
+  product : ProductType,
+};
+
+declare type CartMoveToCartActionType = {
+  type : 'cart/MOVE_TO_CART',
+  key : string,
+  product : ProductType,
+};
+
+declare type CartUpdateSavedForLaterActionType = {
+  type : 'cart/UPDATE_SAVED_FOR_LATER',
+  key : string,
+  updatedProduct : ProductType,
+};
+
+declare type CartRemoveFromSavedForLaterActionType = {
+  type : 'cart/REMOVE_FROM_SAVED_FOR_LATER',
+  key : string,
+};
+
+declare type CartMergeActionType = {
+  type : 'cart/MERGE',
+  products : ProductsMapType,
+  strategy : MergeStrategyType,
+};
+
+declare type CartClearMergeConflictActionType = {
+  type : 'cart/CLEAR_MERGE_CONFLICT',
+  key : string,
+};
+
+declare type CartRefreshProductsActionType = {
+  type : 'cart/REFRESH_PRODUCTS',
+  catalogLookup : CatalogLookupType,
+  removeDiscontinued : boolean,
+};
+
+declare type CartDismissPriceChangeActionType = {
+  type : 'cart/DISMISS_PRICE_CHANGE',
+  key : string,
+};
+
+declare type CartFetchActionType = {
+  type : 'cart/FETCH',
+};
+
+declare type CartSyncFailedActionType = {
+  type : 'cart/SYNC_FAILED',
+  error : Error,
+  failedAction : Object,
+  rollback : { [key : string] : ?ProductType },
+  failedLines : { [key : string] : ?ProductType },
+};
+
+/**
+* @namespace CartSyncAdapterType
+* @memberof Types
+* @description
+* Backend of sync middleware, every method returns promise
+*/
+declare type CartSyncAdapterType = {
+  load : () => Promise<ProductsMapType>,
+  add : (key : string, line : ProductType) => Promise<any>,
+  update : (key : string, line : ProductType) => Promise<any>,
+  remove : (key : string) => Promise<any>,
+  clear : () => Promise<any>,
+};
+
+/*
+* BroadcastChannel isn't in Flow's library yet
+*/
+declare class BroadcastChannel {
+  constructor(name : string) : void;
+  name : string;
+  postMessage(message : mixed) : void;
+  addEventListener(
+    type : 'message',
+    listener : (event : MessageEvent) => mixed,
+  ) : void;
+  removeEventListener(
+    type : 'message',
+    listener : (event : MessageEvent) => mixed,
+  ) : void;
+  close() : void;
+}
+
+/**
+* @namespace TabSyncRevisionType
+* @memberof Types
+* @prop {number} time - When snapshot was made
+* @prop {string} tabId - Tab which made snapshot
+*/
+declare type TabSyncRevisionType = {
+  time : number,
+  tabId : string,
+};
+
+declare type TabSyncMessageType = {
+  revision : TabSyncRevisionType,
+  cart : CartType,
+};
+
+/**
+* @namespace TabSyncTransportType
+* @memberof Types
+* @description
+* Channel between tabs. subscribe returns function to unsubscribe.
+* Messages posted by transport aren't received by its own listeners.
+*/
+declare type TabSyncTransportType = {
+  post : (message : TabSyncMessageType) => void,
+  subscribe : (listener : (message : TabSyncMessageType) => void) => Function,
+};
+
+declare type WishlistAddActionType = {
+  type : 'wishlist/ADD',
+  key : string,
+  product : ProductType,
+};
+
+declare type WishlistRemoveActionType = {
+  type : 'wishlist/REMOVE',
+  key : string,
+};
+
+declare type WishlistActionType =
+  WishlistAddActionType
+  | WishlistRemoveActionType;
+
+/**
+* @namespace CheckoutStepType
+* @memberof Types
+* @description 'contact', 'shippingAddress', 'shippingMethod', 'review'
+* or 'complete' after order is placed
+*/
+declare type CheckoutStepType =
+  'contact'
+  | 'shippingAddress'
+  | 'shippingMethod'
+  | 'review'
+  | 'complete';
+
+/**
+* @namespace CheckoutContactType
+* @memberof Types
+* @prop {string} email - Required
+* @prop {string} phone - Optional
+*/
+declare type CheckoutContactType = {
+  email : string,
+  phone : string,
+};
+
+/**
+* @namespace AddressType
+* @memberof Types
+* @prop {string} name - Recipient
+* @prop {string} line1
+* @prop {string} line2 - Optional
+* @prop {string} city
+* @prop {string} region - State, province, county etc.
+* Required in some countries
+* @prop {string} postcode
+* @prop {string} country - ISO 3166-1 alpha-2 code
+*/
+declare type AddressType = {
+  name : string,
+  line1 : string,
+  line2 : string,
+  city : string,
+  region : string,
+  postcode : string,
+  country : string,
+};
+
+/**
+* @namespace AddressFormatType
+* @memberof Types
+* @prop {Array<string>} fields - Fields of country in the order they
+* are shown, country isn't included
+* @prop {Array<string>} required - Fields which must be filled
+* @prop {Object.<string, string>} labels - Localization ids of labels
+* which differ from `${field}Label`
+* @prop {string=} postcodePattern - Source of RegExp of postcode
+*/
+declare type AddressFormatType = {
+  fields : Array<string>,
+  required : Array<string>,
+  labels : { [field : string] : string },
+  postcodePattern? : string,
+};
+
+/**
+* @namespace AddressesStateType
+* @memberof Types
+* @prop {AddressType} shipping
+* @prop {AddressType} billing - Ignored if billingSameAsShipping is true
+* @prop {boolean} billingSameAsShipping
+*/
+declare type AddressesStateType = {
+  shipping : AddressType,
+  billing : AddressType,
+  billingSameAsShipping : boolean,
+};
+
+/**
+* @namespace CheckoutErrorsType
+* @memberof Types
+* @description Localization id of error of every invalid field
+* @example
+* { email: 'invalidEmail', city: 'requiredField' }
+*/
+declare type CheckoutErrorsType = {
+  [field : string] : string,
+};
+
+/**
+* @namespace OrderLineType
+* @memberof Types
+* @prop {string} key - Key of line in cart
+* @prop {number} price - Price of item in order's currency
+* @prop {number} total - Price of all items of line
+* @prop {string=} note - Customer's note of line
+* @prop {boolean=} gift - Whether line is a free gift
+*/
+declare type OrderLineType = {
+  key : string,
+  id : string,
+  name : string,
+  quantity : number,
+  properties : { [propName : string] : number | string },
+  price : number,
+  total : number,
+  path : string,
+  imagePath : string,
+  note? : string,
+  gift? : boolean,
+};
+
+/**
+* @namespace CartOrderType
+* @memberof Types
+* @description Part of order made of cart, amounts are in currency.
+* Discount includes coupons and promotions.
+* @prop {Array<string>} coupons - Codes of applied coupons
+* @prop {?string} shippingMethod - Id of selected shipping method
+*/
+declare type CartOrderType = {
+  currency : string,
+  lines : Array<OrderLineType>,
+  coupons : Array<string>,
+  subtotal : number,
+  discount : number,
+  total : number,
+  tax : number,
+  taxBreakdown : Array<TaxBreakdownItemType>,
+  pricesIncludeTax : boolean,
+  shippingMethod : ?string,
+  shipping : number,
+  grandTotal : number,
+};
+
+/**
+* @namespace OrderType
+* @memberof Types
+* @description Order passed to onPlaceOrder of Checkout:
+* CartOrderType with contact, shippingAddress and billingAddress
+*/
+declare type OrderType = CartOrderType & {
+  contact : CheckoutContactType,
+  shippingAddress : AddressType,
+  billingAddress : AddressType,
+};
+
+/**
+* @namespace CheckoutStateType
+* @memberof Types
+* @prop {CheckoutStepType} step - Current step
+* @prop {?OrderType} order - Placed order
+*/
+declare type CheckoutStateType = {
+  step : CheckoutStepType,
+  contact : CheckoutContactType,
+  order : ?OrderType,
+};
+
+declare type CheckoutSetStepActionType = {
+  type : 'checkout/SET_STEP',
+  step : CheckoutStepType,
+};
+
+declare type CheckoutSetContactActionType = {
+  type : 'checkout/SET_CONTACT',
+  contact : $Shape<CheckoutContactType>,
+};
+
+declare type CheckoutCompleteActionType = {
+  type : 'checkout/COMPLETE',
+  order : OrderType,
+};
+
+declare type CheckoutResetActionType = {
+  type : 'checkout/RESET',
+};
+
+declare type CheckoutActionType =
+  CheckoutSetStepActionType
+  | CheckoutSetContactActionType
+  | CheckoutCompleteActionType
+  | CheckoutResetActionType;
+
 declare type CartActionType =
   CartAddActionType
   | CartUpdateActionType
   | CartRemoveActionType
   | CartEmptyActionType
-  | CartSetCurrencyActionType;
+  | CartSetCurrencyActionType
+  | CartRehydrateActionType
+  | CartApplyCouponActionType
+  | CartRemoveCouponActionType
+  | CartSetTaxRatesActionType
+  | CartSetTaxRegionActionType
+  | CartSetShippingMethodsActionType
+  | CartSetShippingMethodActionType
+  | CartSetPromotionsActionType
+  | CartSetLineNoteActionType
+  | CartSetShippingAddressActionType
+  | CartSetBillingAddressActionType
+  | CartSetBillingSameAsShippingActionType
+  | CartSetExchangeRatesActionType
+  | CartMoveToSavedForLaterActionType
+  | CartMoveToCartActionType
+  | CartUpdateSavedForLaterActionType
+  | CartRemoveFromSavedForLaterActionType
+  | CartMergeActionType
+  | CartClearMergeConflictActionType
+  | CartRefreshProductsActionType
+  | CartDismissPriceChangeActionType
+  | CartFetchActionType
+  | CartSyncFailedActionType;
+
+/**
+* @namespace CartStorageType
+* @memberof Types
+* @description
+* Storage backend for persisted cart.
+* localStorage, sessionStorage or any object with the same methods.
+* @prop {Function} getItem - (key) => string | null
+* @prop {Function} setItem - (key, value) => void
+* @prop {Function} removeItem - (key) => void
+*/
+declare type CartStorageType = {
+  getItem : (key : string) => ?string,
+  setItem : (key : string, value : string) => void,
+  removeItem : (key : string) => void,
+};
+
+/**
+* @namespace PersistedCartType
+* @memberof Types
+* @prop {number} version - Schema version of saved cart
+* @prop {CartType} cart - Saved cart
+*/
+declare type PersistedCartType = {
+  version : number,
+  cart : CartType,
+};
 
 declare type LocalizationObjectType = {
   [languageName : string] : {
@@ -202,3 +1042,15 @@ declare type LocalizationObjectType = {
     },
   },
 };
+
+/*
+* Intl.NumberFormat isn't in Flow's library yet
+*/
+declare class Intl$NumberFormat {
+  constructor(locales? : string | Array<string>, options? : Object) : void;
+  format(number : number) : string;
+}
+
+declare var Intl : {
+  NumberFormat : Class<Intl$NumberFormat>,
+};
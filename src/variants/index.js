@@ -0,0 +1,63 @@
+/**
+ * @flow
+ * @namespace variants
+ *
+ * @author Oleg Nosov <olegnosov1@gmail.com>
+ * @license MIT
+ *
+ * @description
+ * Variants of product are combinations of properties' values which exist.
+ * Property missing in variant matches any value. Variant may override
+ * stock and prices of product.
+ */
+
+/**
+ * @memberof variants
+ * @description
+ * Check whether variant matches values of properties.
+ * Undefined values match any variant.
+ */
+export const isVariantMatching = (
+  { properties } : VariantType,
+  values : { +[propName : string] : ?(number | string) },
+) : boolean =>
+  Object
+    .entries(properties)
+    .every(([name, value]) =>
+      typeof values[name] === 'undefined' || values[name] === value,
+    );
+
+/**
+ * @memberof variants
+ * @description
+ * The first variant matching values of properties
+ */
+export const findVariant = (
+  variants : Array<VariantType>,
+  values : { +[propName : string] : ?(number | string) },
+) : ?VariantType =>
+  variants.find((variant : VariantType) : boolean =>
+    isVariantMatching(variant, values),
+  );
+
+/**
+ * @memberof variants
+ * @description
+ * Check whether at least one variant which is in stock has these values
+ * of properties. Variant with stock 0 is sold out.
+ * @example
+ * const variants = [
+ *   { properties: { colour: 'red', size: 'S' } },
+ *   { properties: { colour: 'red', size: 'L' }, stock: 0 },
+ * ];
+ * isCombinationAvailable(variants, { colour: 'red' }); // true
+ * isCombinationAvailable(variants, { colour: 'red', size: 'M' }); // false
+ * isCombinationAvailable(variants, { colour: 'red', size: 'L' }); // false
+ */
+export const isCombinationAvailable = (
+  variants : Array<VariantType>,
+  values : { +[propName : string] : ?(number | string) },
+) : boolean =>
+  variants.some((variant : VariantType) : boolean =>
+    variant.stock !== 0 && isVariantMatching(variant, values),
+  );